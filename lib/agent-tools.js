@@ -0,0 +1,158 @@
+// lib/agent-tools.js - Tools the /api/langchain agent can call
+// Each tool pairs a Gemini function declaration with an `execute(args, context)` that
+// returns plain JSON; the agent loop sends that JSON back as the function response
+
+const { SchemaType } = require('@google/generative-ai');
+const { snippet } = require('./citations');
+const { DEVICE_TYPES, METHODS } = require('./wipe-wizard');
+const { INTERFACES, VERIFICATION_SHARE, estimateWipe } = require('./wipe-estimator');
+const { DEFAULT_FACTORS } = require('./impact');
+const { STATUSES, GROUP_FIELDS, METRICS, queryInventory, describeQuery } = require('./inventory');
+
+function createAgentTools({ searchKnowledgeBase, certificateAuthority, ledger, impactCalculator, inventoryStore }) {
+    return [
+        {
+            declaration: {
+                name: 'search_knowledge_base',
+                description: 'Search the Sayonara knowledge base (wiping methods, NIST 800-88, certificates, environmental impact). Returns the best matching passages.',
+                parameters: {
+                    type: SchemaType.OBJECT,
+                    properties: {
+                        query: { type: SchemaType.STRING, description: 'What to look up' },
+                        topK: { type: SchemaType.INTEGER, description: 'Number of passages to return (default 3)' }
+                    },
+                    required: ['query']
+                }
+            },
+            async execute({ query, topK }) {
+                const results = await searchKnowledgeBase(query, { limit: Math.min(topK || 3, 8) });
+                return {
+                    results: results.map(r => ({
+                        chunkId: r.id,
+                        source: r.source,
+                        heading: r.heading,
+                        relevance: r.relevance,
+                        text: snippet(r.content, 600)
+                    }))
+                };
+            }
+        },
+        {
+            declaration: {
+                name: 'estimate_wipe_time',
+                description: 'Estimate how long wiping a storage device takes and which NIST 800-88 category (Clear/Purge/Destroy) the method achieves. Passing overwrite passes together with a firmware method gives a dual-phase estimate.',
+                parameters: {
+                    type: SchemaType.OBJECT,
+                    properties: {
+                        deviceType: { type: SchemaType.STRING, format: 'enum', enum: Object.keys(DEVICE_TYPES), description: 'Kind of device' },
+                        capacityGB: { type: SchemaType.NUMBER, description: 'Capacity in GB (1 TB = 1000 GB)' },
+                        method: { type: SchemaType.STRING, format: 'enum', enum: Object.keys(METHODS), description: 'Sanitization method (default: the recommended Purge method for the device)' },
+                        passes: { type: SchemaType.INTEGER, description: 'Overwrite passes; before a firmware method this makes it dual-phase' },
+                        interface: { type: SchemaType.STRING, format: 'enum', enum: Object.keys(INTERFACES), description: 'Connection the device is wiped over' },
+                        throughputMBps: { type: SchemaType.NUMBER, description: 'Measured write speed in MB/s, overrides the device and interface defaults' },
+                        verification: { type: SchemaType.STRING, format: 'enum', enum: Object.keys(VERIFICATION_SHARE), description: 'Read-back verification after the wipe' }
+                    },
+                    required: ['deviceType', 'capacityGB']
+                }
+            },
+            async execute(args) {
+                const { estimate, error } = estimateWipe(args);
+                if (error) throw new Error(error);
+                return estimate;
+            }
+        },
+        {
+            declaration: {
+                name: 'lookup_certificate',
+                description: 'Look up a wipe certificate by id (e.g. SAY-20250101-ABCD1234) and check its signature and ledger record.',
+                parameters: {
+                    type: SchemaType.OBJECT,
+                    properties: {
+                        certId: { type: SchemaType.STRING, description: 'Certificate id' }
+                    },
+                    required: ['certId']
+                }
+            },
+            async execute({ certId }) {
+                const doc = await certificateAuthority.get(String(certId).trim());
+                const onLedger = await ledger.verify(certId);
+                if (!doc) {
+                    return { found: false, ledger: { found: onLedger.found, valid: onLedger.valid } };
+                }
+                return {
+                    found: true,
+                    certificate: doc.certificate,
+                    signature: certificateAuthority.verify(doc),
+                    ledger: { adapter: ledger.name, found: onLedger.found, valid: onLedger.valid, errors: onLedger.errors }
+                };
+            }
+        },
+        {
+            declaration: {
+                name: 'calculate_impact',
+                description: 'Calculate the environmental impact of a batch of wiped devices: e-waste diverted, CO₂ avoided and estimated resale value.',
+                parameters: {
+                    type: SchemaType.OBJECT,
+                    properties: {
+                        devices: {
+                            type: SchemaType.ARRAY,
+                            description: 'Device groups in the batch',
+                            items: {
+                                type: SchemaType.OBJECT,
+                                properties: {
+                                    category: { type: SchemaType.STRING, format: 'enum', enum: Object.keys(DEFAULT_FACTORS.categories) },
+                                    quantity: { type: SchemaType.INTEGER },
+                                    ageYears: { type: SchemaType.NUMBER },
+                                    condition: { type: SchemaType.STRING, format: 'enum', enum: Object.keys(DEFAULT_FACTORS.conditions) },
+                                    disposition: { type: SchemaType.STRING, format: 'enum', enum: Object.keys(DEFAULT_FACTORS.dispositions) }
+                                },
+                                required: ['category', 'quantity']
+                            }
+                        }
+                    },
+                    required: ['devices']
+                }
+            },
+            async execute({ devices = [] }) {
+                const { factors, ...report } = impactCalculator.calculate(devices);
+                return report;
+            }
+        },
+        {
+            declaration: {
+                name: 'query_inventory',
+                description: 'Count, total or list devices in the inventory imported into this conversation (CSV/XLSX via /inventory). Filters combine with AND; leave a filter out to match everything.',
+                parameters: {
+                    type: SchemaType.OBJECT,
+                    properties: {
+                        type: {
+                            type: SchemaType.ARRAY,
+                            description: 'Device types to include',
+                            items: { type: SchemaType.STRING, format: 'enum', enum: Object.keys(DEVICE_TYPES) }
+                        },
+                        status: {
+                            type: SchemaType.ARRAY,
+                            description: 'Wipe statuses to include',
+                            items: { type: SchemaType.STRING, format: 'enum', enum: Object.keys(STATUSES) }
+                        },
+                        certified: { type: SchemaType.BOOLEAN, description: 'true for devices with a certificate, false for devices without one' },
+                        minCapacityGB: { type: SchemaType.NUMBER },
+                        maxCapacityGB: { type: SchemaType.NUMBER },
+                        search: { type: SchemaType.STRING, description: 'Part of a serial number, model, asset tag or certificate id' },
+                        groupBy: { type: SchemaType.STRING, format: 'enum', enum: GROUP_FIELDS },
+                        metric: { type: SchemaType.STRING, format: 'enum', enum: METRICS, description: 'count (default), capacity totals, or list the matching devices' },
+                        limit: { type: SchemaType.INTEGER, description: 'Maximum devices to list (default 20)' }
+                    }
+                }
+            },
+            async execute(args, { conversationId } = {}) {
+                const inventory = conversationId && inventoryStore.get(conversationId);
+                if (!inventory) throw new Error('No device inventory has been imported into this conversation; ask the user to attach a CSV or XLSX file with /inventory.');
+                const { query, ...result } = queryInventory(inventory.devices, args);
+                return { filters: describeQuery(query), ...result };
+            }
+        }
+    ];
+}
+
+module.exports = { createAgentTools };
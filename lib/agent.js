@@ -0,0 +1,93 @@
+// lib/agent.js - Tool-using agent loop on model function calling
+// The model either answers or asks for tool calls; calls are executed and their
+// results sent back until it answers or the step limit is reached. Works with any
+// provider from lib/llm-providers.js.
+
+const AGENT_INSTRUCTION = `You can call tools to look things up and calculate. Use them instead of guessing whenever a question needs knowledge base facts, wipe durations, certificate details, environmental impact figures or counts from the device inventory imported into this conversation. When you have what you need, answer the user directly and mention which tool results you relied on.`;
+
+// Run one tool call and record it in the trace
+async function runTool(tools, call, step, context) {
+    const tool = tools.find(t => t.declaration.name === call.name);
+    const started = Date.now();
+    const entry = { step, tool: call.name, args: call.args || {} };
+
+    try {
+        if (!tool) throw new Error(`Unknown tool "${call.name}"`);
+        entry.output = await tool.execute(call.args || {}, context);
+    } catch (error) {
+        entry.error = error.message;
+    }
+    entry.durationMs = Date.now() - started;
+    return entry;
+}
+
+// Returns { answer, trace, steps, stoppedEarly, model, usage }; `steps` counts model turns
+// that called tools. `toolContext` (e.g. the conversation id) is passed to every tool's execute()
+async function runAgent({ provider, model, systemInstruction = '', tools, query, history = [], maxSteps = 5, generationConfig = {}, toolContext = {} }) {
+    const contents = [...history];
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    let usedModel = model;
+
+    // One model turn; the exchange is kept so the next turn sees it
+    const send = async (message) => {
+        const response = await provider.chat({
+            model,
+            system: `${systemInstruction}\n\n${AGENT_INSTRUCTION}`.trim(),
+            history: contents,
+            message,
+            generationConfig,
+            tools: tools.map(t => t.declaration)
+        });
+        contents.push({ role: 'user', parts: typeof message === 'string' ? [{ text: message }] : message }, response.content);
+        for (const key of Object.keys(usage)) usage[key] += response.usage[key];
+        usedModel = response.model;
+        return response;
+    };
+
+    const trace = [];
+    let steps = 0;
+    let stoppedEarly = false;
+    let response = await send(query);
+
+    while (response.functionCalls.length) {
+        const calls = response.functionCalls;
+
+        if (steps >= maxSteps) {
+            // Out of steps: decline the pending calls so the model answers with what it has
+            stoppedEarly = true;
+            response = await send(calls.map(call => ({
+                functionResponse: {
+                    name: call.name,
+                    response: { error: `Step limit of ${maxSteps} reached; answer with the information you already have.` }
+                }
+            })));
+            break;
+        }
+
+        steps++;
+        const entries = [];
+        for (const call of calls) {
+            entries.push(await runTool(tools, call, steps, toolContext));
+        }
+        trace.push(...entries);
+
+        response = await send(entries.map(entry => ({
+            functionResponse: {
+                name: entry.tool,
+                response: entry.error ? { error: entry.error } : entry.output
+            }
+        })));
+    }
+
+    let answer = response.text;
+    if (!answer) {
+        answer = stoppedEarly
+            ? `I reached the limit of ${maxSteps} tool steps before finishing. Here is what the tools returned so far:\n\n` +
+                trace.map(t => `- **${t.tool}**: ${t.error ? `error: ${t.error}` : '```' + JSON.stringify(t.output) + '```'}`).join('\n')
+            : 'I could not produce an answer for that request.';
+    }
+
+    return { answer, trace, steps, stoppedEarly, model: usedModel, usage };
+}
+
+module.exports = { runAgent, AGENT_INSTRUCTION };
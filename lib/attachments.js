@@ -0,0 +1,145 @@
+// lib/attachments.js - Files attached to chat messages
+// The ingested text of each attachment is kept on disk next to a small index, so a
+// conversation's files can be put back into the model context on every turn
+
+const fs = require('fs').promises;
+const path = require('path');
+const { describeStructure } = require('./file-ingest');
+
+class AttachmentStore {
+    constructor(dir) {
+        this.dir = dir;
+        this.indexPath = path.join(dir, 'index.json');
+        // Keyed by request-supplied ids, so no prototype
+        this.attachments = Object.create(null);
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            this.attachments = Object.assign(Object.create(null), JSON.parse(await fs.readFile(this.indexPath, 'utf-8')));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return this;
+    }
+
+    // Serialise index writes so concurrent uploads never interleave on disk
+    save() {
+        const write = this.writeQueue.then(async () => {
+            const tmpPath = `${this.indexPath}.tmp`;
+            await fs.mkdir(this.dir, { recursive: true });
+            await fs.writeFile(tmpPath, JSON.stringify(this.attachments, null, 2));
+            await fs.rename(tmpPath, this.indexPath);
+        });
+        this.writeQueue = write.catch(error => {
+            console.error('Attachment index write failed:', error);
+        });
+        return write;
+    }
+
+    textPath(id) {
+        return path.join(this.dir, `${id}.txt`);
+    }
+
+    dataPath(id) {
+        return path.join(this.dir, `${id}.bin`);
+    }
+
+    // Store an ingested file (see lib/file-ingest.js) and return its descriptor. Uploads
+    // without a conversation stay usable by the session that sent them.
+    async add(conversationId, ingested, { sessionId } = {}) {
+        const id = 'a' + Date.now() + Math.random().toString(36).substr(2, 5);
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(this.textPath(id), ingested.text);
+        // Images are sent to the model as inline parts, so keep the bytes too
+        if (ingested.data) await fs.writeFile(this.dataPath(id), ingested.data);
+
+        this.attachments[id] = {
+            id,
+            conversationId: conversationId || null,
+            sessionId: conversationId ? null : sessionId || null,
+            filename: ingested.filename,
+            type: ingested.type,
+            size: ingested.size,
+            characters: ingested.text.length,
+            structure: ingested.structure,
+            createdAt: new Date().toISOString()
+        };
+        await this.save();
+        return this.attachments[id];
+    }
+
+    get(id) {
+        return this.attachments[id] || null;
+    }
+
+    // The attachments among `ids` that a turn may read: those of its own conversation and
+    // unbound uploads from its session. Knowing an id is not enough to pull another
+    // conversation's file into a prompt.
+    resolve(ids, { conversationId, sessionId } = {}) {
+        return ids
+            .map(id => this.get(id))
+            .filter(a => a && (a.conversationId
+                ? a.conversationId === conversationId
+                : Boolean(a.sessionId) && a.sessionId === sessionId));
+    }
+
+    // Newest first
+    forConversation(conversationId) {
+        return Object.values(this.attachments)
+            .filter(a => a.conversationId === conversationId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async readText(id) {
+        return fs.readFile(this.textPath(id), 'utf-8');
+    }
+
+    // Gemini inline data for an image attachment
+    async readImage(id) {
+        const attachment = this.get(id);
+        const data = await fs.readFile(this.dataPath(id));
+        return { mimeType: attachment.structure.mimeType, data: data.toString('base64') };
+    }
+
+    async removeConversation(conversationId) {
+        const removed = this.forConversation(conversationId);
+        for (const attachment of removed) {
+            delete this.attachments[attachment.id];
+            await fs.unlink(this.textPath(attachment.id)).catch(() => {});
+            if (attachment.type === 'image') await fs.unlink(this.dataPath(attachment.id)).catch(() => {});
+        }
+        if (removed.length) await this.save();
+        return removed.length;
+    }
+}
+
+// Prepend attached files to the prompt. `files` are { attachment, text } in priority
+// order; they share `maxChars` and whatever does not fit is truncated or only named.
+function buildAttachmentPrompt(prompt, files, { maxChars = 30000 } = {}) {
+    let remaining = maxChars;
+    const included = [];
+    const omitted = [];
+
+    for (const { attachment, text } of files) {
+        if (remaining <= 0) {
+            omitted.push(attachment.filename);
+            continue;
+        }
+        const shown = text.substring(0, remaining);
+        remaining -= shown.length;
+        included.push(`--- ${attachment.filename} (${describeStructure(attachment)}) ---\n${shown}` +
+            (shown.length < text.length ? `\n[truncated: showing the first ${shown.length} of ${text.length} characters]` : ''));
+    }
+
+    return `Files the user attached to this conversation:
+
+${included.join('\n\n')}
+${omitted.length ? `\nAlso attached but not shown for space: ${omitted.join(', ')}\n` : ''}
+Use these files when they are relevant to the message below, and refer to line, row or page numbers when you quote them.
+
+${prompt}`;
+}
+
+module.exports = { AttachmentStore, buildAttachmentPrompt };
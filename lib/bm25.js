@@ -0,0 +1,133 @@
+// lib/bm25.js - Lexical retrieval with BM25
+// Tokenizes, drops stopwords, stems and scores documents over an inverted index
+
+const STOPWORDS = new Set([
+    'a', 'about', 'above', 'after', 'again', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+    'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+    'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further',
+    'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how',
+    'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most', 'my',
+    'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'own',
+    'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them', 'then',
+    'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up',
+    'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with',
+    'would', 'you', 'your', 'yours'
+]);
+
+// Derivational suffixes folded after plurals and -ed/-ing are removed (subset of Porter steps 2-4)
+const SUFFIXES = [
+    ['ational', ''], ['ization', ''], ['iveness', ''], ['fulness', ''], ['ousness', ''],
+    ['tional', 'tion'], ['biliti', 'ble'], ['ation', ''], ['alism', ''], ['aliti', ''],
+    ['iviti', ''], ['ement', ''], ['ment', ''], ['ness', ''], ['able', ''], ['ible', ''],
+    ['ance', ''], ['ence', ''], ['izer', ''], ['ator', ''], ['ical', 'ic'], ['ful', ''],
+    ['ous', ''], ['ive', ''], ['ize', ''], ['ate', ''], ['iti', ''], ['al', ''], ['er', '']
+];
+
+const hasVowel = (s) => /[aeiouy]/.test(s);
+
+// Light Porter-style stemmer: "sanitization", "sanitizing" and "sanitized" all become "sanit"
+function stem(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+    let w = word;
+
+    // Plurals
+    if (w.endsWith('sses')) w = w.slice(0, -2);
+    else if (w.endsWith('ies')) w = w.slice(0, -2);
+    else if (w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us')) w = w.slice(0, -1);
+
+    // -ed / -ing
+    const inflection = w.match(/^(.+?)(ed|ing)$/);
+    if (inflection && hasVowel(inflection[1]) && inflection[1].length >= 3) {
+        w = inflection[1];
+        if (/(at|bl|iz)$/.test(w)) w += 'e';
+        else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    }
+
+    // y -> i so "recovery" and "recoveries" agree
+    if (w.endsWith('y') && hasVowel(w.slice(0, -1))) w = w.slice(0, -1) + 'i';
+
+    for (const [suffix, replacement] of SUFFIXES) {
+        if (w.endsWith(suffix) && w.length - suffix.length >= 3) {
+            w = w.slice(0, -suffix.length) + replacement;
+            break;
+        }
+    }
+
+    return w.replace(/e$/, '');
+}
+
+// Lowercased word tokens; hyphenated terms also yield their parts ("dual-phase" -> dual-phase, dual, phase)
+function tokenize(text) {
+    const normalized = String(text || '').normalize('NFKD').toLowerCase();
+    const tokens = [];
+    for (const raw of normalized.match(/[a-z0-9]+(?:[-.][a-z0-9]+)*/g) || []) {
+        const parts = raw.includes('-') ? [raw, ...raw.split('-')] : [raw];
+        for (const part of parts) {
+            if (part.length < 2 || STOPWORDS.has(part)) continue;
+            tokens.push(stem(part));
+        }
+    }
+    return tokens;
+}
+
+class BM25Index {
+    constructor({ k1 = 1.2, b = 0.75 } = {}) {
+        this.k1 = k1;
+        this.b = b;
+        this.ids = [];
+        this.lengths = [];
+        this.postings = new Map(); // term -> Map(docIndex -> term frequency)
+        this.totalLength = 0;
+    }
+
+    // Index a document from its tokens
+    add(id, tokens) {
+        const doc = this.ids.length;
+        this.ids.push(id);
+        this.lengths.push(tokens.length);
+        this.totalLength += tokens.length;
+
+        for (const token of tokens) {
+            if (!this.postings.has(token)) this.postings.set(token, new Map());
+            const docs = this.postings.get(token);
+            docs.set(doc, (docs.get(doc) || 0) + 1);
+        }
+        return this;
+    }
+
+    get size() {
+        return this.ids.length;
+    }
+
+    idf(term) {
+        const df = this.postings.get(term)?.size || 0;
+        return Math.log(1 + (this.size - df + 0.5) / (df + 0.5));
+    }
+
+    // Top documents for a query; ties keep index order so results are stable
+    search(query, { limit = 3, minScore = 0 } = {}) {
+        if (!this.size) return [];
+        const terms = [...new Set(Array.isArray(query) ? query : tokenize(query))];
+        const averageLength = this.totalLength / this.size || 1;
+        const scores = new Map();
+
+        for (const term of terms) {
+            const docs = this.postings.get(term);
+            if (!docs) continue;
+            const idf = this.idf(term);
+
+            for (const [doc, tf] of docs) {
+                const norm = this.k1 * (1 - this.b + this.b * this.lengths[doc] / averageLength);
+                scores.set(doc, (scores.get(doc) || 0) + idf * (tf * (this.k1 + 1)) / (tf + norm));
+            }
+        }
+
+        return [...scores]
+            .filter(([, score]) => score > minScore)
+            .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+            .slice(0, limit)
+            .map(([doc, score]) => ({ id: this.ids[doc], score }));
+    }
+}
+
+module.exports = { BM25Index, tokenize, stem, STOPWORDS };
@@ -0,0 +1,301 @@
+// lib/certificates.js - Signed wipe certificates
+// Builds a certificate from wipe parameters, hashes its canonical JSON with
+// SHA-256 and signs the hash with the server's Ed25519 key pair. Verifier results
+// are only taken from reports this server produced (recordVerification), and
+// signatures are only trusted from keys in the server's own key directory.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// JSON with sorted keys so the same certificate always hashes the same way
+function canonicalize(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+const keyIdOf = (publicKey) => sha256(publicKey.export({ type: 'spki', format: 'pem' })).substring(0, 16);
+
+const NIST_CATEGORIES = ['Clear', 'Purge', 'Destroy'];
+
+// Wipe phases as the /wipe planner writes them: { phase, action and/or command, passes }
+function phasesError(phases) {
+    if (!Array.isArray(phases)) return 'phases must be an array';
+    const bad = phases.findIndex(p => !p || typeof p !== 'object'
+        || !['number', 'string'].includes(typeof p.phase)
+        || typeof (p.command ?? p.action) !== 'string'
+        || (p.passes !== undefined && !(Number.isInteger(p.passes) && p.passes > 0)));
+    return bad === -1 ? null : `phases[${bad}] must be { phase, action or command, passes (a positive integer) }`;
+}
+
+// Printable date, or the raw value for documents signed before dates were checked
+function formatDate(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value ?? '—') : date.toUTCString();
+}
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[ch]));
+}
+
+class CertificateAuthority {
+    constructor(dir, { issuer = 'Sayonara Secure Data Wiping Platform' } = {}) {
+        this.dir = dir;
+        this.issuer = issuer;
+        this.privateKey = null;
+        this.publicKey = null;
+        // keyId -> public key for the current key and any retired *.pub kept in keys/
+        this.keys = new Map();
+    }
+
+    // Load the signing key pair, generating one on first run
+    async load() {
+        const keyDir = path.join(this.dir, 'keys');
+        const privatePath = path.join(keyDir, 'certificate-signing.key');
+        const publicPath = path.join(keyDir, 'certificate-signing.pub');
+
+        try {
+            this.privateKey = crypto.createPrivateKey(await fs.readFile(privatePath, 'utf-8'));
+            this.publicKey = crypto.createPublicKey(await fs.readFile(publicPath, 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+
+            const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+            await fs.mkdir(keyDir, { recursive: true });
+            await fs.writeFile(privatePath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+            await fs.writeFile(publicPath, publicKey.export({ type: 'spki', format: 'pem' }));
+            this.privateKey = privateKey;
+            this.publicKey = publicKey;
+            console.log('🔑 Generated new certificate signing key pair');
+        }
+
+        for (const file of (await fs.readdir(keyDir)).filter(f => f.endsWith('.pub'))) {
+            const publicKey = crypto.createPublicKey(await fs.readFile(path.join(keyDir, file), 'utf-8'));
+            this.keys.set(keyIdOf(publicKey), publicKey);
+        }
+
+        await fs.mkdir(path.join(this.dir, 'certificates'), { recursive: true });
+        await fs.mkdir(path.join(this.dir, 'verifications'), { recursive: true });
+        return this;
+    }
+
+    publicKeyPem() {
+        return this.publicKey.export({ type: 'spki', format: 'pem' });
+    }
+
+    keyId() {
+        return keyIdOf(this.publicKey);
+    }
+
+    // Keep a /verify report so a certificate can later cite it by reportId
+    async recordVerification(report) {
+        const reportId = 'VR-' + crypto.randomBytes(8).toString('hex');
+        const file = path.join(this.dir, 'verifications', `${reportId}.json`);
+        await fs.writeFile(file, JSON.stringify(report, null, 2));
+        return reportId;
+    }
+
+    async getVerification(reportId) {
+        if (!/^VR-[0-9a-f]{16}$/.test(String(reportId))) return null;
+        try {
+            return JSON.parse(await fs.readFile(path.join(this.dir, 'verifications', `${reportId}.json`), 'utf-8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Accept explicit fields, a /wipe plan and/or a report stored by recordVerification.
+    // With a report, the category and completion time are the verifier's, not the client's.
+    // Throws on fields that are missing or malformed.
+    buildCertificate({ deviceId, method, nistCategory, phases, timestamp, plan, report } = {}) {
+        const device = plan?.device || {};
+        const resolvedDeviceId = deviceId || device.identifier || report?.device?.serial || report?.device?.model;
+        const issuedAt = new Date().toISOString();
+        const wipe = {
+            method: method || plan?.method?.label || null,
+            nistCategory: report ? report.nistCategory : nistCategory || plan?.method?.nistCategory || null,
+            phases: phases || plan?.phases || [],
+            completedAt: report ? report.checkedAt : timestamp || issuedAt
+        };
+
+        if (!resolvedDeviceId) {
+            throw new Error('A device id is required (pass deviceId, a wipe plan with an identifier, or a verified log)');
+        }
+        if (!['string', 'number'].includes(typeof resolvedDeviceId)) {
+            throw new Error('deviceId must be a string');
+        }
+        if (wipe.method !== null && typeof wipe.method !== 'string') {
+            throw new Error('method must be a string');
+        }
+        if (wipe.nistCategory !== null && !NIST_CATEGORIES.includes(wipe.nistCategory)) {
+            throw new Error(`nistCategory must be one of ${NIST_CATEGORIES.join(', ')}`);
+        }
+        if (phasesError(wipe.phases)) {
+            throw new Error(phasesError(wipe.phases));
+        }
+        const completedAt = new Date(wipe.completedAt);
+        if (typeof wipe.completedAt !== 'string' || Number.isNaN(completedAt.getTime())) {
+            throw new Error('timestamp must be an ISO 8601 date');
+        }
+        if (completedAt > new Date(issuedAt)) {
+            throw new Error('timestamp cannot be in the future');
+        }
+
+        return {
+            certId: 'SAY-' + issuedAt.substring(0, 10).replace(/-/g, '') + '-' + crypto.randomBytes(4).toString('hex').toUpperCase(),
+            version: 1,
+            standard: 'NIST SP 800-88 Rev.1',
+            issuer: this.issuer,
+            issuedAt,
+            device: {
+                id: String(resolvedDeviceId),
+                type: device.label || report?.device?.type || null,
+                capacityGB: device.capacityGB || null
+            },
+            wipe: {
+                ...wipe,
+                phases: wipe.phases.map(({ phase, action, command, pattern, passes, description }) =>
+                    ({ phase, action, command, pattern, passes, description })),
+                completedAt: completedAt.toISOString(),
+                planId: typeof plan?.planId === 'string' ? plan.planId : null
+            },
+            verification: report ? {
+                verdict: report.verdict,
+                nistCategory: report.nistCategory,
+                checks: report.checks.map(c => ({ id: c.id, status: c.status })),
+                reportId: report.reportId
+            } : null
+        };
+    }
+
+    // Hash and sign a certificate body, then persist the signed document. The verifier
+    // result is looked up by `reportId`; results sent by the client are never signed.
+    async issue({ reportId, ...input } = {}) {
+        const report = reportId ? await this.getVerification(reportId) : null;
+        if (reportId && !report) {
+            throw new Error(`Unknown verification report: ${reportId} (run /verify on this server first)`);
+        }
+        const certificate = this.buildCertificate({ ...input, report: report && { ...report, reportId } });
+        const contentHash = sha256(canonicalize(certificate));
+        const signature = crypto.sign(null, Buffer.from(contentHash, 'hex'), this.privateKey).toString('base64');
+
+        const doc = {
+            certificate,
+            contentHash: `sha256:${contentHash}`,
+            signature: {
+                algorithm: 'Ed25519',
+                keyId: this.keyId(),
+                value: signature,
+                publicKey: this.publicKeyPem()
+            },
+            ledger: null
+        };
+        await this.save(doc);
+        return doc;
+    }
+
+    async save(doc) {
+        const file = path.join(this.dir, 'certificates', `${doc.certificate.certId}.json`);
+        await fs.writeFile(file, JSON.stringify(doc, null, 2));
+    }
+
+    async get(certId) {
+        if (!/^[\w-]+$/.test(certId)) return null;
+        try {
+            const file = path.join(this.dir, 'certificates', `${certId}.json`);
+            return JSON.parse(await fs.readFile(file, 'utf-8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Recompute the content hash and check the signature with the registered key for its
+    // keyId; the public key embedded in the document is informational and never trusted
+    verify(doc) {
+        const contentHash = sha256(canonicalize(doc.certificate));
+        const hashMatches = doc.contentHash === `sha256:${contentHash}`;
+        const publicKey = this.keys.get(doc.signature?.keyId);
+        let signatureValid = false;
+        if (publicKey) {
+            try {
+                signatureValid = crypto.verify(
+                    null,
+                    Buffer.from(contentHash, 'hex'),
+                    publicKey,
+                    Buffer.from(String(doc.signature.value), 'base64')
+                );
+            } catch (error) {
+                signatureValid = false;
+            }
+        }
+
+        return {
+            valid: hashMatches && signatureValid,
+            hashMatches,
+            signatureValid,
+            issuedByThisServer: !!publicKey
+        };
+    }
+
+    // Printable HTML rendering (use the browser's "Save as PDF" for a PDF copy)
+    renderHtml(doc) {
+        const { certificate: c, contentHash, signature, ledger } = doc;
+        const row = (label, value) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+        const phases = (Array.isArray(c.wipe.phases) ? c.wipe.phases : []).map(p => `${p.phase}) ${p.command || p.action}${p.passes ? ` ×${p.passes}` : ''}`).join(', ');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Certificate of Data Sanitization ${escapeHtml(c.certId)}</title>
+    <style>
+        body { font-family: 'Inter', system-ui, sans-serif; max-width: 800px; margin: 40px auto; color: #1e293b; }
+        h1 { text-align: center; color: #4338ca; margin-bottom: 4px; }
+        .subtitle { text-align: center; color: #64748b; margin-top: 0; }
+        table { width: 100%; border-collapse: collapse; margin: 24px 0; }
+        th, td { text-align: left; padding: 8px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+        th { width: 35%; color: #475569; }
+        code { font-size: 12px; word-break: break-all; }
+        .verdict { text-align: center; font-size: 20px; font-weight: 700; color: ${c.verification?.verdict === 'fail' ? '#dc2626' : '#16a34a'}; }
+        @media print { button { display: none; } }
+    </style>
+</head>
+<body>
+    <h1>Certificate of Data Sanitization</h1>
+    <p class="subtitle">${escapeHtml(c.standard)} · Issued by ${escapeHtml(c.issuer)}</p>
+    <p class="verdict">${escapeHtml(c.wipe.nistCategory || 'Unclassified')}${c.verification ? ` · Verification ${escapeHtml(c.verification.verdict)}` : ''}</p>
+    <table>
+        ${row('Certificate ID', c.certId)}
+        ${row('Issued', formatDate(c.issuedAt))}
+        ${row('Device', [c.device.id, c.device.type, c.device.capacityGB ? `${c.device.capacityGB} GB` : null].filter(Boolean).join(' · '))}
+        ${row('Method', c.wipe.method || '—')}
+        ${row('Phases', phases || '—')}
+        ${row('Completed', formatDate(c.wipe.completedAt))}
+        ${row('Ledger', ledger ? `${ledger.adapter} entry ${ledger.hash}` : 'Not recorded')}
+    </table>
+    <h3>Integrity</h3>
+    <table>
+        <tr><th>Content hash</th><td><code>${escapeHtml(contentHash)}</code></td></tr>
+        <tr><th>Signature (${escapeHtml(signature.algorithm)}, key ${escapeHtml(signature.keyId)})</th><td><code>${escapeHtml(signature.value)}</code></td></tr>
+    </table>
+    <button onclick="window.print()">Print / Save as PDF</button>
+</body>
+</html>`;
+    }
+}
+
+module.exports = { CertificateAuthority, canonicalize };
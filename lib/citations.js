@@ -0,0 +1,62 @@
+// lib/citations.js - Numbered source citations for RAG answers
+// Knowledge base chunks are listed in the prompt as [1], [2], ... and returned
+// to the client with the same numbers so the markers in the answer resolve
+
+const SNIPPET_LENGTH = 240;
+
+// Whitespace-collapsed excerpt cut at a word boundary
+function snippet(text, length = SNIPPET_LENGTH) {
+    const flat = String(text || '').replace(/\s+/g, ' ').trim();
+    if (flat.length <= length) return flat;
+    const cut = flat.lastIndexOf(' ', length);
+    return flat.substring(0, cut > 0 ? cut : length) + '…';
+}
+
+// Citation numbers that appear in an answer, e.g. "[1][3]" -> Set {1, 3}
+function citedIndexes(text) {
+    return new Set([...String(text || '').matchAll(/\[(\d+)\]/g)].map(m => Number(m[1])));
+}
+
+// Prompt that numbers each retrieved chunk and asks the model to cite them
+function buildCitedPrompt(question, results) {
+    return `Question: ${question}
+
+Sources from the Sayonara knowledge base:
+${results.map((r, i) => `[${i + 1}] ${r.heading} (${r.source})\n${r.content}`).join('\n\n')}
+
+Please provide a comprehensive answer using these sources and your knowledge about the Sayonara data wiping platform.
+Cite the sources you rely on inline with their numbers in square brackets, e.g. [1] or [1][2], right after the statement they support.
+Only use the numbers listed above.`;
+}
+
+// Citation records for the client, numbered in prompt order. `cited` marks the
+// ones the answer actually references.
+function buildCitations(results, answer = '') {
+    const cited = citedIndexes(answer);
+    return results.map((r, i) => ({
+        index: i + 1,
+        chunkId: r.id,
+        source: r.source,
+        heading: r.heading,
+        topic: r.topic,
+        position: r.position,
+        snippet: snippet(r.content),
+        score: r.relevance,
+        relevance: r.relevance,
+        lexicalScore: r.lexicalScore ?? null,
+        vectorScore: r.vectorScore ?? null,
+        cited: cited.has(i + 1)
+    }));
+}
+
+// Answer made only of knowledge base excerpts, for when no model is available.
+// Each excerpt carries its [n] marker so buildCitations() marks it as cited.
+function buildExtractiveAnswer(results, notice) {
+    if (!results.length) {
+        return `${notice}\n\nThe knowledge base has nothing on this question either, so please try again in a moment.`;
+    }
+    return `${notice} Here is what the Sayonara knowledge base says:\n\n` +
+        results.map((r, i) => `**${r.heading}** [${i + 1}]\n${snippet(r.content, 600)}`).join('\n\n');
+}
+
+module.exports = { buildCitedPrompt, buildCitations, buildExtractiveAnswer, citedIndexes, snippet };
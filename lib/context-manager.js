@@ -0,0 +1,113 @@
+// lib/context-manager.js - Token-budgeted chat history
+// Normalises history for Gemini, then compresses and trims the oldest turns
+// until system instruction + history + new message (+ reserved tokens) fit the budget
+
+const { estimateTokens } = require('./summarizer');
+
+const TRUNCATED_MARKER = '… [truncated]';
+
+function turnText(turn) {
+    return turn.parts.map(p => p.text || '').join('');
+}
+
+// Gemini wants alternating roles starting with a user turn and no empty parts
+function normalizeHistory(history = []) {
+    const turns = [];
+    for (const turn of history) {
+        const text = turnText(turn);
+        if (!text.trim()) continue;
+
+        const role = turn.role === 'user' ? 'user' : 'model';
+        const last = turns[turns.length - 1];
+        if (last && last.role === role) {
+            last.parts = [{ text: `${turnText(last)}\n\n${text}` }];
+        } else {
+            turns.push({ role, parts: [{ text }] });
+        }
+    }
+    while (turns.length && turns[0].role !== 'user') turns.shift();
+    return turns;
+}
+
+class ContextManager {
+    // countTokens(contents) -> Promise<number>; falls back to the estimator when absent or failing
+    constructor({ budget = 8000, keepRecent = 2, maxTurnTokens = 1000, pinned = 0, countTokens = null } = {}) {
+        this.budget = budget;
+        this.keepRecent = keepRecent;
+        this.maxTurnTokens = maxTurnTokens;
+        this.pinned = pinned;
+        this.countTokens = countTokens;
+    }
+
+    // Measure contents with the real tokenizer when available
+    async measure(contents, countTokens = this.countTokens) {
+        const estimate = contents.reduce((sum, c) => sum + estimateTokens(turnText(c)), 0);
+        if (!countTokens) return { tokens: estimate, estimate, source: 'estimate' };
+        try {
+            const tokens = await countTokens(contents);
+            return { tokens, estimate, source: 'countTokens' };
+        } catch (error) {
+            return { tokens: estimate, estimate, source: 'estimate' };
+        }
+    }
+
+    // Returns the history to send and a report for response metadata.
+    // `pinned` leading turns (e.g. a rolling summary) are never dropped; `countTokens`
+    // overrides the constructor's counter for this call (e.g. the turn's model);
+    // `reserved` covers prompt parts that are not text (images).
+    async fit(history, { system = '', message = '', reserved = 0, budget = this.budget, pinned = this.pinned, countTokens = this.countTokens } = {}) {
+        let turns = normalizeHistory(history);
+        const totalMessages = turns.length;
+        const fixed = [
+            { role: 'user', parts: [{ text: system }] },
+            { role: 'user', parts: [{ text: message }] }
+        ];
+
+        const measured = await this.measure([...fixed, ...turns], countTokens);
+        // Scale per-turn estimates so they agree with the real count
+        const ratio = measured.estimate > 0 ? measured.tokens / measured.estimate : 1;
+        const cost = (turn) => Math.ceil(estimateTokens(turnText(turn)) * ratio);
+
+        let tokens = measured.tokens + reserved;
+        const truncated = new Set();
+        const protectedFrom = Math.max(pinned, turns.length - this.keepRecent);
+
+        // 1) Compress: shorten oversized older turns
+        if (tokens > budget) {
+            turns = turns.map((turn, index) => {
+                if (index < pinned || index >= protectedFrom || cost(turn) <= this.maxTurnTokens) return turn;
+                const before = cost(turn);
+                const keepChars = Math.floor(this.maxTurnTokens * 4 / ratio);
+                const shortened = { role: turn.role, parts: [{ text: turnText(turn).substring(0, keepChars) + TRUNCATED_MARKER }] };
+                tokens -= before - cost(shortened);
+                truncated.add(shortened);
+                return shortened;
+            });
+        }
+
+        // 2) Trim: drop the oldest unpinned user/model pairs
+        let dropped = 0;
+        while (tokens > budget && turns.length - pinned > this.keepRecent) {
+            const pair = turns.slice(pinned, pinned + 2);
+            tokens -= pair.reduce((sum, t) => sum + cost(t), 0);
+            turns.splice(pinned, pair.length);
+            dropped += pair.length;
+        }
+
+        return {
+            history: turns,
+            report: {
+                budget,
+                tokens,
+                tokenSource: measured.source,
+                totalMessages,
+                includedMessages: turns.length,
+                droppedMessages: dropped,
+                truncatedMessages: turns.filter(turn => truncated.has(turn)).length,
+                overBudget: tokens > budget
+            }
+        };
+    }
+}
+
+module.exports = { ContextManager, normalizeHistory };
@@ -0,0 +1,198 @@
+// lib/conversation-store.js - Persistent conversation storage
+// Keeps conversations and their messages in a JSON file so chats survive restarts
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_TITLE = 'New Conversation';
+
+// Ids the client ('c' + timestamp) and create() generate; anything else is rejected by the routes
+const CONVERSATION_ID = /^c\d[\w-]{0,63}$/;
+
+const isConversationId = (id) => typeof id === 'string' && CONVERSATION_ID.test(id);
+
+class ConversationStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        // Keyed by request-supplied ids, so no prototype: '__proto__' must stay an ordinary key
+        this.data = { conversations: Object.create(null), messages: [] };
+        this.writeQueue = Promise.resolve();
+    }
+
+    // Load the store from disk, starting empty if the file does not exist yet
+    async load() {
+        try {
+            const raw = await fs.readFile(this.filePath, 'utf-8');
+            const parsed = JSON.parse(raw);
+            this.data = {
+                conversations: Object.assign(Object.create(null), parsed.conversations),
+                messages: parsed.messages || []
+            };
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            await this.save();
+        }
+        return this;
+    }
+
+    // Serialise writes so concurrent requests never interleave on disk. A failed write
+    // rejects for its caller (so the request fails) without blocking later writes.
+    save() {
+        const write = this.writeQueue.then(async () => {
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(tmpPath, JSON.stringify(this.data, null, 2));
+            await fs.rename(tmpPath, this.filePath);
+        });
+        this.writeQueue = write.catch(error => {
+            console.error('Conversation store write failed:', error);
+        });
+        return write;
+    }
+
+    // ------------------------------------------------------------------------
+    // Conversations
+    // ------------------------------------------------------------------------
+
+    list() {
+        return Object.values(this.data.conversations)
+            .map(conv => this.summarize(conv))
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    }
+
+    get(id) {
+        const conv = this.data.conversations[id];
+        if (!conv) return null;
+        return { ...this.summarize(conv), messages: this.getMessages(id) };
+    }
+
+    has(id) {
+        return !!this.data.conversations[id];
+    }
+
+    // Throws on a supplied id that isConversationId rejects, so appendMessage never
+    // creates a conversation the routes cannot address
+    async create({ id, title } = {}) {
+        if (id !== undefined && !isConversationId(id)) {
+            throw new Error(`Invalid conversation id: ${String(id).substring(0, 70)}`);
+        }
+        const conversationId = id || 'c' + Date.now() + Math.random().toString(36).substr(2, 5);
+        if (this.data.conversations[conversationId]) {
+            return this.get(conversationId);
+        }
+
+        const now = new Date().toISOString();
+        this.data.conversations[conversationId] = {
+            id: conversationId,
+            title: title?.trim() || DEFAULT_TITLE,
+            createdAt: now,
+            updatedAt: now
+        };
+        await this.save();
+        return this.get(conversationId);
+    }
+
+    async rename(id, title) {
+        const conv = this.data.conversations[id];
+        if (!conv) return null;
+        conv.title = title.trim();
+        conv.updatedAt = new Date().toISOString();
+        await this.save();
+        return this.get(id);
+    }
+
+    // Persona used as the system instruction for this conversation
+    async setPersona(id, persona) {
+        const conv = this.data.conversations[id];
+        if (!conv) return null;
+        conv.persona = persona;
+        conv.updatedAt = new Date().toISOString();
+        await this.save();
+        return this.get(id);
+    }
+
+    getPersona(id) {
+        return this.data.conversations[id]?.persona || null;
+    }
+
+    async delete(id) {
+        if (!this.data.conversations[id]) return false;
+        delete this.data.conversations[id];
+        this.data.messages = this.data.messages.filter(m => m.conversationId !== id);
+        await this.save();
+        return true;
+    }
+
+    // ------------------------------------------------------------------------
+    // Messages
+    // ------------------------------------------------------------------------
+
+    getMessages(conversationId) {
+        return this.data.messages.filter(m => m.conversationId === conversationId);
+    }
+
+    // Append a message, creating the conversation on first use
+    async appendMessage(conversationId, { role, content, metadata }) {
+        if (!this.data.conversations[conversationId]) {
+            await this.create({ id: conversationId });
+        }
+
+        const conv = this.data.conversations[conversationId];
+        const message = {
+            id: 'm' + Date.now() + Math.random().toString(36).substr(2, 5),
+            conversationId,
+            role,
+            content,
+            metadata: metadata || {},
+            timestamp: new Date().toISOString()
+        };
+
+        this.data.messages.push(message);
+        conv.updatedAt = message.timestamp;
+
+        // Name untitled conversations after their first user message
+        if (conv.title === DEFAULT_TITLE && role === 'user') {
+            conv.title = content.length > 40 ? content.substring(0, 40) + '…' : content;
+        }
+
+        await this.save();
+        return message;
+    }
+
+    // Rolling summary of older turns, stored alongside the conversation
+    getSummary(conversationId) {
+        return this.data.conversations[conversationId]?.summary || null;
+    }
+
+    async setSummary(conversationId, summary) {
+        const conv = this.data.conversations[conversationId];
+        if (!conv) return;
+        conv.summary = summary;
+        await this.save();
+    }
+
+    // Gemini-formatted history for a conversation
+    getChatHistory(conversationId) {
+        return this.getMessages(conversationId).map(m => ({
+            role: m.role === 'user' ? 'user' : 'model',
+            parts: [{ text: m.content }]
+        }));
+    }
+
+    summarize(conv) {
+        const messages = this.getMessages(conv.id);
+        const last = messages[messages.length - 1];
+        return {
+            id: conv.id,
+            title: conv.title,
+            persona: conv.persona || null,
+            lastMessage: last ? last.content.substring(0, 100) : '',
+            messageCount: messages.length,
+            unread: 0,
+            createdAt: conv.createdAt,
+            updatedAt: conv.updatedAt
+        };
+    }
+}
+
+module.exports = { ConversationStore, DEFAULT_TITLE, isConversationId };
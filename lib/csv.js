@@ -0,0 +1,75 @@
+// lib/csv.js - Small RFC 4180 CSV reader
+// Handles quoted cells (with embedded commas, quotes and newlines) and returns
+// rows keyed by normalised header names
+
+// "Capacity (GB)" -> "capacity_gb"
+function normalizeHeader(header) {
+    return String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// Split text into rows of raw cells
+function parseCsvCells(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const src = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+        if (quoted) {
+            if (ch === '"' && src[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && src[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+const isBlank = (cells) => !cells.some(c => c.trim());
+
+// { headers, rows } where each row maps header -> trimmed cell and carries its 1-based record number in the file as `_row`
+function parseCsv(text) {
+    return tableFromCells(parseCsvCells(text));
+}
+
+// Same shape from rows of raw cells from any source (e.g. a spreadsheet); the first non-blank row is the header
+function tableFromCells(all) {
+    const headerIndex = all.findIndex(cells => !isBlank(cells));
+    if (headerIndex === -1) return { headers: [], rows: [] };
+
+    const headers = all[headerIndex].map(normalizeHeader);
+    const rows = [];
+    all.forEach((cells, i) => {
+        if (i <= headerIndex || isBlank(cells)) return;
+        rows.push({
+            _row: i + 1,
+            ...Object.fromEntries(headers.map((h, j) => [h, (cells[j] ?? '').trim()]))
+        });
+    });
+    return { headers, rows };
+}
+
+module.exports = { parseCsv, parseCsvCells, tableFromCells, normalizeHeader };
@@ -0,0 +1,158 @@
+// lib/device-extraction.js - Device details from drive-label photos and wipe-tool screenshots
+// Gemini reads the image with a fixed JSON prompt; the reply is normalised here into
+// device fields the wipe wizard and estimator understand
+
+const { INTERFACES } = require('./wipe-estimator');
+
+const IMAGE_MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp'
+};
+
+const DEVICE_EXTRACTION_PROMPT = `You are reading an image for the Sayonara secure data wiping platform. It is usually a photo of a storage device label (HDD, SSD, NVMe or USB drive) or a screenshot of a wipe tool showing progress, a result or an error.
+
+Respond with JSON only, in this shape:
+{
+  "kind": "drive-label" | "wipe-tool-screen" | "other",
+  "devices": [
+    { "manufacturer": string|null, "model": string|null, "serial": string|null, "capacity": string|null, "interface": string|null, "formFactor": string|null, "firmware": string|null }
+  ],
+  "wipeStatus": { "tool": string|null, "method": string|null, "progress": string|null, "result": string|null, "errors": [string] } | null,
+  "notes": string
+}
+
+Copy model and serial numbers exactly as printed. Give capacity as printed (e.g. "2TB", "512 GB") and the interface as printed (e.g. "SATA 6Gb/s", "PCIe Gen4 x4 NVMe", "USB 3.2"). Use null for anything you cannot read clearly instead of guessing, and an empty devices list if no device is shown. Put anything else relevant to data sanitization in notes.`;
+
+const text = (value) => (value === null || value === undefined || value === '' ? null : String(value).trim());
+
+function capacityToGB(capacity) {
+    const match = String(capacity || '').toLowerCase().match(/(\d+(?:[.,]\d+)?)\s*(tb|t|gb|g)\b/);
+    if (!match) return null;
+    return parseFloat(match[1].replace(',', '.')) * (/^t/.test(match[2]) ? 1000 : 1);
+}
+
+// Wizard device type from whatever the label says
+function detectDeviceType(device) {
+    const t = [device.interface, device.formFactor, device.model, device.manufacturer].filter(Boolean).join(' ').toLowerCase();
+    if (/nvme|pcie/.test(t)) return 'nvme';
+    if (/usb|flash drive|thumb/.test(t)) return 'usb';
+    if (/\bssd\b|solid state/.test(t)) return 'sata-ssd';
+    if (/\bhdd\b|hard (disk|drive)|\d+\s*rpm|\bsata\b|\bsas\b|\bide\b/.test(t)) return 'hdd';
+    return null;
+}
+
+// Estimator interface id ("sata-3", "pcie-4", ...) or null
+function detectInterface(value) {
+    const t = String(value || '').toLowerCase();
+    let id = null;
+    if (/pcie|nvme/.test(t)) id = `pcie-${(t.match(/(?:gen|pcie)\s*([345])/) || [])[1] || '3'}`;
+    else if (/usb\s*3\.[12]|usb\s*3\.\d\s*gen\s*2/.test(t)) id = 'usb-3.2';
+    else if (/usb\s*3/.test(t)) id = 'usb-3';
+    else if (/usb\s*2/.test(t)) id = 'usb-2';
+    else if (/sata\s*(ii\b|2\b)|3\s*gb\/?s/.test(t)) id = 'sata-2';
+    else if (/sata/.test(t)) id = 'sata-3';
+    return id && INTERFACES[id] ? id : null;
+}
+
+function normalizeDevice(device = {}) {
+    const normalized = {
+        manufacturer: text(device.manufacturer),
+        model: text(device.model),
+        serial: text(device.serial),
+        capacity: text(device.capacity),
+        interface: text(device.interface),
+        formFactor: text(device.formFactor),
+        firmware: text(device.firmware)
+    };
+    return {
+        ...normalized,
+        capacityGB: capacityToGB(normalized.capacity),
+        deviceType: detectDeviceType(normalized),
+        interfaceId: detectInterface(normalized.interface)
+    };
+}
+
+// Pull the JSON object out of the model reply; unreadable replies become notes
+function parseDeviceExtraction(reply) {
+    const match = String(reply).match(/\{[\s\S]*\}/);
+    let parsed = null;
+    if (match) {
+        try {
+            parsed = JSON.parse(match[0]);
+        } catch (error) {
+            // Fall through to the notes-only result
+        }
+    }
+    if (!parsed) {
+        return { kind: 'other', devices: [], wipeStatus: null, notes: String(reply).trim() };
+    }
+
+    const status = parsed.wipeStatus && typeof parsed.wipeStatus === 'object' ? parsed.wipeStatus : null;
+    return {
+        kind: ['drive-label', 'wipe-tool-screen'].includes(parsed.kind) ? parsed.kind : 'other',
+        devices: (Array.isArray(parsed.devices) ? parsed.devices : [])
+            .map(normalizeDevice)
+            .filter(d => d.model || d.serial || d.capacity),
+        wipeStatus: status && {
+            tool: text(status.tool),
+            method: text(status.method),
+            progress: text(status.progress),
+            result: text(status.result),
+            errors: Array.isArray(status.errors) ? status.errors.map(String) : []
+        },
+        notes: String(parsed.notes || '').trim()
+    };
+}
+
+// Answers for createWipeWizard(); only the fields that were read are included
+function toWipePrefill(device) {
+    if (!device) return null;
+    const prefill = {};
+    if (device.deviceType) prefill.deviceType = device.deviceType;
+    if (device.capacityGB) prefill.capacity = device.capacityGB;
+    const identifier = [device.model, device.serial && `S/N ${device.serial}`].filter(Boolean).join(' ');
+    if (identifier) prefill.identifier = identifier;
+    return Object.keys(prefill).length ? prefill : null;
+}
+
+function formatDeviceExtraction(extraction) {
+    const lines = [`### 📷 ${extraction.kind === 'wipe-tool-screen' ? 'Wipe tool screenshot' : extraction.kind === 'drive-label' ? 'Drive label' : 'Image'} details`, ''];
+
+    if (!extraction.devices.length && !extraction.wipeStatus) {
+        lines.push('No device details could be read from this image.');
+    }
+    extraction.devices.forEach((d, i) => {
+        if (extraction.devices.length > 1) lines.push(`**Device ${i + 1}**`);
+        const fields = [
+            ['Manufacturer', d.manufacturer],
+            ['Model', d.model],
+            ['Serial', d.serial],
+            ['Capacity', d.capacity],
+            ['Interface', d.interface],
+            ['Form factor', d.formFactor],
+            ['Firmware', d.firmware]
+        ].filter(([, value]) => value);
+        lines.push(...fields.map(([label, value]) => `**${label}:** ${value}`), '');
+    });
+
+    const status = extraction.wipeStatus;
+    if (status) {
+        const fields = [['Tool', status.tool], ['Method', status.method], ['Progress', status.progress], ['Result', status.result]]
+            .filter(([, value]) => value);
+        lines.push('**Wipe status**', ...fields.map(([label, value]) => `* ${label}: ${value}`));
+        lines.push(...status.errors.map(error => `* ⚠️ ${error}`), '');
+    }
+    if (extraction.notes) lines.push(extraction.notes);
+    return lines.join('\n').trim();
+}
+
+module.exports = {
+    IMAGE_MIME_TYPES,
+    DEVICE_EXTRACTION_PROMPT,
+    parseDeviceExtraction,
+    toWipePrefill,
+    formatDeviceExtraction,
+    detectInterface
+};
@@ -0,0 +1,113 @@
+// lib/embeddings.js - Text embedders for semantic knowledge base search
+// Every embedder implements:
+//   name         - identifies the vector space (vectors from different names never mix)
+//   embed(texts) -> Promise<number[][]> of unit-length vectors
+
+const { tokenize, stem } = require('./bm25');
+
+// ============================================================================
+// LOCAL EMBEDDER (deterministic, offline)
+// ============================================================================
+
+// Related data-wiping vocabulary shares a concept dimension, so paraphrases with
+// no words in common ("flash drive" / "SSD", "shred" / "sanitization") still meet.
+// Only domain terms belong here; everyday words would pull unrelated questions together.
+// test/fixtures/retrieval-queries.json ("semantic") checks what the concepts buy.
+const CONCEPTS = {
+    storage: ['ssd', 'flash', 'nvme', 'drive', 'disk', 'hdd', 'usb', 'stick', 'thumb', 'media', 'sector', 'storage', 'memory', 'laptop', 'phone', 'device'],
+    erasure: ['wipe', 'erase', 'erasure', 'sanitize', 'sanitization', 'purge', 'clear', 'destroy', 'destruction', 'overwrite', 'delete', 'shred'],
+    recovery: ['recover', 'recovery', 'forensic', 'restore', 'undelete', 'remanence'],
+    ssdInternals: ['wear', 'leveling', 'hidden', 'overprovisioning', 'spare', 'block', 'controller', 'trim', 'cryptographic', 'crypto', 'key'],
+    proof: ['certificate', 'proof', 'verify', 'verification', 'audit', 'blockchain', 'ledger', 'tamper', 'immutable', 'evidence', 'compliance', 'record'],
+    standards: ['nist', 'standard', 'guideline', 'regulation', 'gdpr', 'hipaa', 'dod', 'policy', 'requirement'],
+    environment: ['environment', 'environmental', 'co2', 'carbon', 'emission', 'recycle', 'recycling', 'e-waste', 'waste', 'landfill', 'sustainability', 'green', 'reuse', 'resale']
+};
+
+const CONCEPT_WEIGHT = 1.5;
+
+// stemmed term -> concept names
+const CONCEPT_INDEX = new Map();
+for (const [concept, words] of Object.entries(CONCEPTS)) {
+    for (const word of words) {
+        const key = stem(word);
+        CONCEPT_INDEX.set(key, [...(CONCEPT_INDEX.get(key) || []), concept]);
+    }
+}
+
+// FNV-1a, so a feature always lands in the same dimension
+function hashFeature(feature) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < feature.length; i++) {
+        hash ^= feature.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map(v => v / norm) : vector;
+}
+
+// Hashed bag of stemmed terms plus shared concept features
+class LocalEmbedder {
+    constructor({ dimensions = 256 } = {}) {
+        this.dimensions = dimensions;
+        // Bump the version when CONCEPTS change so cached vectors are rebuilt
+        this.name = `local-hash-v2-${dimensions}`;
+    }
+
+    embedOne(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const add = (feature, weight) => {
+            const hash = hashFeature(feature);
+            vector[hash % this.dimensions] += (hash & 0x80000000 ? -1 : 1) * weight;
+        };
+
+        for (const token of tokenize(text)) {
+            add(`t:${token}`, 1);
+            for (const concept of CONCEPT_INDEX.get(token) || []) {
+                add(`c:${concept}`, CONCEPT_WEIGHT);
+            }
+        }
+        return normalize(vector);
+    }
+
+    async embed(texts) {
+        return texts.map(text => this.embedOne(text));
+    }
+}
+
+// ============================================================================
+// PROVIDER EMBEDDER (Gemini, OpenAI-compatible; see lib/llm-providers.js)
+// ============================================================================
+
+class ProviderEmbedder {
+    constructor({ provider, model = provider.embeddingModel }) {
+        this.provider = provider;
+        this.model = model;
+        this.name = `${provider.name}:${model}`;
+    }
+
+    async embed(texts) {
+        const vectors = await this.provider.embed(texts, { model: this.model });
+        return vectors.map(normalize);
+    }
+}
+
+// Pick the embedder for `backend`: 'local', or the name of a provider in `providers`
+function createEmbedder({ backend = 'local', providers = {}, model } = {}) {
+    if (backend !== 'local' && providers[backend]?.embeddingModel) {
+        return new ProviderEmbedder({ provider: providers[backend], model: model || undefined });
+    }
+    return new LocalEmbedder();
+}
+
+// Vectors are unit length, so the dot product is the cosine similarity
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) dot += a[i] * b[i];
+    return dot;
+}
+
+module.exports = { LocalEmbedder, ProviderEmbedder, createEmbedder, cosineSimilarity };
@@ -0,0 +1,315 @@
+// lib/file-ingest.js - Type-aware reading of uploaded files
+// Each supported type is turned into analysable text plus a structural profile:
+// PDF text per page, CSV column schema, flattened JSON paths and parsed log
+// lines. Long files are split into chunks so analysis covers all of them.
+
+const path = require('path');
+const { extractPdfText } = require('./pdf-text');
+const { parseCsv, parseCsvCells } = require('./csv');
+const { chunkText } = require('./knowledge-base');
+const { IMAGE_MIME_TYPES } = require('./device-extraction');
+
+const FILE_TYPES = { '.txt': 'text', '.md': 'text', '.csv': 'csv', '.json': 'json', '.log': 'log', '.pdf': 'pdf' };
+
+function detectFileType(filename, buffer) {
+    if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+    const ext = path.extname(filename || '').toLowerCase();
+    if (IMAGE_MIME_TYPES[ext]) return 'image';
+    return FILE_TYPES[ext] || 'text';
+}
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$|^\d{1,2}\/\d{1,2}\/\d{2,4}$/;
+
+// Narrowest type every non-empty value fits
+function inferColumnType(values) {
+    if (!values.length) return 'empty';
+    if (values.every(v => /^[+-]?\d+$/.test(v))) return 'integer';
+    if (values.every(v => /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(v))) return 'number';
+    if (values.every(v => /^(true|false|yes|no)$/i.test(v))) return 'boolean';
+    if (values.every(v => DATE_PATTERN.test(v))) return 'date';
+    return 'string';
+}
+
+function profileCsv(text) {
+    const { headers, rows } = parseCsv(text);
+    const columns = headers.map(name => {
+        const values = rows.map(r => r[name]).filter(v => v !== '' && v !== undefined);
+        const type = inferColumnType(values);
+        const column = {
+            name,
+            type,
+            filled: values.length,
+            distinct: new Set(values).size,
+            samples: [...new Set(values)].slice(0, 3)
+        };
+        if (type === 'integer' || type === 'number') {
+            const numbers = values.map(Number);
+            column.min = Math.min(...numbers);
+            column.max = Math.max(...numbers);
+        } else if (type === 'date') {
+            column.min = values.reduce((a, b) => (a < b ? a : b));
+            column.max = values.reduce((a, b) => (a > b ? a : b));
+        }
+        return column;
+    });
+    return { rows: rows.length, columns };
+}
+
+// ============================================================================
+// JSON
+// ============================================================================
+
+// [path, value] for every leaf, e.g. ["devices[0].serial", "S3Z9NB0K"]
+function flattenJson(value, prefix = '', out = []) {
+    if (Array.isArray(value)) {
+        if (!value.length) out.push([prefix, '[]']);
+        value.forEach((item, i) => flattenJson(item, `${prefix}[${i}]`, out));
+    } else if (value && typeof value === 'object') {
+        const keys = Object.keys(value);
+        if (!keys.length) out.push([prefix, '{}']);
+        for (const key of keys) flattenJson(value[key], prefix ? `${prefix}.${key}` : key, out);
+    } else {
+        out.push([prefix, value]);
+    }
+    return out;
+}
+
+function jsonDepth(value) {
+    if (!value || typeof value !== 'object') return 0;
+    const children = Object.values(value);
+    return 1 + (children.length ? Math.max(...children.map(jsonDepth)) : 0);
+}
+
+// ============================================================================
+// LOGS
+// ============================================================================
+
+const TIMESTAMP_PATTERNS = [
+    /\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?/,
+    /\b[A-Z][a-z]{2}\s+\d{1,2}\s+\d{2}:\d{2}:\d{2}\b/,
+    /\b\d{2}\/[A-Z][a-z]{2}\/\d{4}:\d{2}:\d{2}:\d{2}(?:\s[+-]\d{4})?/
+];
+
+const LEVELS = {
+    FATAL: 'FATAL', CRIT: 'FATAL', CRITICAL: 'FATAL', EMERG: 'FATAL', ALERT: 'FATAL',
+    ERROR: 'ERROR', ERR: 'ERROR', FAIL: 'ERROR', FAILED: 'ERROR',
+    WARN: 'WARN', WARNING: 'WARN',
+    NOTICE: 'INFO', INFO: 'INFO',
+    DEBUG: 'DEBUG', TRACE: 'TRACE'
+};
+const LEVEL_PATTERN = new RegExp(`\\b(${Object.keys(LEVELS).join('|')})\\b`, 'i');
+const LEVEL_TAG_PATTERN = new RegExp(`[\\[<(]?${LEVEL_PATTERN.source}[\\]>)]?:?`, 'i');
+
+function parseLogLine(line, number) {
+    const timestamp = TIMESTAMP_PATTERNS.map(p => line.match(p)?.[0]).find(Boolean) || null;
+    const level = line.match(LEVEL_PATTERN)?.[1].toUpperCase();
+    const message = line
+        .replace(timestamp || '', '')
+        .replace(LEVEL_TAG_PATTERN, '')
+        .replace(/^[\s\[\]:|-]+/, '')
+        .trim();
+    return { line: number, timestamp, level: level ? LEVELS[level] : null, message };
+}
+
+function profileLog(text) {
+    const entries = text.split(/\r?\n/)
+        .map((line, i) => (line.trim() ? parseLogLine(line, i + 1) : null))
+        .filter(Boolean);
+    const levels = {};
+    for (const entry of entries) {
+        if (entry.level) levels[entry.level] = (levels[entry.level] || 0) + 1;
+    }
+    const stamped = entries.filter(e => e.timestamp);
+    return {
+        profile: {
+            lines: entries.length,
+            timestamped: stamped.length,
+            firstTimestamp: stamped[0]?.timestamp || null,
+            lastTimestamp: stamped[stamped.length - 1]?.timestamp || null,
+            levels,
+            // The first problems, so they are never lost in the chunked analysis
+            issues: entries.filter(e => ['FATAL', 'ERROR', 'WARN'].includes(e.level)).slice(0, 25)
+        },
+        entries
+    };
+}
+
+// ============================================================================
+// INGESTION
+// ============================================================================
+
+// Returns { filename, type, size, text, structure }. `text` is what gets analysed.
+// Images carry their bytes as `data` and no text; the caller reads them with the model.
+function ingestFile({ filename, buffer }) {
+    const type = detectFileType(filename, buffer);
+    const base = { filename, type, size: buffer.length };
+
+    if (type === 'image') {
+        const mimeType = IMAGE_MIME_TYPES[path.extname(filename).toLowerCase()];
+        return { ...base, text: '', data: buffer, structure: { mimeType } };
+    }
+
+    if (type === 'pdf') {
+        const { pages, text, truncated } = extractPdfText(buffer);
+        return {
+            ...base,
+            text: pages.map((page, i) => `[Page ${i + 1}]\n${page}`).join('\n\n'),
+            structure: { pages: pages.length, characters: text.length, emptyPages: pages.filter(p => !p).length, truncated }
+        };
+    }
+
+    const raw = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+
+    if (type === 'csv') {
+        return { ...base, text: raw.trim(), structure: profileCsv(raw) };
+    }
+
+    if (type === 'json') {
+        let value;
+        try {
+            value = JSON.parse(raw);
+        } catch (error) {
+            return { ...base, text: raw, structure: { valid: false, error: error.message } };
+        }
+        const leaves = flattenJson(value);
+        return {
+            ...base,
+            text: leaves.map(([key, leaf]) => `${key || '(root)'}: ${JSON.stringify(leaf)}`).join('\n'),
+            pretty: JSON.stringify(value, null, 2),
+            structure: {
+                valid: true,
+                root: Array.isArray(value) ? 'array' : typeof value,
+                ...(Array.isArray(value) ? { length: value.length } : {}),
+                ...(value && typeof value === 'object' && !Array.isArray(value) ? { keys: Object.keys(value).slice(0, 50) } : {}),
+                leaves: leaves.length,
+                depth: jsonDepth(value)
+            }
+        };
+    }
+
+    if (type === 'log') {
+        const { profile, entries } = profileLog(raw);
+        return {
+            ...base,
+            text: entries.map(e => `${e.line}: ${[e.timestamp, e.level, e.message].filter(Boolean).join(' | ')}`).join('\n'),
+            structure: profile
+        };
+    }
+
+    return { ...base, text: raw.trim(), structure: { lines: raw.split(/\r?\n/).length, characters: raw.length } };
+}
+
+// Split for analysis into at most `maxChunks` pieces. CSV chunks keep whole rows and repeat the header.
+function chunkForAnalysis(ingested, { maxChunks = 8, minChunkSize = 16000 } = {}) {
+    const chunkSize = Math.max(minChunkSize, Math.ceil(ingested.text.length / maxChunks));
+    let pieces;
+    let header = null;
+
+    if (ingested.type === 'csv') {
+        const [head, ...rows] = parseCsvCells(ingested.text)
+            .filter(cells => cells.some(c => c.trim()))
+            .map(cells => cells.map(c => (/[",\n\r]/.test(c) ? `"${c.replace(/"/g, '""')}"` : c)).join(','));
+        header = head;
+        pieces = [];
+        let current = null;
+        rows.forEach((row, i) => {
+            if (current && current.text.length + row.length > chunkSize) current = null;
+            if (!current) pieces.push(current = { text: '', from: i + 1 });
+            current.text += (current.text ? '\n' : '') + row;
+            current.to = i + 1;
+        });
+    } else {
+        pieces = chunkText(ingested.text, { chunkSize, overlap: 0 })
+            .map(chunk => ({ text: chunk.text, from: chunk.start + 1, to: chunk.end }));
+    }
+
+    // Boundary-aware splitting can overshoot the limit; merge neighbours to get back under it
+    const count = Math.min(maxChunks, pieces.length);
+    const chunks = [];
+    for (let g = 0; g < count; g++) {
+        const group = pieces.slice(Math.floor(g * pieces.length / count), Math.floor((g + 1) * pieces.length / count));
+        const text = group.map(p => p.text).join('\n');
+        chunks.push({
+            text: header ? `${header}\n${text}` : text,
+            label: `${header ? 'rows' : 'characters'} ${group[0].from}-${group[group.length - 1].to}`
+        });
+    }
+    return chunks;
+}
+
+// ============================================================================
+// PROMPTS
+// ============================================================================
+
+// Plain-language profile of the file for prompts and replies
+function describeStructure({ type, structure }) {
+    switch (type) {
+        case 'pdf':
+            return `PDF, ${structure.pages} pages, ${structure.characters} characters of text${structure.emptyPages ? ` (${structure.emptyPages} pages without extractable text)` : ''}${structure.truncated ? ', truncated at the extraction limit' : ''}`;
+        case 'csv':
+            return `CSV, ${structure.rows} rows. Columns:\n` + structure.columns
+                .map(c => `- ${c.name} (${c.type}, ${c.filled}/${structure.rows} filled, ${c.distinct} distinct${c.min !== undefined ? `, ${c.min} to ${c.max}` : ''}; e.g. ${c.samples.join(', ')})`)
+                .join('\n');
+        case 'json':
+            return structure.valid
+                ? `JSON ${structure.root}${structure.length !== undefined ? ` of ${structure.length} items` : ''}, ${structure.leaves} values, nesting depth ${structure.depth}${structure.keys ? `. Top-level keys: ${structure.keys.join(', ')}` : ''}`
+                : `Invalid JSON (${structure.error}); analysed as plain text`;
+        case 'image':
+            return `Image (${structure.mimeType})${structure.extraction ? ', read as ' + structure.extraction.kind : ''}`;
+        case 'log':
+            return `Log, ${structure.lines} lines, ${structure.timestamped} timestamped${structure.firstTimestamp ? ` from ${structure.firstTimestamp} to ${structure.lastTimestamp}` : ''}. Levels: ${Object.entries(structure.levels).map(([l, n]) => `${l} ${n}`).join(', ') || 'none detected'}`;
+        default:
+            return `Text, ${structure.lines} lines`;
+    }
+}
+
+const FORMAT_HINTS = {
+    pdf: 'Page markers look like [Page n].',
+    csv: 'The first line is the header row.',
+    json: 'Each line is a flattened JSON path and its value.',
+    log: 'Each line is "line number: timestamp | level | message".',
+    text: ''
+};
+
+// Notes on one chunk of a multi-chunk file
+function buildChunkPrompt(ingested, chunk, index, total) {
+    return `You are reading part ${index + 1} of ${total} (${chunk.label}) of the file "${ingested.filename}".
+File profile: ${describeStructure(ingested)}
+${FORMAT_HINTS[ingested.type]}
+
+Content:
+${chunk.text}
+
+Write concise bullet-point notes on this part only: key facts, devices (model, serial, capacity), figures, errors, failures and anything unusual. Include line, row or page references where possible. Do not write an introduction or conclusion.`;
+}
+
+// Final analysis from either the whole content (`raw`) or per-chunk notes
+function buildAnalysisPrompt(ingested, parts, { raw = false } = {}) {
+    return `Analyze the file "${ingested.filename}" for a user of the Sayonara secure data wiping platform.
+File profile: ${describeStructure(ingested)}
+${raw ? FORMAT_HINTS[ingested.type] : ''}
+
+${raw ? `Content:\n${parts[0]}` : `The file was read in ${parts.length} parts. Notes from each part:\n\n${parts.map((notes, i) => `Part ${i + 1}:\n${notes}`).join('\n\n')}`}
+
+Cover the whole file, not just its beginning. Respond in Markdown with:
+1. **Overview** - what the file is and what it contains
+2. **Key findings** - the important facts and figures
+3. **Issues** - errors, failures, gaps or anomalies (say so if there are none)
+4. **Next steps** - what the user should do, especially regarding data sanitization, NIST 800-88 compliance or certificates`;
+}
+
+module.exports = {
+    detectFileType,
+    ingestFile,
+    chunkForAnalysis,
+    describeStructure,
+    buildChunkPrompt,
+    buildAnalysisPrompt,
+    inferColumnType,
+    flattenJson,
+    parseLogLine
+};
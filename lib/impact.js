@@ -0,0 +1,282 @@
+// lib/impact.js - Environmental impact of wiping devices instead of shredding them
+// Turns a batch of devices into e-waste diverted, CO₂ avoided and estimated
+// resale value. Factors are planning defaults; override them in a JSON file
+// of the same shape or per request with figures from your own LCA data.
+
+const fs = require('fs').promises;
+const { parseCsv } = require('./csv');
+
+const DEFAULT_FACTORS = {
+    currency: 'USD',
+    // Per device: weight kept out of landfill, manufacturing CO₂ avoided when it is reused,
+    // and resale value of a one-year-old unit in good condition
+    categories: {
+        laptop: { label: 'Laptop', weightKg: 2.2, co2Kg: 24, resaleValue: 250 },
+        desktop: { label: 'Desktop', weightKg: 8.5, co2Kg: 35, resaleValue: 120 },
+        server: { label: 'Server', weightKg: 20, co2Kg: 90, resaleValue: 400 },
+        phone: { label: 'Phone', weightKg: 0.2, co2Kg: 10, resaleValue: 150 },
+        tablet: { label: 'Tablet', weightKg: 0.5, co2Kg: 12, resaleValue: 120 },
+        drive: { label: 'Storage drive', weightKg: 0.4, co2Kg: 5, resaleValue: 15 },
+        other: { label: 'Other', weightKg: 2, co2Kg: 24, resaleValue: 50 }
+    },
+    // Share of the device's CO₂ factor avoided and whether it is kept out of landfill / sold
+    dispositions: {
+        resale: { label: 'Resale / reuse', co2Share: 1, diverted: true, resale: true },
+        recycle: { label: 'Recycled', co2Share: 0.15, diverted: true, resale: false },
+        destroy: { label: 'Destroyed', co2Share: 0, diverted: true, resale: false },
+        landfill: { label: 'Landfill', co2Share: 0, diverted: false, resale: false }
+    },
+    conditions: { excellent: 1.15, good: 1, fair: 0.6, poor: 0.25, broken: 0 },
+    depreciationPerYear: 0.2,
+    minResaleShare: 0.1
+};
+
+const CATEGORY_ALIASES = {
+    laptop: /laptop|notebook|macbook|ultrabook|chromebook/,
+    desktop: /desktop|workstation|\bpc\b|tower|imac|all-in-one/,
+    server: /server|rack|blade|\bnas\b|\bsan\b/,
+    phone: /phone|mobile|smartphone|iphone|android/,
+    tablet: /tablet|ipad/,
+    drive: /drive|disk|\bhdd\b|\bssd\b|nvme|usb|flash/
+};
+
+const DISPOSITION_ALIASES = {
+    resale: /resal|resell|sell|sold|reuse|refurb|redeploy/,
+    recycle: /recycl/,
+    destroy: /destr|shred/,
+    landfill: /landfill|dump/
+};
+
+function matchAlias(aliases, text, fallback = null) {
+    const t = String(text || '').toLowerCase();
+    if (!t.trim()) return fallback;
+    return Object.keys(aliases).find(key => key === t.trim() || aliases[key].test(t)) || fallback;
+}
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Overrides win; nested maps are merged one level deep so a single category can change
+function mergeFactors(base, overrides = {}) {
+    const merged = { ...base, ...overrides };
+    for (const key of ['categories', 'dispositions']) {
+        merged[key] = { ...base[key] };
+        for (const [id, value] of Object.entries(overrides[key] || {})) {
+            merged[key][id] = { ...base[key][id], ...value };
+        }
+    }
+    merged.conditions = { ...base.conditions, ...(overrides.conditions || {}) };
+    return merged;
+}
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Intl.NumberFormat accepts any three letters, so check against the codes it knows
+const CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+const isCurrency = (code) => CURRENCIES.has(code);
+
+// Field checks for each nested factor entry
+const ENTRY_FIELDS = {
+    categories: { label: 'string', weightKg: 'amount', co2Kg: 'amount', resaleValue: 'amount' },
+    dispositions: { label: 'string', co2Share: 'amount', diverted: 'boolean', resale: 'boolean' }
+};
+
+// Overrides may only change known factors: finite, non-negative numbers, labels, flags
+// and an ISO 4217 currency code. Returns an error message or null.
+function factorsError(overrides, base = DEFAULT_FACTORS) {
+    if (overrides === undefined || overrides === null) return null;
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) return 'factors must be a JSON object';
+
+    for (const [key, value] of Object.entries(overrides)) {
+        if (key === 'currency') {
+            if (!isCurrency(value)) return `factors.currency must be an ISO 4217 code such as "USD", got ${JSON.stringify(value)}`;
+        } else if (key === 'depreciationPerYear' || key === 'minResaleShare') {
+            if (!isAmount(value)) return `factors.${key} must be a non-negative number`;
+        } else if (key === 'conditions') {
+            if (!value || typeof value !== 'object') return 'factors.conditions must be an object';
+            for (const [id, share] of Object.entries(value)) {
+                if (!Object.hasOwn(base.conditions, id)) return `Unknown condition "${id}" (known: ${Object.keys(base.conditions).join(', ')})`;
+                if (!isAmount(share)) return `factors.conditions.${id} must be a non-negative number`;
+            }
+        } else if (Object.hasOwn(ENTRY_FIELDS, key)) {
+            if (!value || typeof value !== 'object') return `factors.${key} must be an object`;
+            for (const [id, entry] of Object.entries(value)) {
+                if (!Object.hasOwn(base[key], id)) return `Unknown ${key} entry "${id}" (known: ${Object.keys(base[key]).join(', ')})`;
+                if (!entry || typeof entry !== 'object') return `factors.${key}.${id} must be an object`;
+                for (const [field, fieldValue] of Object.entries(entry)) {
+                    const type = Object.hasOwn(ENTRY_FIELDS[key], field) && ENTRY_FIELDS[key][field];
+                    if (!type) return `Unknown factor ${key}.${id}.${field}`;
+                    const ok = type === 'amount' ? isAmount(fieldValue) : typeof fieldValue === type;
+                    if (!ok) return `factors.${key}.${id}.${field} must be ${type === 'amount' ? 'a non-negative number' : `a ${type}`}`;
+                }
+            }
+        } else {
+            return `Unknown factor "${key}"`;
+        }
+    }
+    return null;
+}
+
+class ImpactCalculator {
+    constructor(filePath = null) {
+        this.filePath = filePath;
+        this.factors = DEFAULT_FACTORS;
+    }
+
+    // Merge organisation-specific factors from disk; the file is optional
+    async load() {
+        if (!this.filePath) return this;
+        let overrides;
+        try {
+            overrides = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return this;
+        }
+        const error = factorsError(overrides);
+        if (error) throw new Error(`${this.filePath}: ${error}`);
+        this.factors = mergeFactors(DEFAULT_FACTORS, overrides);
+        return this;
+    }
+
+    // Check per-request overrides against the factors in use
+    factorsError(overrides) {
+        return factorsError(overrides, this.factors);
+    }
+
+    // Devices are { category, quantity, ageYears, condition, disposition, weightKg, resaleValue }
+    calculate(devices, overrides = {}) {
+        const factors = mergeFactors(this.factors, overrides || {});
+        const byCategory = {};
+        const byDisposition = {};
+        const totals = { devices: 0, eWasteDivertedKg: 0, co2AvoidedKg: 0, resaleValue: 0 };
+        const skipped = [];
+
+        devices.forEach((device, i) => {
+            const row = device.row || i + 1;
+            const category = factors.categories[device.category] ? device.category : matchAlias(CATEGORY_ALIASES, device.category, 'other');
+            const disposition = factors.dispositions[device.disposition] ? device.disposition : matchAlias(DISPOSITION_ALIASES, device.disposition, 'resale');
+            const quantity = device.quantity === undefined || device.quantity === '' ? 1 : Number(device.quantity);
+            if (!Number.isInteger(quantity) || quantity < 0) {
+                skipped.push({ row, reason: `Invalid quantity "${device.quantity}"` });
+                return;
+            }
+
+            const factor = factors.categories[category];
+            const outcome = factors.dispositions[disposition];
+            const weightKg = Number(device.weightKg) > 0 ? Number(device.weightKg) : factor.weightKg;
+            const conditionShare = factors.conditions[String(device.condition || 'good').toLowerCase()] ?? factors.conditions.good;
+            const age = Number(device.ageYears) > 0 ? Number(device.ageYears) : 1;
+            const ageShare = Math.max(factors.minResaleShare, 1 - factors.depreciationPerYear * (age - 1));
+            const hasResaleValue = device.resaleValue !== undefined && device.resaleValue !== '' && Number(device.resaleValue) >= 0;
+            const unitResale = hasResaleValue ? Number(device.resaleValue) : factor.resaleValue * ageShare * conditionShare;
+
+            const diverted = outcome.diverted ? weightKg * quantity : 0;
+            const co2 = factor.co2Kg * outcome.co2Share * quantity;
+            const resale = outcome.resale ? unitResale * quantity : 0;
+
+            const cat = byCategory[category] ||= { category, label: factor.label, devices: 0, eWasteDivertedKg: 0, co2AvoidedKg: 0, resaleValue: 0 };
+            const disp = byDisposition[disposition] ||= { disposition, label: outcome.label, devices: 0 };
+            for (const bucket of [cat, totals]) {
+                bucket.devices += quantity;
+                bucket.eWasteDivertedKg += diverted;
+                bucket.co2AvoidedKg += co2;
+                bucket.resaleValue += resale;
+            }
+            disp.devices += quantity;
+        });
+
+        const tidy = (bucket) => ({
+            ...bucket,
+            eWasteDivertedKg: round(bucket.eWasteDivertedKg),
+            co2AvoidedKg: round(bucket.co2AvoidedKg),
+            resaleValue: Math.round(bucket.resaleValue)
+        });
+
+        return {
+            generatedAt: new Date().toISOString(),
+            currency: factors.currency,
+            totals: {
+                ...tidy(totals),
+                co2AvoidedTonnes: round(totals.co2AvoidedKg / 1000, 2),
+                diversionRate: totals.devices
+                    ? round(Object.values(byDisposition).filter(d => factors.dispositions[d.disposition].diverted).reduce((s, d) => s + d.devices, 0) / totals.devices * 100)
+                    : 0
+            },
+            byCategory: Object.values(byCategory).map(tidy).sort((a, b) => b.co2AvoidedKg - a.co2AvoidedKg),
+            byDisposition: Object.values(byDisposition),
+            skipped,
+            factors
+        };
+    }
+}
+
+// Devices from an inventory CSV. Recognised columns: category/type/device, quantity/qty/count,
+// age/age_years, condition, disposition/outcome, weight_kg, resale_value
+function parseImpactCsv(text) {
+    const { headers, rows } = parseCsv(text);
+    const pick = (row, names) => names.map(n => row[n]).find(v => v !== undefined && v !== '');
+    if (!headers.some(h => ['category', 'type', 'device', 'device_type', 'asset_type'].includes(h))) {
+        return { error: 'The CSV needs a category, type or device column.' };
+    }
+    return {
+        devices: rows.map(row => ({
+            row: row._row,
+            category: pick(row, ['category', 'type', 'device_type', 'asset_type', 'device']),
+            quantity: pick(row, ['quantity', 'qty', 'count', 'units']),
+            ageYears: pick(row, ['age_years', 'age', 'years']),
+            condition: pick(row, ['condition', 'grade']),
+            disposition: pick(row, ['disposition', 'outcome', 'destination']),
+            weightKg: pick(row, ['weight_kg', 'weight']),
+            resaleValue: pick(row, ['resale_value', 'resale', 'value'])
+        }))
+    };
+}
+
+// Devices from chat text such as "40 laptops, 10 phones recycled, 2 servers 5 years old poor"
+function parseImpactRequest(text) {
+    const devices = [];
+    for (const part of String(text || '').toLowerCase().split(/,|;|\band\b|\n/)) {
+        const quantity = part.match(/^\s*(\d+)\s*x?\s*(.*)$/);
+        if (!quantity) continue;
+        const rest = quantity[2];
+        const age = rest.match(/(\d+(?:\.\d+)?)\s*(?:y|yr|yrs|years?)\b/);
+        devices.push({
+            category: matchAlias(CATEGORY_ALIASES, rest, 'other'),
+            quantity: parseInt(quantity[1], 10),
+            ageYears: age ? parseFloat(age[1]) : undefined,
+            condition: Object.keys(DEFAULT_FACTORS.conditions).find(c => rest.includes(c)),
+            disposition: matchAlias(DISPOSITION_ALIASES, rest, 'resale')
+        });
+    }
+    if (!devices.length) {
+        return { error: 'List the devices with quantities, e.g. `/impact 40 laptops, 10 phones recycled, 2 servers 5 years old` or attach an inventory CSV.' };
+    }
+    return { devices };
+}
+
+// Markdown summary (the chat renders the report itself as a chart card)
+function formatImpactReport(report) {
+    const { totals, currency } = report;
+    const money = new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 });
+    const lines = [
+        `### 🌱 Environmental impact: ${totals.devices} devices`,
+        ``,
+        `**CO₂ avoided:** ${totals.co2AvoidedKg.toLocaleString('en-US')} kg (${totals.co2AvoidedTonnes} t)`,
+        `**E-waste diverted:** ${totals.eWasteDivertedKg.toLocaleString('en-US')} kg (${totals.diversionRate}% of devices kept out of landfill)`,
+        `**Estimated resale value:** ${money.format(totals.resaleValue)}`,
+        ``,
+        ...report.byCategory.map(c => `- ${c.label}: ${c.devices} devices, ${c.co2AvoidedKg} kg CO₂, ${c.eWasteDivertedKg} kg diverted, ${money.format(c.resaleValue)}`)
+    ];
+    if (report.skipped.length) {
+        lines.push('', `Skipped ${report.skipped.length} row(s): ${report.skipped.map(s => `row ${s.row} (${s.reason})`).join(', ')}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    DEFAULT_FACTORS,
+    ImpactCalculator,
+    parseImpactCsv,
+    parseImpactRequest,
+    formatImpactReport
+};
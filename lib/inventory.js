@@ -0,0 +1,373 @@
+// lib/inventory.js - Device inventories for bulk wipe jobs
+// Imports a job's device list from CSV or XLSX, validates every row and stores it
+// per conversation. Questions are answered with structured queries over the stored
+// devices, so counts are exact and the spreadsheet never goes into a prompt.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseCsv, tableFromCells } = require('./csv');
+const { readXlsxRows } = require('./xlsx');
+const { DEVICE_TYPES } = require('./wipe-wizard');
+
+// Checked in order: "NVMe SSD" is NVMe, "wipe failed" is failed
+const TYPE_ALIASES = [
+    ['nvme', /nvme|pcie/],
+    ['sata-ssd', /ssd|solid.state/],
+    ['hdd', /hdd|hard.?(disk|drive)|\bsas\b|\bsata\b|spinning|\d+\s*rpm/],
+    ['usb', /usb|flash|thumb|stick/]
+];
+
+const STATUSES = {
+    pending: 'Pending',
+    'in-progress': 'In progress',
+    wiped: 'Wiped',
+    failed: 'Failed',
+    destroyed: 'Destroyed'
+};
+
+const STATUS_ALIASES = [
+    ['pending', /pend|queue|^new$|received|not started|to ?do|waiting/],
+    ['destroyed', /destr|shred|crush|disintegrat/],
+    ['failed', /fail|error/],
+    ['in-progress', /progress|wiping|running|started/],
+    ['wiped', /wiped|complete|done|pass|sanitiz|erased|cleared|purged/]
+];
+
+// Accepted header names (normalised, see lib/csv.js) for each field
+const COLUMNS = {
+    serial: ['serial', 'serial_number', 'serial_no', 'serialnumber', 'sn', 's_n'],
+    type: ['type', 'device_type', 'drive_type', 'media', 'media_type'],
+    capacity: ['capacity_gb', 'capacity', 'size_gb', 'size', 'capacity_tb'],
+    status: ['status', 'wipe_status', 'state'],
+    model: ['model', 'model_number', 'product'],
+    certificate: ['certificate', 'certificate_id', 'cert_id', 'cert', 'certificate_number'],
+    assetTag: ['asset_tag', 'asset_id', 'asset', 'tag']
+};
+
+const REQUIRED = ['serial', 'type', 'capacity', 'status'];
+
+// Canonical id for a free-form value: exact ids first, then the alias patterns
+const matchAlias = (aliases, known, value) => {
+    const t = String(value || '').trim().toLowerCase();
+    if (!t) return null;
+    if (known[t]) return t;
+    return (aliases.find(([, pattern]) => pattern.test(t)) || [])[0] || null;
+};
+const matchType = (value) => matchAlias(TYPE_ALIASES, DEVICE_TYPES, value);
+const matchStatus = (value) => matchAlias(STATUS_ALIASES, STATUSES, value);
+
+// "2 TB" -> 2000, "512GB" -> 512; bare numbers are GB unless the column is in TB
+function parseCapacity(value, column) {
+    const match = String(value || '').trim().toLowerCase().match(/^(\d+(?:[.,]\d+)?)\s*(tb|t|gb|g)?$/);
+    if (!match) return null;
+    const amount = parseFloat(match[1].replace(',', '.'));
+    const inTB = match[2] ? match[2].startsWith('t') : column === 'capacity_tb';
+    const gb = Math.round(amount * (inTB ? 1000 : 1) * 100) / 100;
+    return gb > 0 ? gb : null;
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+// Rows keyed by header from a CSV or XLSX upload
+function readInventoryTable({ filename, buffer }) {
+    if (path.extname(filename || '').toLowerCase() === '.xlsx') {
+        return tableFromCells(readXlsxRows(buffer));
+    }
+    return parseCsv(buffer.toString('utf-8'));
+}
+
+// { devices, errors, skipped } with one error per problem found; rows with errors are
+// left out and counted in `skipped`. { error } when required columns are missing.
+function validateInventory({ headers, rows }) {
+    const columns = Object.fromEntries(Object.entries(COLUMNS).map(([field, names]) => [field, names.find(n => headers.includes(n))]));
+    const missing = REQUIRED.filter(field => !columns[field]);
+    if (missing.length) {
+        return { error: `The inventory needs ${missing.join(', ')} columns (found: ${headers.join(', ') || 'none'}).` };
+    }
+
+    const devices = [];
+    const errors = [];
+    const seen = new Map();
+    let skipped = 0;
+
+    for (const row of rows) {
+        const cell = (field) => (columns[field] ? row[columns[field]] : '') || '';
+        const problems = [];
+        const fail = (field, value, message) => problems.push({ row: row._row, field, value, message });
+
+        const serial = cell('serial').trim();
+        if (!serial) fail('serial', '', 'Missing serial number');
+        else if (seen.has(serial.toUpperCase())) fail('serial', serial, `Duplicate serial (first seen on row ${seen.get(serial.toUpperCase())})`);
+
+        const type = matchType(cell('type'));
+        if (!type) fail('type', cell('type'), `Unknown device type "${cell('type')}" (use HDD, SSD, NVMe or USB)`);
+
+        const capacityGB = parseCapacity(cell('capacity'), columns.capacity);
+        if (!capacityGB) fail('capacity', cell('capacity'), `Invalid capacity "${cell('capacity')}" (e.g. 512, 512 GB or 2 TB)`);
+
+        // A blank status means the device has not been processed yet
+        const status = cell('status').trim() ? matchStatus(cell('status')) : 'pending';
+        if (!status) fail('status', cell('status'), `Unknown status "${cell('status')}" (use ${Object.values(STATUSES).join(', ')})`);
+
+        if (problems.length) {
+            errors.push(...problems);
+            skipped++;
+            continue;
+        }
+        seen.set(serial.toUpperCase(), row._row);
+        devices.push({
+            row: row._row,
+            serial,
+            type,
+            capacityGB,
+            status,
+            model: cell('model').trim() || null,
+            certificate: cell('certificate').trim() || null,
+            assetTag: cell('assetTag').trim() || null
+        });
+    }
+    return { devices, errors, skipped };
+}
+
+class InventoryStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        // Keyed by request-supplied conversation ids, so no prototype
+        this.inventories = Object.create(null);
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            this.inventories = Object.assign(Object.create(null), JSON.parse(await fs.readFile(this.filePath, 'utf-8')));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return this;
+    }
+
+    // Serialise writes so concurrent imports never interleave on disk
+    save() {
+        const write = this.writeQueue.then(async () => {
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(tmpPath, JSON.stringify(this.inventories, null, 2));
+            await fs.rename(tmpPath, this.filePath);
+        });
+        this.writeQueue = write.catch(error => {
+            console.error('Inventory store write failed:', error);
+        });
+        return write;
+    }
+
+    get(conversationId) {
+        return this.inventories[conversationId] || null;
+    }
+
+    // mode 'replace' starts over; 'append' adds devices and updates known serials
+    async import(conversationId, { filename, devices, errors }, { mode = 'replace' } = {}) {
+        const existing = mode === 'append' ? this.get(conversationId) : null;
+        const bySerial = new Map((existing?.devices || []).map(d => [d.serial.toUpperCase(), d]));
+        for (const device of devices) bySerial.set(device.serial.toUpperCase(), device);
+
+        this.inventories[conversationId] = {
+            conversationId,
+            files: [...(existing?.files || []), filename],
+            importedAt: new Date().toISOString(),
+            devices: [...bySerial.values()],
+            errors
+        };
+        await this.save();
+        return this.inventories[conversationId];
+    }
+
+    async remove(conversationId) {
+        if (!this.inventories[conversationId]) return false;
+        delete this.inventories[conversationId];
+        await this.save();
+        return true;
+    }
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+const GROUP_FIELDS = ['type', 'status', 'certified', 'model'];
+const METRICS = ['count', 'capacity', 'list'];
+
+const asList = (value) => (value === undefined || value === null || value === '' ? [] : [].concat(value));
+
+// Normalised query: unknown filter values are dropped rather than matching nothing by accident
+function normalizeQuery(query = {}) {
+    const normalized = {
+        type: asList(query.type).map(matchType).filter(Boolean),
+        status: asList(query.status).map(matchStatus).filter(Boolean),
+        certified: typeof query.certified === 'boolean' ? query.certified : null,
+        minCapacityGB: Number(query.minCapacityGB) > 0 ? Number(query.minCapacityGB) : null,
+        maxCapacityGB: Number(query.maxCapacityGB) > 0 ? Number(query.maxCapacityGB) : null,
+        search: query.search ? String(query.search).trim() : null,
+        groupBy: GROUP_FIELDS.includes(query.groupBy) ? query.groupBy : null,
+        metric: METRICS.includes(query.metric) ? query.metric : 'count',
+        limit: Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 200)
+    };
+    normalized.type = [...new Set(normalized.type)];
+    normalized.status = [...new Set(normalized.status)];
+    return normalized;
+}
+
+// Exact answer over the devices: { query, total, matched, capacityGB, groups?, devices? }
+function queryInventory(devices, query = {}) {
+    const q = normalizeQuery(query);
+    const search = q.search?.toLowerCase();
+    const matched = devices.filter(d =>
+        (!q.type.length || q.type.includes(d.type)) &&
+        (!q.status.length || q.status.includes(d.status)) &&
+        (q.certified === null || !!d.certificate === q.certified) &&
+        (q.minCapacityGB === null || d.capacityGB >= q.minCapacityGB) &&
+        (q.maxCapacityGB === null || d.capacityGB <= q.maxCapacityGB) &&
+        (!search || [d.serial, d.model, d.assetTag, d.certificate].some(v => v && v.toLowerCase().includes(search)))
+    );
+
+    const result = {
+        query: q,
+        total: devices.length,
+        matched: matched.length,
+        capacityGB: Math.round(matched.reduce((sum, d) => sum + d.capacityGB, 0) * 100) / 100
+    };
+
+    if (q.groupBy) {
+        const groups = new Map();
+        for (const device of matched) {
+            const key = q.groupBy === 'certified' ? (device.certificate ? 'certified' : 'no certificate') : device[q.groupBy] || 'unknown';
+            const group = groups.get(key) || { key, count: 0, capacityGB: 0 };
+            group.count++;
+            group.capacityGB = Math.round((group.capacityGB + device.capacityGB) * 100) / 100;
+            groups.set(key, group);
+        }
+        result.groups = [...groups.values()].sort((a, b) => b.count - a.count);
+    }
+    if (q.metric === 'list') {
+        result.devices = matched.slice(0, q.limit);
+        result.truncated = matched.length > q.limit;
+    }
+    return result;
+}
+
+// Structured query from a plain question such as "how many NVMe drives still lack a certificate?"
+function parseInventoryQuestion(text) {
+    const t = String(text || '').toLowerCase();
+    const query = { type: [], status: [] };
+
+    if (/nvme|pcie/.test(t)) query.type.push('nvme');
+    if (/\bssds?\b|solid.state/.test(t.replace(/nvme ssds?/g, ''))) query.type.push('sata-ssd');
+    if (/\bhdds?\b|hard (disk|drive)/.test(t)) query.type.push('hdd');
+    if (/\busb\b|flash|thumb/.test(t)) query.type.push('usb');
+
+    if (/not (been )?wiped|unwiped|outstanding|still (need|to be) (wiped|wiping)|remaining/.test(t)) query.status.push('pending', 'in-progress', 'failed');
+    else {
+        if (/\bpending|queued|not started|waiting/.test(t)) query.status.push('pending');
+        if (/in progress|being wiped|currently wiping/.test(t)) query.status.push('in-progress');
+        if (/\bfail/.test(t)) query.status.push('failed');
+        if (/destroy|shred/.test(t)) query.status.push('destroyed');
+        if (/\bwiped\b|completed?|sanitized|erased/.test(t)) query.status.push('wiped');
+    }
+
+    if (/(lack|without|missing|no|need|needs|needing)\s+(an?\s+|any\s+)?cert|not (yet )?certified|uncertified/.test(t)) query.certified = false;
+    else if (/(with|have|has|having)\s+(an?\s+)?cert|\bcertified/.test(t)) query.certified = true;
+
+    const size = (amount, unit) => parseFloat(amount) * (/^t/.test(unit) ? 1000 : 1);
+    const min = t.match(/(?:over|above|more than|larger than|bigger than|at least|>=?)\s*(\d+(?:\.\d+)?)\s*(tb|t|gb|g)\b/);
+    const max = t.match(/(?:under|below|less than|smaller than|at most|<=?)\s*(\d+(?:\.\d+)?)\s*(tb|t|gb|g)\b/);
+    if (min) query.minCapacityGB = size(min[1], min[2]);
+    if (max) query.maxCapacityGB = size(max[1], max[2]);
+
+    const serial = String(text || '').match(/(?:serial|s\/n)\s*(?:number\s*)?[:#]?\s*((?=[\w-]*\d)[A-Za-z0-9][\w-]+)/i);
+    if (serial) query.search = serial[1];
+
+    const group = t.match(/\b(?:by|per)\s+(type|status|model|certificate)/);
+    if (group) query.groupBy = group[1] === 'certificate' ? 'certified' : group[1];
+    else if (/breakdown|overview|summary|^\s*$/.test(t)) query.groupBy = query.type.length === 1 ? 'status' : 'type';
+
+    if (/total capacity|how much (storage|capacity|data)|\bterabytes\b|\btb total/.test(t)) query.metric = 'capacity';
+    else if ((query.search || /\b(list|which|show|what are|serials|serial numbers)\b/.test(t)) && !/how many/.test(t)) query.metric = 'list';
+
+    return query;
+}
+
+// "NVMe · pending, in progress · no certificate"
+function describeQuery(q) {
+    const parts = [];
+    if (q.type.length) parts.push(q.type.map(t => DEVICE_TYPES[t].label).join(' or '));
+    if (q.status.length) parts.push(q.status.map(s => STATUSES[s].toLowerCase()).join(' or '));
+    if (q.certified !== null) parts.push(q.certified ? 'with a certificate' : 'no certificate');
+    if (q.minCapacityGB) parts.push(`≥ ${q.minCapacityGB} GB`);
+    if (q.maxCapacityGB) parts.push(`≤ ${q.maxCapacityGB} GB`);
+    if (q.search) parts.push(`matching "${q.search}"`);
+    return parts.length ? parts.join(' · ') : 'all devices';
+}
+
+const formatCapacity = (gb) => (gb >= 1000 ? `${Math.round(gb / 10) / 100} TB` : `${gb} GB`);
+
+const groupLabel = (field, key) => {
+    if (field === 'type') return DEVICE_TYPES[key]?.label || key;
+    if (field === 'status') return STATUSES[key] || key;
+    return key;
+};
+
+function formatInventoryAnswer(result) {
+    const q = result.query;
+    const lines = [
+        `### 📦 ${describeQuery(q)}`,
+        '',
+        q.metric === 'capacity'
+            ? `**${formatCapacity(result.capacityGB)}** across **${result.matched}** of ${result.total} devices`
+            : `**${result.matched}** of ${result.total} devices (${formatCapacity(result.capacityGB)})`
+    ];
+    if (result.groups?.length) {
+        lines.push('', ...result.groups.map(g => `* ${groupLabel(q.groupBy, g.key)}: ${g.count} (${formatCapacity(g.capacityGB)})`));
+    }
+    if (result.devices?.length) {
+        lines.push('', ...result.devices.map(d =>
+            `* \`${d.serial}\` ${DEVICE_TYPES[d.type].label} ${formatCapacity(d.capacityGB)}${d.model ? ` ${d.model}` : ''} – ${STATUSES[d.status]}${d.certificate ? `, certificate ${d.certificate}` : ''}`));
+        if (result.truncated) lines.push(`* …and ${result.matched - result.devices.length} more`);
+    }
+    return lines.join('\n');
+}
+
+function formatInventoryImport(inventory, { imported, skipped, errors }) {
+    const overview = queryInventory(inventory.devices, { groupBy: 'type' });
+    const byStatus = queryInventory(inventory.devices, { groupBy: 'status' });
+    const certified = inventory.devices.filter(d => d.certificate).length;
+    const lines = [
+        `### 📦 Inventory imported: ${imported} devices from ${inventory.files[inventory.files.length - 1]}`,
+        '',
+        `**Devices in this conversation:** ${inventory.devices.length} (${formatCapacity(overview.capacityGB)})`,
+        `**By type:** ${overview.groups.map(g => `${groupLabel('type', g.key)} ${g.count}`).join(', ') || 'none'}`,
+        `**By status:** ${byStatus.groups.map(g => `${groupLabel('status', g.key)} ${g.count}`).join(', ') || 'none'}`,
+        `**Certificates:** ${certified} of ${inventory.devices.length}`
+    ];
+    if (skipped) {
+        lines.push('', `**${skipped} row(s) not imported (${errors.length} problem(s)):**`,
+            ...errors.slice(0, 10).map(e => `* Row ${e.row}: ${e.message}`));
+        if (errors.length > 10) lines.push(`* …and ${errors.length - 10} more`);
+    }
+    lines.push('', 'Ask with `/inventory`, e.g. `/inventory how many NVMe drives still lack a certificate?`');
+    return lines.join('\n');
+}
+
+module.exports = {
+    STATUSES,
+    GROUP_FIELDS,
+    METRICS,
+    InventoryStore,
+    readInventoryTable,
+    validateInventory,
+    queryInventory,
+    parseInventoryQuestion,
+    describeQuery,
+    formatInventoryAnswer,
+    formatInventoryImport
+};
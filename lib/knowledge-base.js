@@ -0,0 +1,388 @@
+// lib/knowledge-base.js - Document-backed RAG knowledge base
+// Loads Markdown, text and JSON files from a directory, splits them into
+// overlapping chunks with source metadata and reloads when the files change.
+// Chunks are ranked with BM25 (headings and keywords count twice) and, when a
+// vector index is attached, fused with embedding similarity by reciprocal rank.
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { BM25Index, tokenize } = require('./bm25');
+
+const SUPPORTED_EXTENSIONS = ['.md', '.markdown', '.txt', '.json'];
+const MAX_DOCUMENT_BYTES = 1024 * 1024;
+// Retired documents are moved here; dot-directories are never indexed
+const RETIRED_DIR = '.retired';
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+// Split Markdown into sections at headings, remembering the heading path.
+// A `<!-- keywords: a, b -->` line gives its section search keywords (not shown as text).
+function parseMarkdown(text, fallbackHeading) {
+    const sections = [];
+    const trail = [];
+    let current = { heading: fallbackHeading, lines: [], keywords: [] };
+
+    for (const line of text.split(/\r?\n/)) {
+        const match = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        const keywords = line.match(/^\s*<!--\s*keywords:\s*(.*?)\s*-->\s*$/i);
+        if (match) {
+            if (current.lines.join('').trim()) sections.push(current);
+            const level = match[1].length;
+            trail.length = level - 1;
+            trail[level - 1] = match[2];
+            current = { heading: trail.filter(Boolean).join(' › '), lines: [], keywords: [] };
+        } else if (keywords) {
+            current.keywords.push(...keywords[1].split(',').map(k => k.trim()).filter(Boolean));
+        } else {
+            current.lines.push(line);
+        }
+    }
+    if (current.lines.join('').trim()) sections.push(current);
+
+    return sections.map(s => ({ heading: s.heading, text: s.lines.join('\n').trim(), keywords: s.keywords }));
+}
+
+// Plain text is one section per file
+function parseText(text, fallbackHeading) {
+    return text.trim() ? [{ heading: fallbackHeading, text: text.trim(), keywords: [] }] : [];
+}
+
+// JSON may be an array of entries or a { topic: { content, keywords } } map
+function parseJson(text, fallbackHeading) {
+    const data = JSON.parse(text);
+    const entries = Array.isArray(data)
+        ? data
+        : Object.entries(data).map(([topic, entry]) => (typeof entry === 'string' ? { topic, content: entry } : { topic, ...entry }));
+
+    return entries
+        .map(entry => ({
+            heading: entry.title || entry.topic || entry.heading || fallbackHeading,
+            text: String(entry.content || entry.text || '').trim(),
+            keywords: Array.isArray(entry.keywords) ? entry.keywords.map(String) : []
+        }))
+        .filter(section => section.text);
+}
+
+function parseDocument(text, source) {
+    const ext = path.extname(source).toLowerCase();
+    const fallbackHeading = path.basename(source, ext);
+    if (ext === '.json') return parseJson(text, fallbackHeading);
+    if (ext === '.txt') return parseText(text, fallbackHeading);
+    return parseMarkdown(text, fallbackHeading);
+}
+
+// ============================================================================
+// CHUNKING
+// ============================================================================
+
+// Fixed-size windows that end on a sentence or word boundary and overlap the previous window
+function chunkText(text, { chunkSize, overlap }) {
+    const chunks = [];
+    let start = 0;
+
+    while (start < text.length) {
+        let end = Math.min(start + chunkSize, text.length);
+        if (end < text.length) {
+            const window = text.substring(start, end);
+            const sentence = Math.max(window.lastIndexOf('. '), window.lastIndexOf('\n'));
+            const boundary = sentence > chunkSize / 2 ? sentence + 1 : window.lastIndexOf(' ');
+            if (boundary > 0) end = start + boundary;
+        }
+
+        chunks.push({ text: text.substring(start, end).trim(), start, end });
+        if (end >= text.length) break;
+
+        // Step back by the overlap, then forward to the next word
+        let next = Math.max(end - overlap, start + 1);
+        while (next < end && !/\s/.test(text[next - 1])) next++;
+        start = next;
+    }
+
+    return chunks.filter(chunk => chunk.text);
+}
+
+// ============================================================================
+// RANK FUSION
+// ============================================================================
+
+// Reciprocal rank fusion: each list adds 1 / (k + rank) for every id it ranks
+function reciprocalRankFusion(lists, { k = 60 } = {}) {
+    const fused = new Map();
+    for (const list of lists) {
+        list.forEach((item, rank) => {
+            fused.set(item.id, (fused.get(item.id) || 0) + 1 / (k + rank + 1));
+        });
+    }
+    return [...fused]
+        .sort((a, b) => b[1] - a[1])
+        .map(([id, score]) => ({ id, score }));
+}
+
+// ============================================================================
+// KNOWLEDGE BASE
+// ============================================================================
+
+class KnowledgeBase {
+    constructor({ dir, chunkSize = 800, overlap = 150, topK = 3, minScore = 0, vectorIndex = null, minSimilarity = 0.15, rrfK = 60 } = {}) {
+        this.dir = dir;
+        this.chunkSize = chunkSize;
+        this.overlap = overlap;
+        this.topK = topK;
+        this.minScore = minScore;
+        this.vectorIndex = vectorIndex;
+        this.minSimilarity = minSimilarity;
+        this.rrfK = rrfK;
+        this.chunks = [];
+        this.byId = new Map();
+        this.index = new BM25Index();
+        this.files = [];
+        this.loadedAt = null;
+        this.watcher = null;
+        this.reloadTimer = null;
+    }
+
+    async listFiles(dir = this.dir) {
+        let entries;
+        try {
+            entries = await fsp.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const files = [];
+        for (const entry of entries) {
+            if (entry.name.startsWith('.')) continue;
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) files.push(...await this.listFiles(full));
+            else if (SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) files.push(full);
+        }
+        return files.sort();
+    }
+
+    // Chunks for one file, tagged with where they came from
+    async loadFile(file) {
+        const source = path.relative(this.dir, file).split(path.sep).join('/');
+        const sections = parseDocument(await fsp.readFile(file, 'utf-8'), source);
+        const chunks = [];
+
+        sections.forEach((section, sectionIndex) => {
+            for (const piece of chunkText(section.text, this)) {
+                chunks.push({
+                    id: `${source}#${chunks.length}`,
+                    source,
+                    heading: section.heading,
+                    position: { chunk: chunks.length, section: sectionIndex, start: piece.start, end: piece.end },
+                    text: piece.text,
+                    keywords: section.keywords
+                });
+            }
+        });
+        return chunks;
+    }
+
+    // (Re)build every chunk; a file that fails to parse is skipped, not fatal
+    async load() {
+        const files = await this.listFiles();
+        const chunks = [];
+        const loaded = [];
+
+        for (const file of files) {
+            try {
+                const fileChunks = await this.loadFile(file);
+                const stat = await fsp.stat(file);
+                chunks.push(...fileChunks);
+                loaded.push({
+                    source: path.relative(this.dir, file).split(path.sep).join('/'),
+                    chunks: fileChunks.length,
+                    size: stat.size,
+                    updatedAt: stat.mtime.toISOString()
+                });
+            } catch (error) {
+                console.error(`[KB] Skipping ${file}: ${error.message}`);
+            }
+        }
+
+        if (this.vectorIndex) {
+            try {
+                const { embedded } = await this.vectorIndex.sync(chunks);
+                if (embedded) console.log(`[KB] Embedded ${embedded} chunks with ${this.vectorIndex.embedder.name}`);
+            } catch (error) {
+                // Keyword search still works without vectors
+                console.error('[KB] Embedding failed:', error.message);
+            }
+        }
+
+        this.chunks = chunks;
+        this.byId = new Map(chunks.map(chunk => [chunk.id, chunk]));
+        this.index = this.buildIndex(chunks);
+        this.files = loaded;
+        this.loadedAt = new Date().toISOString();
+        return this;
+    }
+
+    // Reload (debounced) whenever something in the directory changes
+    watch() {
+        if (this.watcher) return this;
+        try {
+            this.watcher = fs.watch(this.dir, { recursive: true }, () => {
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => {
+                    this.load()
+                        .then(() => console.log(`[KB] Reloaded ${this.chunks.length} chunks from ${this.files.length} files`))
+                        .catch(error => console.error('[KB] Reload failed:', error));
+                }, 300);
+            });
+        } catch (error) {
+            console.warn(`[KB] Not watching ${this.dir}: ${error.message}`);
+        }
+        return this;
+    }
+
+    close() {
+        clearTimeout(this.reloadTimer);
+        this.watcher?.close();
+        this.watcher = null;
+    }
+
+    buildIndex(chunks) {
+        const index = new BM25Index();
+        for (const chunk of chunks) {
+            const boosted = tokenize(`${chunk.heading} ${chunk.keywords.join(' ')}`);
+            index.add(chunk.id, [...tokenize(chunk.text), ...boosted, ...boosted]);
+        }
+        return index;
+    }
+
+    toResult(id, relevance, extra = {}) {
+        const chunk = this.byId.get(id);
+        return {
+            id,
+            topic: chunk.heading,
+            content: chunk.text,
+            source: chunk.source,
+            heading: chunk.heading,
+            position: chunk.position,
+            relevance: Math.round(relevance * 1000) / 1000,
+            ...extra
+        };
+    }
+
+    // Top-k chunks by BM25 score; results below minScore are dropped
+    search(query, { limit = this.topK, minScore = this.minScore } = {}) {
+        return this.index.search(query, { limit, minScore }).map(({ id, score }) => this.toResult(id, score));
+    }
+
+    // BM25 and vector rankings fused by reciprocal rank; lexical only without a vector index
+    async hybridSearch(query, { limit = this.topK, minScore = this.minScore, minSimilarity = this.minSimilarity } = {}) {
+        const candidates = Math.max(limit * 4, 20);
+        const lexical = this.search(query, { limit: candidates, minScore });
+        if (!this.vectorIndex) return lexical.slice(0, limit);
+
+        let semantic;
+        try {
+            semantic = await this.vectorIndex.search(query, { limit: candidates, minSimilarity });
+        } catch (error) {
+            console.error('[KB] Vector search failed, using keyword results only:', error.message);
+            return lexical.slice(0, limit);
+        }
+
+        const lexicalScores = new Map(lexical.map(r => [r.id, r.relevance]));
+        const vectorScores = new Map(semantic.map(r => [r.id, Math.round(r.score * 1000) / 1000]));
+
+        return reciprocalRankFusion([lexical, semantic], { k: this.rrfK })
+            .filter(({ id }) => this.byId.has(id))
+            .slice(0, limit)
+            .map(({ id, score }) => this.toResult(id, score, {
+                lexicalScore: lexicalScores.get(id) ?? null,
+                vectorScore: vectorScores.get(id) ?? null
+            }));
+    }
+
+    // ------------------------------------------------------------------------
+    // Document management
+    // ------------------------------------------------------------------------
+
+    // Absolute path for a document name, or null if it would leave the directory
+    resolveSource(source) {
+        const normalized = String(source || '').replace(/\\/g, '/').replace(/^\/+/, '');
+        const parts = normalized.split('/');
+        if (!normalized || parts.some(part => !/^[\w\-. ()]+$/.test(part) || part.startsWith('.'))) return null;
+
+        const root = path.resolve(this.dir);
+        const full = path.resolve(root, ...parts);
+        return full.startsWith(root + path.sep) ? full : null;
+    }
+
+    // Error message for a document that cannot be indexed, or null when it is fine
+    validateDocument(source, content) {
+        if (!this.resolveSource(source)) return 'Document name must be a relative path inside the knowledge base';
+        if (!SUPPORTED_EXTENSIONS.includes(path.extname(source).toLowerCase())) {
+            return `Unsupported document type; use ${SUPPORTED_EXTENSIONS.join(', ')}`;
+        }
+        if (typeof content !== 'string' || !content.trim()) return 'Document content is empty';
+        if (Buffer.byteLength(content) > MAX_DOCUMENT_BYTES) return 'Document is larger than 1 MB';
+
+        try {
+            if (!parseDocument(content, source).length) return 'Document has no indexable text';
+        } catch (error) {
+            return `Document could not be parsed: ${error.message}`;
+        }
+        return null;
+    }
+
+    async readDocument(source) {
+        const file = this.resolveSource(source);
+        if (!file) return null;
+        try {
+            const [content, stat] = await Promise.all([fsp.readFile(file, 'utf-8'), fsp.stat(file)]);
+            return {
+                source,
+                content,
+                size: stat.size,
+                updatedAt: stat.mtime.toISOString(),
+                chunks: this.chunks.filter(chunk => chunk.source === source)
+            };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Write a (validated) document and reindex straight away
+    async writeDocument(source, content) {
+        const file = this.resolveSource(source);
+        await fsp.mkdir(path.dirname(file), { recursive: true });
+        await fsp.writeFile(file, content);
+        await this.load();
+        return this.readDocument(source);
+    }
+
+    // Move a document out of the index, keeping a copy under .retired/<timestamp>/
+    async retireDocument(source) {
+        const file = this.resolveSource(source);
+        if (!file) return null;
+
+        const retiredAs = path.join(RETIRED_DIR, new Date().toISOString().replace(/[:.]/g, '-'), source).split(path.sep).join('/');
+        const target = path.join(this.dir, retiredAs);
+        try {
+            await fsp.mkdir(path.dirname(target), { recursive: true });
+            await fsp.rename(file, target);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        await this.load();
+        return { source, retiredAs };
+    }
+
+    stats() {
+        return { dir: this.dir, files: this.files, chunks: this.chunks.length, loadedAt: this.loadedAt };
+    }
+}
+
+module.exports = { KnowledgeBase, parseDocument, chunkText, reciprocalRankFusion, SUPPORTED_EXTENSIONS };
@@ -0,0 +1,320 @@
+// lib/ledger.js - Pluggable ledger adapters for wipe certificates
+// Every adapter records certificate entries in a hash chain and implements:
+//   record({ certId, certificateHash, deviceId, status }) -> entry
+//   lookup(certIdOrHash) -> entry | null
+//   verify(certIdOrHash) -> { found, valid, entry, chain, errors }
+//   status() -> { adapter, network, length, head }
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const GENESIS_HASH = '0x' + '0'.repeat(64);
+
+// Hash over the fields that make up a chain entry, in a fixed order
+function hashEntry(entry) {
+    const payload = [
+        entry.index,
+        entry.certId,
+        entry.certificateHash,
+        entry.deviceId,
+        entry.status,
+        entry.timestamp,
+        entry.previousHash
+    ].join('|');
+    return '0x' + crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+// Write to a temporary file and rename it over the old one, so a crash mid-write
+// never leaves a truncated chain or index behind
+async function writeJsonAtomic(filePath, value) {
+    const tmpPath = `${filePath}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify(value, null, 2));
+    await fs.rename(tmpPath, filePath);
+}
+
+function normalizeKey(key) {
+    return String(key || '').trim().toLowerCase();
+}
+
+// Walk from an entry back to genesis, checking every hash and link
+async function verifyChain(adapter, key) {
+    const entry = await adapter.lookup(key);
+    if (!entry) {
+        return { found: false, valid: false, entry: null, chain: [], errors: ['Certificate not found on ledger'] };
+    }
+
+    const chain = [];
+    const errors = [];
+    const seen = new Set();
+    let current = entry;
+
+    while (current && !seen.has(current.hash)) {
+        seen.add(current.hash);
+        const expected = hashEntry(current);
+        const valid = expected === current.hash;
+        chain.push({ index: current.index, certId: current.certId, hash: current.hash, valid });
+        if (!valid) errors.push(`Entry #${current.index} hash mismatch (expected ${expected})`);
+
+        if (current.previousHash === GENESIS_HASH) break;
+
+        const previous = await adapter.lookup(current.previousHash);
+        if (!previous) {
+            errors.push(`Entry #${current.index} links to unknown hash ${current.previousHash}`);
+            break;
+        }
+        current = previous;
+    }
+
+    return { found: true, valid: errors.length === 0, entry, chain, errors };
+}
+
+// ============================================================================
+// LOCAL LEDGER (in-memory, optionally persisted to a JSON file)
+// ============================================================================
+
+class LocalLedger {
+    constructor({ filePath } = {}) {
+        this.name = 'local';
+        this.filePath = filePath || null;
+        this.entries = [];
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        if (!this.filePath) return this;
+        try {
+            this.entries = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return this;
+    }
+
+    // Serialised like the other stores; a failed write rejects for its caller only
+    persist() {
+        if (!this.filePath) return Promise.resolve();
+        const write = this.writeQueue.then(() => writeJsonAtomic(this.filePath, this.entries));
+        this.writeQueue = write.catch(error => {
+            console.error('Ledger write failed:', error);
+        });
+        return write;
+    }
+
+    async record({ certId, certificateHash, deviceId, status = 'verified' }) {
+        const previous = this.entries[this.entries.length - 1];
+        const entry = {
+            index: this.entries.length,
+            certId,
+            certificateHash,
+            deviceId,
+            status,
+            timestamp: new Date().toISOString(),
+            previousHash: previous ? previous.hash : GENESIS_HASH
+        };
+        entry.hash = hashEntry(entry);
+
+        this.entries.push(entry);
+        await this.persist();
+        return entry;
+    }
+
+    async lookup(key) {
+        const k = normalizeKey(key);
+        return this.entries.find(e =>
+            normalizeKey(e.certId) === k || e.hash === k || normalizeKey(e.certificateHash) === k
+        ) || null;
+    }
+
+    async verify(key) {
+        return verifyChain(this, key);
+    }
+
+    async status() {
+        const head = this.entries[this.entries.length - 1];
+        return { adapter: this.name, network: 'local', length: this.entries.length, head: head ? head.hash : GENESIS_HASH };
+    }
+}
+
+// ============================================================================
+// EVM JSON-RPC LEDGER
+// ============================================================================
+
+// Stores each entry as calldata of a self-transaction on an EVM node (e.g. a
+// local Anvil/Hardhat node or Sepolia via an unlocked account). A small index
+// file maps certificate ids and hashes to transaction hashes. Every JSON-RPC
+// request is limited to `timeoutMs` so a hung node fails the call instead of stalling it.
+class EvmLedger {
+    constructor({ rpcUrl, from, indexPath, timeoutMs = 10000 } = {}) {
+        this.name = 'evm';
+        this.rpcUrl = rpcUrl || 'http://127.0.0.1:8545';
+        this.from = from || null;
+        this.indexPath = indexPath || null;
+        this.timeoutMs = timeoutMs;
+        // Keyed by client-supplied certificate ids, so no prototype
+        this.index = { head: null, keys: Object.create(null) };
+        this.requestId = 0;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        if (!this.indexPath) return this;
+        try {
+            const parsed = JSON.parse(await fs.readFile(this.indexPath, 'utf-8'));
+            this.index = { head: parsed.head || null, keys: Object.assign(Object.create(null), parsed.keys) };
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return this;
+    }
+
+    persist() {
+        if (!this.indexPath) return Promise.resolve();
+        const write = this.writeQueue.then(() => writeJsonAtomic(this.indexPath, this.index));
+        this.writeQueue = write.catch(error => {
+            console.error('Ledger index write failed:', error);
+        });
+        return write;
+    }
+
+    async rpc(method, params = []) {
+        let response;
+        try {
+            response = await fetch(this.rpcUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params }),
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+        } catch (error) {
+            if (error.name === 'TimeoutError') throw new Error(`RPC ${method} timed out after ${this.timeoutMs} ms`);
+            throw error;
+        }
+        const data = await response.json();
+        if (data.error) throw new Error(`RPC ${method} failed: ${data.error.message}`);
+        return data.result;
+    }
+
+    async getFrom() {
+        if (!this.from) {
+            const [account] = await this.rpc('eth_accounts');
+            if (!account) throw new Error('EVM node has no unlocked account; set LEDGER_EVM_FROM');
+            this.from = account;
+        }
+        return this.from;
+    }
+
+    async record({ certId, certificateHash, deviceId, status = 'verified' }) {
+        const head = this.index.head ? await this.lookup(this.index.head) : null;
+        const entry = {
+            index: head ? head.index + 1 : 0,
+            certId,
+            certificateHash,
+            deviceId,
+            status,
+            timestamp: new Date().toISOString(),
+            previousHash: head ? head.hash : GENESIS_HASH
+        };
+        entry.hash = hashEntry(entry);
+
+        const from = await this.getFrom();
+        const data = '0x' + Buffer.from(JSON.stringify(entry)).toString('hex');
+        const txHash = await this.rpc('eth_sendTransaction', [{ from, to: from, value: '0x0', data }]);
+
+        for (const key of [certId, entry.hash, certificateHash]) {
+            this.index.keys[normalizeKey(key)] = txHash;
+        }
+        this.index.head = entry.hash;
+        await this.persist();
+
+        return { ...entry, txHash };
+    }
+
+    async lookup(key) {
+        const k = normalizeKey(key);
+        const txHash = this.index.keys[k] || (/^0x[0-9a-f]{64}$/.test(k) ? k : null);
+        if (!txHash) return null;
+
+        const tx = await this.rpc('eth_getTransactionByHash', [txHash]);
+        if (!tx || !tx.input || tx.input === '0x') return null;
+
+        let entry;
+        try {
+            entry = JSON.parse(Buffer.from(tx.input.slice(2), 'hex').toString('utf-8'));
+        } catch (error) {
+            return null;
+        }
+
+        const receipt = await this.rpc('eth_getTransactionReceipt', [txHash]);
+        return {
+            ...entry,
+            txHash,
+            blockNumber: tx.blockNumber ? parseInt(tx.blockNumber, 16) : null,
+            confirmed: receipt ? receipt.status === '0x1' : false
+        };
+    }
+
+    async verify(key) {
+        const result = await verifyChain(this, key);
+        if (result.entry && !result.entry.confirmed) {
+            result.errors.push('Transaction is not confirmed on chain');
+            result.valid = false;
+        }
+        return result;
+    }
+
+    async status() {
+        const chainId = await this.rpc('eth_chainId');
+        const head = this.index.head ? await this.lookup(this.index.head) : null;
+        return {
+            adapter: this.name,
+            network: `chain ${parseInt(chainId, 16)}`,
+            length: head ? head.index + 1 : 0,
+            head: head ? head.hash : GENESIS_HASH
+        };
+    }
+}
+
+// Build the adapter named by `adapter` ('local' or 'evm')
+function createLedger({ adapter = 'local', dataDir, rpcUrl, from, timeoutMs } = {}) {
+    if (adapter === 'evm') {
+        return new EvmLedger({
+            rpcUrl,
+            from,
+            timeoutMs,
+            indexPath: dataDir ? path.join(dataDir, 'ledger-evm-index.json') : null
+        });
+    }
+    return new LocalLedger({ filePath: dataDir ? path.join(dataDir, 'ledger.json') : null });
+}
+
+// Markdown summary of a verification result for the chat
+function formatLedgerVerification(key, result) {
+    if (!result.found) {
+        return `### ⛓️ Certificate not found\n\nNo ledger entry matches \`${key}\`.`;
+    }
+    const e = result.entry;
+    return [
+        `### ⛓️ ${result.valid ? '✅ Certificate verified' : '❌ Certificate failed verification'}`,
+        '',
+        `**Certificate:** \`${e.certId}\``,
+        `**Device:** ${e.deviceId}`,
+        `**Status:** ${e.status}`,
+        `**Recorded:** ${new Date(e.timestamp).toLocaleString()}`,
+        `**Certificate hash:** \`${e.certificateHash}\``,
+        `**Entry hash:** \`${e.hash}\``,
+        e.txHash ? `**Transaction:** \`${e.txHash}\`${e.blockNumber !== null ? ` (block ${e.blockNumber})` : ''}` : null,
+        `**Hash chain:** ${result.chain.length} entr${result.chain.length === 1 ? 'y' : 'ies'} checked back to genesis`,
+        ...result.errors.map(err => `❌ ${err}`)
+    ].filter(line => line !== null).join('\n');
+}
+
+module.exports = {
+    GENESIS_HASH,
+    hashEntry,
+    LocalLedger,
+    EvmLedger,
+    createLedger,
+    formatLedgerVerification
+};
@@ -0,0 +1,365 @@
+// lib/llm-providers.js - Language model providers behind one interface
+// Every provider implements:
+//   name, defaultModel
+//   chat({ model, system, history, message, generationConfig, tools, signal })
+//       -> Promise<{ text, functionCalls, content, usage, model }>
+//   stream(request, { signal, onDelta }) -> Promise<{ text, usage, model }>
+//   countTokens({ model, contents }) -> Promise<number>, or null when the provider cannot count
+//   embed(texts, { model }) -> Promise<number[][]>
+//
+// History, messages and tool declarations use Gemini's shapes ({ role, parts } turns,
+// functionCall/functionResponse parts, generationConfig) and are translated per provider.
+// `usage` is { promptTokens, completionTokens, totalTokens }.
+
+const fs = require('fs').promises;
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { LocalEmbedder } = require('./embeddings');
+const { estimateTokens } = require('./summarizer');
+
+const asParts = (message) => (typeof message === 'string' ? [{ text: message }] : message);
+
+const partsText = (parts = []) => parts.map(p => p.text || '').join('');
+
+// ============================================================================
+// GEMINI
+// ============================================================================
+
+function geminiText(response) {
+    try {
+        return response.text();
+    } catch (error) {
+        // Function-call-only or blocked responses have no text
+        return '';
+    }
+}
+
+const geminiUsage = (usage) => ({
+    promptTokens: usage?.promptTokenCount || 0,
+    completionTokens: usage?.candidatesTokenCount || 0,
+    totalTokens: usage?.totalTokenCount || 0
+});
+
+class GeminiProvider {
+    constructor({ apiKey, model = 'gemini-2.5-flash', embeddingModel = 'text-embedding-004', batchSize = 100 } = {}) {
+        this.name = 'gemini';
+        this.defaultModel = model;
+        this.embeddingModel = embeddingModel;
+        this.batchSize = batchSize;
+        this.genAI = new GoogleGenerativeAI(apiKey || 'demo-key');
+        // Without a key every count would fail; let the context manager estimate
+        if (!apiKey) this.countTokens = null;
+    }
+
+    // The SDK's chat session appends to the history it is given, so it gets a copy
+    startChat({ model, system, history = [], generationConfig = {}, tools }) {
+        return this.genAI.getGenerativeModel({
+            model: model || this.defaultModel,
+            systemInstruction: system || undefined,
+            tools: tools?.length ? [{ functionDeclarations: tools }] : undefined
+        }).startChat({ history: [...history], generationConfig });
+    }
+
+    async chat({ message, signal, ...request }) {
+        const { response } = await this.startChat(request).sendMessage(message, { signal });
+        return {
+            text: geminiText(response),
+            functionCalls: response.functionCalls() || [],
+            content: response.candidates?.[0]?.content || { role: 'model', parts: [] },
+            usage: geminiUsage(response.usageMetadata),
+            model: request.model || this.defaultModel
+        };
+    }
+
+    async stream({ message, ...request }, { signal, onDelta } = {}) {
+        const result = await this.startChat(request).sendMessageStream(message, { signal });
+        let text = '';
+        let usage = null;
+        for await (const chunk of result.stream) {
+            if (signal?.aborted) break;
+            if (chunk.usageMetadata) usage = chunk.usageMetadata;
+            const delta = geminiText(chunk);
+            if (delta) {
+                text += delta;
+                onDelta?.(delta);
+            }
+        }
+        return { text, usage: geminiUsage(usage), model: request.model || this.defaultModel };
+    }
+
+    async countTokens({ model, contents }) {
+        const { totalTokens } = await this.genAI.getGenerativeModel({ model: model || this.defaultModel }).countTokens({ contents });
+        return totalTokens;
+    }
+
+    async embed(texts, { model = this.embeddingModel } = {}) {
+        const embedder = this.genAI.getGenerativeModel({ model });
+        const vectors = [];
+        for (let i = 0; i < texts.length; i += this.batchSize) {
+            const { embeddings } = await embedder.batchEmbedContents({
+                requests: texts.slice(i, i + this.batchSize).map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+            });
+            vectors.push(...embeddings.map(e => e.values));
+        }
+        return vectors;
+    }
+}
+
+// ============================================================================
+// OPENAI-COMPATIBLE (OpenAI, llama.cpp server, Ollama, vLLM, ...)
+// ============================================================================
+
+// Tool call ids are derived from the turn and position, so history needs no extra state
+const toolCallId = (turn, index) => `call_${turn}_${index}`;
+
+function toOpenAIContent(parts) {
+    const images = parts.filter(p => p.inlineData);
+    if (!images.length) return partsText(parts);
+    return [
+        { type: 'text', text: partsText(parts) },
+        ...images.map(p => ({ type: 'image_url', image_url: { url: `data:${p.inlineData.mimeType};base64,${p.inlineData.data}` } }))
+    ];
+}
+
+// Gemini-style turns -> chat completion messages
+function toOpenAIMessages(system, history, message) {
+    const messages = system ? [{ role: 'system', content: system }] : [];
+    const turns = [...history, { role: 'user', parts: asParts(message) }];
+
+    turns.forEach((turn, t) => {
+        const calls = turn.parts.filter(p => p.functionCall);
+        const responses = turn.parts.filter(p => p.functionResponse);
+
+        if (turn.role === 'model') {
+            messages.push({
+                role: 'assistant',
+                content: partsText(turn.parts) || null,
+                ...(calls.length && {
+                    tool_calls: calls.map((p, i) => ({
+                        id: toolCallId(t, i),
+                        type: 'function',
+                        function: { name: p.functionCall.name, arguments: JSON.stringify(p.functionCall.args || {}) }
+                    }))
+                })
+            });
+        } else if (responses.length) {
+            // Answers the tool calls of the model turn just before
+            responses.forEach((p, i) => messages.push({
+                role: 'tool',
+                tool_call_id: toolCallId(t - 1, i),
+                content: JSON.stringify(p.functionResponse.response)
+            }));
+        } else {
+            messages.push({ role: 'user', content: toOpenAIContent(turn.parts) });
+        }
+    });
+    return messages;
+}
+
+function toOpenAIOptions(generationConfig = {}) {
+    const options = {};
+    if (generationConfig.maxOutputTokens) options.max_tokens = generationConfig.maxOutputTokens;
+    if (generationConfig.temperature !== undefined) options.temperature = generationConfig.temperature;
+    if (generationConfig.topP !== undefined) options.top_p = generationConfig.topP;
+    if (generationConfig.responseMimeType === 'application/json') options.response_format = { type: 'json_object' };
+    return options;
+}
+
+const openAIUsage = (usage) => ({
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || 0
+});
+
+class OpenAICompatibleProvider {
+    constructor({ baseUrl = 'http://localhost:11434/v1', apiKey, model = 'llama3.1', embeddingModel = 'nomic-embed-text' } = {}) {
+        this.name = 'openai';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.defaultModel = model;
+        this.embeddingModel = embeddingModel;
+        // No standard tokenizer endpoint; the context manager estimates instead
+        this.countTokens = null;
+    }
+
+    async request(path, body, signal) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
+            },
+            body: JSON.stringify(body),
+            signal
+        });
+        if (!response.ok) {
+            const error = new Error(`OpenAI-compatible API error ${response.status}: ${(await response.text()).substring(0, 200)}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    }
+
+    completionBody({ model, system, history = [], message, generationConfig, tools }) {
+        return {
+            model: model || this.defaultModel,
+            messages: toOpenAIMessages(system, history, message),
+            ...toOpenAIOptions(generationConfig),
+            ...(tools?.length && {
+                tools: tools.map(({ name, description, parameters }) => ({ type: 'function', function: { name, description, parameters } }))
+            })
+        };
+    }
+
+    async chat({ signal, ...request }) {
+        const data = await (await this.request('/chat/completions', this.completionBody(request), signal)).json();
+        const reply = data.choices?.[0]?.message || {};
+        const functionCalls = (reply.tool_calls || []).map(call => {
+            let args = {};
+            try {
+                args = JSON.parse(call.function.arguments || '{}');
+            } catch (error) {
+                // Leave malformed arguments empty; the tool reports what is missing
+            }
+            return { name: call.function.name, args };
+        });
+        const text = reply.content || '';
+        return {
+            text,
+            functionCalls,
+            content: { role: 'model', parts: [...(text ? [{ text }] : []), ...functionCalls.map(functionCall => ({ functionCall }))] },
+            usage: openAIUsage(data.usage),
+            model: data.model || request.model || this.defaultModel
+        };
+    }
+
+    async stream(request, { signal, onDelta } = {}) {
+        const response = await this.request('/chat/completions', {
+            ...this.completionBody(request),
+            stream: true,
+            stream_options: { include_usage: true }
+        }, signal);
+
+        let text = '';
+        let usage = null;
+        let model = request.model || this.defaultModel;
+        let buffer = '';
+        const decoder = new TextDecoder();
+        for await (const bytes of response.body) {
+            if (signal?.aborted) break;
+            buffer += decoder.decode(bytes, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                const data = line.replace(/^data:\s*/, '').trim();
+                if (!line.startsWith('data:') || !data || data === '[DONE]') continue;
+                const chunk = JSON.parse(data);
+                if (chunk.model) model = chunk.model;
+                if (chunk.usage) usage = chunk.usage;
+                const delta = chunk.choices?.[0]?.delta?.content;
+                if (delta) {
+                    text += delta;
+                    onDelta?.(delta);
+                }
+            }
+        }
+        return { text, usage: openAIUsage(usage), model };
+    }
+
+    async embed(texts, { model = this.embeddingModel } = {}) {
+        const data = await (await this.request('/embeddings', { model, input: texts })).json();
+        return data.data.sort((a, b) => a.index - b.index).map(d => d.embedding);
+    }
+}
+
+// ============================================================================
+// SCRIPTED STUB (deterministic, offline)
+// ============================================================================
+
+// Replies come from a script of rules, checked in order against the latest user text:
+//   [{ "match": "nvme|ssd", "reply": "..." }, { "match": "how many", "functionCalls": [{ "name": "query_inventory", "args": {} }] }]
+// Without a matching rule the stub echoes the first line of the message, so output
+// only ever depends on the input.
+class StubProvider {
+    constructor({ script = [], scriptPath = null } = {}) {
+        this.name = 'stub';
+        this.defaultModel = 'stub-1';
+        this.script = script;
+        this.scriptPath = scriptPath;
+        this.embedder = new LocalEmbedder();
+        // Token counts come from the estimator
+        this.countTokens = null;
+    }
+
+    async load() {
+        if (!this.scriptPath) return this;
+        this.script = JSON.parse(await fs.readFile(this.scriptPath, 'utf-8'));
+        return this;
+    }
+
+    respond({ message, tools = [] }) {
+        const parts = asParts(message);
+        const results = parts.filter(p => p.functionResponse);
+        if (results.length) {
+            return {
+                text: 'Tool results:\n' + results.map(p => `- ${p.functionResponse.name}: ${JSON.stringify(p.functionResponse.response)}`).join('\n'),
+                functionCalls: []
+            };
+        }
+
+        const text = partsText(parts);
+        const rule = this.script.find(r => new RegExp(r.match, 'i').test(text));
+        const calls = (rule?.functionCalls || []).filter(call => tools.some(t => t.name === call.name));
+        if (calls.length) return { text: '', functionCalls: calls.map(({ name, args = {} }) => ({ name, args })) };
+        if (rule?.reply) return { text: rule.reply, functionCalls: [] };
+
+        const firstLine = text.trim().split('\n')[0].substring(0, 120);
+        return { text: `[stub] Received: "${firstLine}"`, functionCalls: [] };
+    }
+
+    usage({ system, history = [], message }, text) {
+        const promptTokens = estimateTokens([system || '', ...history.map(turn => partsText(turn.parts)), partsText(asParts(message))].join('\n'));
+        const completionTokens = estimateTokens(text);
+        return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+    }
+
+    async chat(request) {
+        const { text, functionCalls } = this.respond(request);
+        return {
+            text,
+            functionCalls,
+            content: { role: 'model', parts: [...(text ? [{ text }] : []), ...functionCalls.map(functionCall => ({ functionCall }))] },
+            usage: this.usage(request, text),
+            model: request.model || this.defaultModel
+        };
+    }
+
+    async stream(request, { signal, onDelta } = {}) {
+        const { text } = this.respond(request);
+        let sent = '';
+        for (const piece of text.split(/(?<=\s)/)) {
+            if (signal?.aborted) break;
+            sent += piece;
+            onDelta?.(piece);
+        }
+        return { text: sent, usage: this.usage(request, sent), model: request.model || this.defaultModel };
+    }
+
+    async embed(texts) {
+        return this.embedder.embed(texts);
+    }
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+// name -> provider, built from server configuration
+function createProviders({ gemini = {}, openai = {}, stub = {} } = {}) {
+    return {
+        gemini: new GeminiProvider(gemini),
+        openai: new OpenAICompatibleProvider(openai),
+        stub: new StubProvider(stub)
+    };
+}
+
+module.exports = { GeminiProvider, OpenAICompatibleProvider, StubProvider, createProviders, toOpenAIMessages };
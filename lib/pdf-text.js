@@ -0,0 +1,444 @@
+// lib/pdf-text.js - Text extraction from PDF files
+// Reads the object table (including compressed object streams), inflates
+// FlateDecode content streams and interprets the text operators page by page.
+// Fonts with a ToUnicode CMap are decoded through it; others are read as
+// single-byte text. Scanned PDFs (images only) yield no text.
+
+const zlib = require('zlib');
+
+// Deflate bombs: a few hundred KB of stream data can inflate to hundreds of MB, so each
+// stream and the whole document get an output budget; streams over it are skipped
+const MAX_STREAM_BYTES = 8 * 1024 * 1024;
+const MAX_INFLATED_BYTES = 64 * 1024 * 1024;
+// Extracted text per document; later pages are dropped and the result marked truncated
+const MAX_TEXT_CHARS = 2 * 1024 * 1024;
+
+// ============================================================================
+// OBJECTS
+// ============================================================================
+
+function inflate(bytes, maxOutputLength) {
+    try {
+        return zlib.inflateSync(bytes, { maxOutputLength });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw error;
+        // Truncated or slightly corrupt streams still yield their readable prefix
+        return zlib.inflateSync(bytes, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength });
+    }
+}
+
+// Stream body bytes, inflated when the filter is FlateDecode; null for other filters (images, etc.)
+// and for streams that would exceed the document's remaining inflate `budget`
+function decodeStream(dict, bytes, budget) {
+    const filters = (dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1] || '').match(/\/\w+/g) || [];
+    if (filters.some(f => f !== '/FlateDecode' && f !== '/Fl')) return null;
+    if (!filters.length) return bytes;
+    if (budget.remaining <= 0) return null;
+    try {
+        const inflated = inflate(bytes, Math.min(MAX_STREAM_BYTES, budget.remaining));
+        budget.remaining -= inflated.length;
+        return inflated;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Map of object number -> { dict, stream } from the file body and any object streams
+function readObjects(buffer) {
+    const src = buffer.toString('latin1');
+    const objects = new Map();
+    const budget = { remaining: MAX_INFLATED_BYTES };
+    const header = /(\d+)\s+\d+\s+obj\b/g;
+    let match;
+
+    while ((match = header.exec(src))) {
+        const start = match.index + match[0].length;
+        const end = src.indexOf('endobj', start);
+        if (end === -1) break;
+        let body = src.slice(start, end);
+        let stream = null;
+
+        const streamAt = body.search(/\bstream\r?\n/);
+        if (streamAt !== -1) {
+            const dataStart = start + streamAt + body.slice(streamAt).match(/^stream\r?\n/)[0].length;
+            const dataEnd = src.lastIndexOf('endstream', end);
+            let bytes = buffer.subarray(dataStart, dataEnd);
+            // Drop the end-of-line marker before "endstream"
+            if (bytes[bytes.length - 1] === 0x0a) bytes = bytes.subarray(0, -1);
+            if (bytes[bytes.length - 1] === 0x0d) bytes = bytes.subarray(0, -1);
+            body = body.slice(0, streamAt);
+            stream = decodeStream(body, bytes, budget);
+        }
+        objects.set(Number(match[1]), { dict: body.trim(), stream });
+        header.lastIndex = end;
+    }
+
+    // PDF 1.5+ keeps most dictionaries inside compressed object streams
+    for (const { dict, stream } of [...objects.values()]) {
+        if (!/\/Type\s*\/ObjStm/.test(dict) || !stream) continue;
+        const count = Number(dict.match(/\/N\s+(\d+)/)?.[1] || 0);
+        const first = Number(dict.match(/\/First\s+(\d+)/)?.[1] || 0);
+        const text = stream.toString('latin1');
+        const offsets = text.slice(0, first).trim().split(/\s+/).map(Number);
+        for (let i = 0; i < count; i++) {
+            const num = offsets[i * 2];
+            const from = first + offsets[i * 2 + 1];
+            const to = i + 1 < count ? first + offsets[(i + 1) * 2 + 1] : text.length;
+            if (!objects.has(num)) objects.set(num, { dict: text.slice(from, to).trim(), stream: null });
+        }
+    }
+    return objects;
+}
+
+const refs = (text) => [...String(text || '').matchAll(/(\d+)\s+\d+\s+R/g)].map(m => Number(m[1]));
+
+// Value of `/Key` in a dictionary: a reference, an inline <<dict>> or [array], or a simple token
+function dictValue(dict, key) {
+    const at = dict.search(new RegExp(`/${key}(?![\\w])`));
+    if (at === -1) return null;
+    const rest = dict.slice(at + key.length + 1).trimStart();
+    const ref = rest.match(/^(\d+)\s+\d+\s+R/);
+    if (ref) return ref[0];
+    for (const [open, close] of [['<<', '>>'], ['[', ']']]) {
+        if (!rest.startsWith(open)) continue;
+        let depth = 0;
+        for (let i = 0; i < rest.length; i++) {
+            if (rest.startsWith(open, i)) { depth++; i += open.length - 1; }
+            else if (rest.startsWith(close, i)) {
+                depth--;
+                if (depth === 0) return rest.slice(0, i + close.length);
+                i += close.length - 1;
+            }
+        }
+        return rest;
+    }
+    return rest.match(/^[^\s/<>\[\]]+|^\/[^\s/<>\[\]]+/)?.[0] || null;
+}
+
+// Follow a single indirect reference to its dictionary text
+function resolveDict(objects, value) {
+    const [num] = refs(value);
+    return value && /^\d+\s+\d+\s+R$/.test(value.trim()) ? objects.get(num)?.dict || '' : value || '';
+}
+
+// ============================================================================
+// FONTS
+// ============================================================================
+
+function hexToUnicode(hex) {
+    let out = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) out += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+    return out;
+}
+
+// Glyph names used by /Differences encodings that are not a single letter
+const GLYPH_NAMES = {
+    space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+    quoteright: '’', quotesingle: "'", parenleft: '(', parenright: ')', asterisk: '*', plus: '+', comma: ',',
+    hyphen: '-', period: '.', slash: '/', zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5',
+    six: '6', seven: '7', eight: '8', nine: '9', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>',
+    question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']', underscore: '_',
+    quoteleft: '‘', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~', endash: '–', emdash: '—',
+    bullet: '•', quotedblleft: '“', quotedblright: '”', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl'
+};
+
+function glyphText(name) {
+    if (/^[A-Za-z]$/.test(name)) return name;
+    if (GLYPH_NAMES[name] !== undefined) return GLYPH_NAMES[name];
+    const uni = name.match(/^uni([0-9A-F]{4})/);
+    return uni ? String.fromCharCode(parseInt(uni[1], 16)) : '';
+}
+
+// Simple-font /Differences array -> Map(code -> string)
+function parseDifferences(encoding) {
+    const map = new Map();
+    let code = 0;
+    for (const [, num, name] of (dictValue(encoding, 'Differences') || '').matchAll(/(\d+)|\/([^\s/\[\]]+)/g)) {
+        if (num !== undefined) code = Number(num);
+        else map.set(code++, glyphText(name));
+    }
+    return map;
+}
+
+// ToUnicode CMap -> { bytes: code width, map: Map(code -> string), unmapped: text for unknown codes }
+function parseCMap(text) {
+    const map = new Map();
+    let bytes = 1;
+    const space = text.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+    if (space) bytes = space[1].length / 2;
+
+    for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const [, src, dst] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+            map.set(parseInt(src, 16), hexToUnicode(dst));
+        }
+    }
+    for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        for (const [, lo, hi, dst] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+            const low = parseInt(lo, 16);
+            const high = Math.min(parseInt(hi, 16), low + 0xffff);
+            if (dst.startsWith('[')) {
+                [...dst.matchAll(/<([0-9a-fA-F]*)>/g)].forEach((m, i) => map.set(low + i, hexToUnicode(m[1])));
+            } else {
+                const base = dst.slice(1, -1);
+                const prefix = base.slice(0, -4);
+                const last = parseInt(base.slice(-4) || '0', 16);
+                for (let code = low; code <= high; code++) {
+                    map.set(code, hexToUnicode(prefix) + String.fromCharCode(last + code - low));
+                }
+            }
+        }
+    }
+    return { bytes, map, unmapped: '' };
+}
+
+// Resource font name (e.g. "F1") -> CMap for one page
+function pageFonts(objects, pageDict, cache) {
+    const fonts = {};
+    const resources = resolveDict(objects, dictValue(pageDict, 'Resources'));
+    const fontDict = resolveDict(objects, dictValue(resources, 'Font'));
+    for (const [, name, num] of fontDict.matchAll(/\/([^\s/<>\[\]]+)\s+(\d+)\s+\d+\s+R/g)) {
+        if (!cache.has(num)) {
+            const font = objects.get(Number(num))?.dict || '';
+            const [cmapRef] = refs(dictValue(font, 'ToUnicode'));
+            const cmapStream = cmapRef !== undefined ? objects.get(cmapRef)?.stream : null;
+            if (cmapStream) {
+                cache.set(num, parseCMap(cmapStream.toString('latin1')));
+            } else if (/\/Subtype\s*\/Type0/.test(font)) {
+                // Two-byte glyph ids with no Unicode mapping cannot be read
+                cache.set(num, { bytes: 2, map: new Map(), unmapped: '' });
+            } else {
+                // Single-byte codes: Latin-1 unless the encoding renames them
+                const encoding = resolveDict(objects, dictValue(font, 'Encoding'));
+                cache.set(num, { bytes: 1, map: parseDifferences(encoding), unmapped: null });
+            }
+        }
+        fonts[name] = cache.get(num);
+    }
+    return fonts;
+}
+
+// ============================================================================
+// CONTENT STREAMS
+// ============================================================================
+
+const ESCAPES = { n: 10, r: 13, t: 9, b: 8, f: 12, '(': 40, ')': 41, '\\': 92 };
+
+// Tokens of a content stream: { type: 'string', bytes } | { type: 'array', items } | { type: 'op', value } | { type: 'num', value } | { type: 'name', value }
+function* tokenize(src) {
+    let i = 0;
+    const stack = [];
+    const emit = function* (token) {
+        if (stack.length) stack[stack.length - 1].push(token);
+        else yield token;
+    };
+
+    while (i < src.length) {
+        const ch = src[i];
+        if (/\s/.test(ch)) { i++; continue; }
+        if (ch === '%') { while (i < src.length && src[i] !== '\n' && src[i] !== '\r') i++; continue; }
+
+        if (ch === '(') {
+            const bytes = [];
+            let depth = 1;
+            i++;
+            while (i < src.length && depth > 0) {
+                const c = src[i];
+                if (c === '\\') {
+                    const next = src[i + 1];
+                    if (ESCAPES[next] !== undefined) { bytes.push(ESCAPES[next]); i += 2; }
+                    else if (/[0-7]/.test(next)) {
+                        const octal = src.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+                        bytes.push(parseInt(octal, 8) & 0xff);
+                        i += 1 + octal.length;
+                    } else { i += 2; }
+                    continue;
+                }
+                if (c === '(') depth++;
+                if (c === ')' && --depth === 0) { i++; break; }
+                bytes.push(c.charCodeAt(0) & 0xff);
+                i++;
+            }
+            yield* emit({ type: 'string', bytes });
+            continue;
+        }
+        if (ch === '<' && src[i + 1] !== '<') {
+            const end = src.indexOf('>', i);
+            const hex = src.slice(i + 1, end === -1 ? src.length : end).replace(/\s+/g, '');
+            const padded = hex.length % 2 ? hex + '0' : hex;
+            const bytes = [];
+            for (let j = 0; j < padded.length; j += 2) bytes.push(parseInt(padded.slice(j, j + 2), 16));
+            yield* emit({ type: 'string', bytes });
+            i = end === -1 ? src.length : end + 1;
+            continue;
+        }
+        if (ch === '[') { stack.push([]); i++; continue; }
+        if (ch === ']') {
+            const items = stack.pop() || [];
+            i++;
+            yield* emit({ type: 'array', items });
+            continue;
+        }
+        if (ch === '<' || ch === '>') {
+            // Inline dictionaries (<< >>) carry no text
+            i += 2;
+            continue;
+        }
+        if (ch === '/') {
+            const name = src.slice(i + 1).match(/^[^\s/<>\[\]()%]*/)[0];
+            i += 1 + name.length;
+            yield* emit({ type: 'name', value: name });
+            continue;
+        }
+        const word = src.slice(i).match(/^[^\s/<>\[\]()%]+/)[0];
+        i += word.length;
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+            yield* emit({ type: 'num', value: parseFloat(word) });
+        } else if (word === 'ID') {
+            // Inline image data runs until "EI"
+            const end = src.indexOf('EI', i);
+            i = end === -1 ? src.length : end + 2;
+        } else {
+            yield* emit({ type: 'op', value: word });
+        }
+    }
+}
+
+function decodeString(bytes, cmap) {
+    if (!cmap) return String.fromCharCode(...bytes);
+    let out = '';
+    for (let i = 0; i + cmap.bytes <= bytes.length; i += cmap.bytes) {
+        let code = 0;
+        for (let j = 0; j < cmap.bytes; j++) code = code * 256 + bytes[i + j];
+        out += cmap.map.get(code) ?? cmap.unmapped ?? String.fromCharCode(code);
+    }
+    return out;
+}
+
+// Text of one content stream, with line breaks where the text position moves down
+function contentText(src, fonts) {
+    let text = '';
+    let font = null;
+    let lineY = null;
+    let operands = [];
+    const newline = () => { if (text && !text.endsWith('\n')) text += '\n'; };
+    const space = () => { if (text && !/\s$/.test(text)) text += ' '; };
+
+    for (const token of tokenize(src)) {
+        if (token.type !== 'op') {
+            operands.push(token);
+            continue;
+        }
+        switch (token.value) {
+            case 'Tf':
+                font = fonts[operands[0]?.value] || null;
+                break;
+            case 'Tj':
+                if (operands[0]?.type === 'string') text += decodeString(operands[0].bytes, font);
+                break;
+            case "'":
+            case '"':
+                newline();
+                if (operands[operands.length - 1]?.type === 'string') text += decodeString(operands[operands.length - 1].bytes, font);
+                break;
+            case 'TJ':
+                for (const item of operands[0]?.items || []) {
+                    if (item.type === 'string') text += decodeString(item.bytes, font);
+                    // Large negative kerning separates words
+                    else if (item.type === 'num' && item.value < -200) space();
+                }
+                break;
+            case 'Td':
+            case 'TD':
+                if (Math.abs(operands[1]?.value || 0) > 0.01) newline();
+                else if ((operands[0]?.value || 0) > 0) space();
+                break;
+            case 'Tm': {
+                // Absolute positioning: a new line only when the baseline moves
+                const y = operands[5]?.value;
+                if (lineY !== null && y !== undefined && Math.abs(y - lineY) > 0.5) newline();
+                else space();
+                if (y !== undefined) lineY = y;
+                break;
+            }
+            case 'T*':
+                newline();
+                break;
+            case 'ET':
+                space();
+                break;
+        }
+        operands = [];
+    }
+    return text;
+}
+
+// ============================================================================
+// PAGES
+// ============================================================================
+
+// Page dictionaries in document order, following the page tree from the catalog
+function pageOrder(objects) {
+    const pages = [];
+    const seen = new Set();
+    const visit = (num) => {
+        if (seen.has(num)) return;
+        seen.add(num);
+        const dict = objects.get(num)?.dict || '';
+        if (/\/Type\s*\/Page(?!s)/.test(dict)) pages.push(num);
+        else for (const kid of refs(dictValue(dict, 'Kids'))) visit(kid);
+    };
+
+    const catalog = [...objects.values()].find(o => /\/Type\s*\/Catalog/.test(o.dict));
+    if (catalog) refs(dictValue(catalog.dict, 'Pages')).forEach(visit);
+    if (!pages.length) {
+        for (const [num, { dict }] of objects) if (/\/Type\s*\/Page(?!s)/.test(dict)) pages.push(num);
+    }
+    return pages;
+}
+
+// Returns { pages: [text per page], text, truncated }
+function extractPdfText(buffer) {
+    if (buffer.subarray(0, 1024).toString('latin1').indexOf('%PDF-') === -1) {
+        throw new Error('Not a PDF file');
+    }
+    const objects = readObjects(buffer);
+    const fontCache = new Map();
+    const pages = [];
+    let characters = 0;
+    let truncated = false;
+
+    for (const num of pageOrder(objects)) {
+        if (characters >= MAX_TEXT_CHARS) {
+            truncated = true;
+            break;
+        }
+        const dict = objects.get(num).dict;
+        const fonts = pageFonts(objects, dict, fontCache);
+        const contents = dictValue(dict, 'Contents') || '';
+        // Contents is a stream reference or an array of them (possibly itself indirect)
+        let streamRefs = refs(contents);
+        if (streamRefs.length === 1 && !objects.get(streamRefs[0])?.stream) {
+            streamRefs = refs(objects.get(streamRefs[0])?.dict);
+        }
+        const source = streamRefs
+            .map(ref => objects.get(ref)?.stream)
+            .filter(Boolean)
+            .map(stream => stream.toString('latin1'))
+            .join('\n');
+        let text = contentText(source, fonts)
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+        if (characters + text.length > MAX_TEXT_CHARS) {
+            text = text.slice(0, MAX_TEXT_CHARS - characters);
+            truncated = true;
+        }
+        characters += text.length;
+        pages.push(text);
+    }
+
+    return { pages, text: pages.join('\n\n'), truncated };
+}
+
+module.exports = { extractPdfText };
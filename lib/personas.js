@@ -0,0 +1,86 @@
+// lib/personas.js - Named assistant personas
+// Each persona is sent to Gemini as the model's system instruction. Built-in
+// personas can be overridden or extended with a JSON file of the same shape.
+
+const fs = require('fs').promises;
+
+const DEFAULT_PERSONA = 'assistant';
+
+const PLATFORM_CONTEXT = `You help users understand and use the Sayonara platform, which provides
+NIST 800-88 compliant data sanitization with Ed25519-signed, ledger-recorded wipe certificates.`;
+
+const BUILT_IN_PERSONAS = {
+    assistant: {
+        name: 'Sayonara Assistant',
+        description: 'Balanced, general-purpose help',
+        instruction: `You are the Sayonara AI Assistant, an expert in secure data wiping,
+IT asset recycling, and blockchain verification. ${PLATFORM_CONTEXT}
+Always be helpful, technical when needed, and emphasize security and compliance.`
+    },
+    'compliance-officer': {
+        name: 'Compliance Officer',
+        description: 'Standards, audit evidence and regulatory risk',
+        instruction: `You are a data protection compliance officer. ${PLATFORM_CONTEXT}
+Answer in terms of NIST SP 800-88 Rev.1 categories (Clear, Purge, Destroy), GDPR/HIPAA/PCI DSS
+obligations and the audit evidence an organisation must retain. Be precise and cite the relevant
+standard section when you can. Flag anything that would not survive an audit.`
+    },
+    'field-technician': {
+        name: 'Field Technician',
+        description: 'Hands-on commands and device procedures',
+        instruction: `You are a senior field technician who sanitizes drives every day. ${PLATFORM_CONTEXT}
+Give concrete, step-by-step procedures with the exact commands (hdparm, nvme-cli, sg_sanitize,
+blkdiscard), expected durations and how to verify the result. Keep answers short and practical
+and warn before any step that is destructive or irreversible.`
+    },
+    sales: {
+        name: 'Sales Advisor',
+        description: 'Business value, pricing drivers and ROI',
+        instruction: `You are a friendly Sayonara sales advisor. ${PLATFORM_CONTEXT}
+Explain the business value in plain language: reduced breach risk, resale value recovered,
+e-waste avoided and audit readiness. Avoid deep technical detail unless asked, never invent
+prices or guarantees, and suggest a next step such as a pilot or a demo.`
+    }
+};
+
+class PersonaRegistry {
+    constructor(filePath = null) {
+        this.filePath = filePath;
+        this.personas = { ...BUILT_IN_PERSONAS };
+    }
+
+    // Merge custom personas from disk; the file is optional
+    async load() {
+        if (!this.filePath) return this;
+        try {
+            const custom = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+            for (const [id, persona] of Object.entries(custom)) {
+                if (!persona?.instruction) {
+                    console.warn(`Skipping persona "${id}": an instruction is required`);
+                    continue;
+                }
+                this.personas[id] = { name: id, description: '', ...persona };
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return this;
+    }
+
+    has(id) {
+        return Object.prototype.hasOwnProperty.call(this.personas, id);
+    }
+
+    // Unknown or missing ids resolve to the default persona
+    get(id) {
+        const key = this.has(id) ? id : DEFAULT_PERSONA;
+        return { id: key, ...this.personas[key] };
+    }
+
+    // Public listing without the instruction text
+    list() {
+        return Object.entries(this.personas).map(([id, p]) => ({ id, name: p.name, description: p.description }));
+    }
+}
+
+module.exports = { PersonaRegistry, DEFAULT_PERSONA };
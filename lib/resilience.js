@@ -0,0 +1,230 @@
+// lib/resilience.js - Timeouts, retries and a circuit breaker around model providers
+// ResilientProvider wraps any provider from lib/llm-providers.js with the same interface.
+// Failures surface as ModelError with a stable `code` the client can present, and the
+// original error kept as `cause` for the server log.
+
+// code -> HTTP status, whether a retry can help, whether it counts against the breaker,
+// and the message shown to users
+const MODEL_ERRORS = {
+    timeout: { status: 504, retryable: false, breaker: true, message: 'The model took too long to respond.' },
+    rate_limited: { status: 429, retryable: true, breaker: true, message: 'The model provider is rate limiting requests.' },
+    unavailable: { status: 503, retryable: true, breaker: true, message: 'The model provider is unavailable right now.' },
+    circuit_open: { status: 503, retryable: false, breaker: false, message: 'The model provider is failing repeatedly, so model calls are paused for a moment.' },
+    auth: { status: 502, retryable: false, breaker: false, message: 'The model provider rejected the API key.' },
+    bad_request: { status: 502, retryable: false, breaker: false, message: 'The model provider rejected the request (check the provider and model settings).' },
+    unknown: { status: 502, retryable: false, breaker: false, message: 'The model request failed.' }
+};
+
+class ModelError extends Error {
+    constructor(code, { cause, provider, retryAt } = {}) {
+        super(MODEL_ERRORS[code].message);
+        this.name = 'ModelError';
+        this.code = code;
+        this.status = MODEL_ERRORS[code].status;
+        this.retryable = MODEL_ERRORS[code].retryable;
+        this.provider = provider;
+        this.cause = cause;
+        if (retryAt) this.retryAt = retryAt;
+    }
+}
+
+// Map SDK, HTTP and network failures to a ModelError code
+function classifyError(error) {
+    if (error instanceof ModelError) return error.code;
+    const status = error?.status;
+    const message = String(error?.message || '');
+    if (/api key|unauthori[sz]ed|permission denied/i.test(message) || status === 401 || status === 403) return 'auth';
+    if (status === 429 || /\b429\b|quota|rate limit/i.test(message)) return 'rate_limited';
+    if (status >= 500 || /\b50[0-4]\b|overloaded|fetch failed|ECONNREFUSED|ECONNRESET|ENOTFOUND|ETIMEDOUT|socket hang up/i.test(message)) return 'unavailable';
+    if (status >= 400 || /\b40[04]\b/.test(message)) return 'bad_request';
+    return 'unknown';
+}
+
+const toModelError = (error, provider) => (error instanceof ModelError ? error : new ModelError(classifyError(error), { cause: error, provider }));
+
+// ============================================================================
+// CIRCUIT BREAKER
+// ============================================================================
+
+// closed: calls go through. open: calls fail fast until `cooldownMs` has passed.
+// half-open: one trial call decides whether to close again or re-open.
+class CircuitBreaker {
+    constructor({ threshold = 5, cooldownMs = 30000, now = Date.now } = {}) {
+        this.threshold = threshold;
+        this.cooldownMs = cooldownMs;
+        this.now = now;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = 0;
+        this.trialAt = 0;
+    }
+
+    allow() {
+        if (this.state === 'closed') return true;
+        const now = this.now();
+        if (this.state === 'open' && now - this.openedAt >= this.cooldownMs) {
+            this.state = 'half-open';
+        }
+        // A trial that never reported back (e.g. the client went away) is replaced after a cooldown
+        if (this.state === 'half-open' && now - this.trialAt >= this.cooldownMs) {
+            this.trialAt = now;
+            return true;
+        }
+        return false;
+    }
+
+    success() {
+        this.state = 'closed';
+        this.failures = 0;
+    }
+
+    failure() {
+        this.failures++;
+        if (this.state === 'half-open' || this.failures >= this.threshold) {
+            this.state = 'open';
+            this.openedAt = this.now();
+        }
+    }
+
+    retryAt() {
+        return this.state === 'closed' ? null : new Date(this.openedAt + this.cooldownMs).toISOString();
+    }
+
+    status() {
+        return { state: this.state, failures: this.failures, retryAt: this.retryAt() };
+    }
+}
+
+// ============================================================================
+// RESILIENT PROVIDER
+// ============================================================================
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Run fn(signal, touch) under a timeout. `touch()` restarts the clock, so streams only
+// time out when no chunk arrives for `timeoutMs`. Providers that ignore the signal
+// still time out because the race rejects on its own.
+function withTimeout(fn, { timeoutMs, signal, provider }) {
+    const controller = new AbortController();
+    let timer;
+    return new Promise((resolve, reject) => {
+        const settle = (callback, value) => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            callback(value);
+        };
+        const onAbort = () => {
+            controller.abort(signal.reason);
+            settle(reject, signal.reason);
+        };
+        const touch = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                controller.abort();
+                settle(reject, new ModelError('timeout', { provider }));
+            }, timeoutMs);
+        };
+
+        if (signal?.aborted) return onAbort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+        touch();
+        fn(controller.signal, touch).then(value => settle(resolve, value), error => settle(reject, error));
+    });
+}
+
+class ResilientProvider {
+    constructor(provider, { timeoutMs = 30000, retries = 2, retryBaseMs = 500, retryMaxMs = 8000, breaker = {} } = {}) {
+        this.provider = provider;
+        this.name = provider.name;
+        this.defaultModel = provider.defaultModel;
+        this.embeddingModel = provider.embeddingModel;
+        this.timeoutMs = timeoutMs;
+        this.retries = retries;
+        this.retryBaseMs = retryBaseMs;
+        this.retryMaxMs = retryMaxMs;
+        // Chat and streaming share one breaker; embeddings (often another model or
+        // endpoint) have their own, and best-effort token counts use none
+        this.breaker = new CircuitBreaker(breaker);
+        this.embedBreaker = new CircuitBreaker(breaker);
+        if (!provider.countTokens) this.countTokens = null;
+    }
+
+    async load() {
+        if (this.provider.load) await this.provider.load();
+        return this;
+    }
+
+    // Exponential backoff with jitter: ~base, ~2×base, ~4×base, ... capped at retryMaxMs
+    backoff(attempt) {
+        const delay = Math.min(this.retryBaseMs * 2 ** attempt, this.retryMaxMs);
+        return Math.round(delay * (0.75 + Math.random() * 0.5));
+    }
+
+    // `canRetry()` lets a stream refuse a retry once text has reached the client
+    async call(fn, { signal, retries = this.retries, canRetry = () => true, breaker = null } = {}) {
+        if (breaker && !breaker.allow()) {
+            throw new ModelError('circuit_open', { provider: this.name, retryAt: breaker.retryAt() });
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const result = await withTimeout(fn, { timeoutMs: this.timeoutMs, signal, provider: this.name });
+                breaker?.success();
+                return result;
+            } catch (error) {
+                // The caller gave up; that says nothing about the provider
+                if (signal?.aborted) throw error;
+
+                const modelError = toModelError(error, this.name);
+                if (modelError.retryable && attempt < retries && canRetry()) {
+                    const delay = this.backoff(attempt);
+                    console.warn(`[Model] ${this.name} ${modelError.code}, retry ${attempt + 1}/${retries} in ${delay} ms`);
+                    await sleep(delay, signal);
+                    continue;
+                }
+                // Only outages count; a rejected key or request leaves the breaker as it is
+                if (MODEL_ERRORS[modelError.code].breaker) breaker?.failure();
+                throw modelError;
+            }
+        }
+    }
+
+    chat(request) {
+        return this.call(signal => this.provider.chat({ ...request, signal }), { signal: request.signal, breaker: this.breaker });
+    }
+
+    stream(request, { signal, onDelta } = {}) {
+        let started = false;
+        return this.call((attemptSignal, touch) => this.provider.stream({ ...request, signal: attemptSignal }, {
+            signal: attemptSignal,
+            onDelta: (delta) => {
+                // A timed-out attempt must not keep writing to the client
+                if (attemptSignal.aborted) return;
+                started = true;
+                touch();
+                onDelta?.(delta);
+            }
+        }), { signal, canRetry: () => !started, breaker: this.breaker });
+    }
+
+    // Counting is best effort (the context manager estimates on failure), so no retries
+    countTokens(request) {
+        return this.call(() => this.provider.countTokens(request), { retries: 0 });
+    }
+
+    embed(texts, options) {
+        return this.call(() => this.provider.embed(texts, options), { breaker: this.embedBreaker });
+    }
+}
+
+module.exports = { MODEL_ERRORS, ModelError, classifyError, toModelError, CircuitBreaker, ResilientProvider };
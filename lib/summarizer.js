@@ -0,0 +1,107 @@
+// lib/summarizer.js - Structured and rolling conversation summaries
+// The model is asked for JSON (overview, decisions, open questions, devices);
+// older turns are folded into a rolling summary once history outgrows its budget
+
+// Rough token estimate (~4 characters per token) for offline budgeting
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+function historyText(history) {
+    return history
+        .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.parts.map(p => p.text || '').join('')}`)
+        .join('\n\n');
+}
+
+function buildSummaryPrompt(history, previousSummary = null) {
+    return `Summarize the following conversation between a user and the Sayonara data wiping assistant.
+${previousSummary ? `\nSummary of even earlier turns (fold it into your answer):\n${JSON.stringify(previousSummary)}\n` : ''}
+Conversation:
+${historyText(history)}
+
+Respond with JSON only, using exactly this shape:
+{"overview": "2-3 sentence summary", "decisions": ["..."], "openQuestions": ["..."], "devices": ["model/type/capacity of each device discussed"]}`;
+}
+
+// Pull the JSON object out of a model reply, falling back to plain text
+function parseSummary(text) {
+    const match = String(text).match(/\{[\s\S]*\}/);
+    if (match) {
+        try {
+            const parsed = JSON.parse(match[0]);
+            return {
+                overview: String(parsed.overview || ''),
+                decisions: Array.isArray(parsed.decisions) ? parsed.decisions.map(String) : [],
+                openQuestions: Array.isArray(parsed.openQuestions) ? parsed.openQuestions.map(String) : [],
+                devices: Array.isArray(parsed.devices) ? parsed.devices.map(String) : []
+            };
+        } catch (error) {
+            // Fall through to the plain-text summary
+        }
+    }
+    return { overview: String(text).trim(), decisions: [], openQuestions: [], devices: [] };
+}
+
+function formatSummary(summary) {
+    const list = (items) => items.length ? items.map(item => `* ${item}`).join('\n') : '* None';
+    return [
+        '### 📝 Conversation summary',
+        '',
+        summary.overview,
+        '',
+        '**Decisions**',
+        list(summary.decisions),
+        '',
+        '**Open questions**',
+        list(summary.openQuestions),
+        '',
+        '**Devices discussed**',
+        list(summary.devices)
+    ].join('\n');
+}
+
+// Turns that replace the summarized part of the history
+function summaryTurns(summary) {
+    return [
+        { role: 'user', parts: [{ text: `Summary of our earlier conversation:\n${JSON.stringify(summary)}` }] },
+        { role: 'model', parts: [{ text: 'Understood, I will keep that context in mind.' }] }
+    ];
+}
+
+// Replace old turns with a rolling summary once history exceeds `budget` tokens.
+// `state` is { summary, coveredMessages } from a previous call (or null);
+// `summarize(turns, previousSummary)` must resolve to a parsed summary.
+async function applyRollingSummary(history, { budget, keepRecent = 6, state = null, summarize }) {
+    if (estimateTokens(historyText(history)) <= budget || history.length <= keepRecent) {
+        return { history, state, summarized: 0 };
+    }
+
+    // Keep an even split so the retained history still starts with a user turn
+    let cutoff = history.length - keepRecent;
+    if (history[cutoff]?.role !== 'user') cutoff += 1;
+
+    // A stale state (history was cleared or replaced) is rebuilt from scratch
+    const reusable = state && state.coveredMessages <= cutoff ? state : null;
+    const covered = reusable ? reusable.coveredMessages : 0;
+
+    let nextState = reusable;
+    if (cutoff > covered) {
+        const summary = await summarize(history.slice(covered, cutoff), reusable?.summary || null);
+        nextState = { summary, coveredMessages: cutoff, updatedAt: new Date().toISOString() };
+    }
+
+    return {
+        history: [...summaryTurns(nextState.summary), ...history.slice(nextState.coveredMessages)],
+        state: nextState,
+        summarized: nextState.coveredMessages
+    };
+}
+
+module.exports = {
+    estimateTokens,
+    historyText,
+    buildSummaryPrompt,
+    parseSummary,
+    formatSummary,
+    applyRollingSummary
+};
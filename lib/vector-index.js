@@ -0,0 +1,92 @@
+// lib/vector-index.js - Persisted embedding index for knowledge base chunks
+// Chunks are embedded once and cached by content hash in a JSON file; only new
+// or edited chunks are re-embedded when the knowledge base reloads
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { cosineSimilarity } = require('./embeddings');
+
+function contentHash(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+class VectorIndex {
+    // `fallback` takes over (and the index is rebuilt) if the primary embedder fails
+    constructor({ filePath = null, embedder, fallback = null } = {}) {
+        this.filePath = filePath;
+        this.embedder = embedder;
+        this.fallback = fallback;
+        this.entries = new Map(); // chunk id -> { hash, vector }
+        this.cache = new Map(); // content hash -> vector, survives chunk renumbering
+    }
+
+    async load() {
+        if (!this.filePath) return this;
+        try {
+            const stored = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+            // Vectors from another embedder live in a different space; start over
+            if (stored.embedder === this.embedder.name) {
+                for (const { hash, vector } of Object.values(stored.entries || {})) {
+                    this.cache.set(hash, vector);
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return this;
+    }
+
+    async persist() {
+        if (!this.filePath) return;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(this.filePath, JSON.stringify({
+            embedder: this.embedder.name,
+            entries: Object.fromEntries(this.entries)
+        }));
+    }
+
+    // Make the index match `chunks`, embedding only what is not cached
+    async sync(chunks) {
+        const hashes = chunks.map(chunk => contentHash(`${chunk.heading}\n${chunk.text}`));
+        const missing = chunks.filter((chunk, i) => !this.cache.has(hashes[i]));
+
+        if (missing.length) {
+            let vectors;
+            try {
+                vectors = await this.embedder.embed(missing.map(chunk => `${chunk.heading}\n${chunk.text}`));
+            } catch (error) {
+                if (!this.fallback) throw error;
+                console.warn(`[Vectors] ${this.embedder.name} unavailable (${error.message}); using ${this.fallback.name}`);
+                this.embedder = this.fallback;
+                this.fallback = null;
+                this.cache.clear();
+                return this.sync(chunks);
+            }
+            missing.forEach((chunk, i) => {
+                this.cache.set(contentHash(`${chunk.heading}\n${chunk.text}`), vectors[i]);
+            });
+        }
+
+        this.entries = new Map(chunks.map((chunk, i) => [chunk.id, { hash: hashes[i], vector: this.cache.get(hashes[i]) }]));
+        // Drop vectors for chunks that no longer exist
+        this.cache = new Map([...this.entries.values()].map(({ hash, vector }) => [hash, vector]));
+
+        await this.persist();
+        return { embedded: missing.length, total: chunks.length };
+    }
+
+    // Chunks most similar to the query, best first
+    async search(query, { limit = 20, minSimilarity = 0 } = {}) {
+        if (!this.entries.size) return [];
+        const [queryVector] = await this.embedder.embed([query]);
+
+        return [...this.entries]
+            .map(([id, { vector }]) => ({ id, score: cosineSimilarity(queryVector, vector) }))
+            .filter(result => result.score > minSimilarity)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+module.exports = { VectorIndex };
@@ -0,0 +1,214 @@
+// lib/wipe-estimator.js - Deterministic wipe duration and NIST category estimates
+// Combines device media speed, interface bandwidth and the chosen method into a
+// phase-by-phase duration, the same phases a /wipe plan would run
+
+const { DEVICE_TYPES, METHODS, METHODS_BY_DEVICE } = require('./wipe-wizard');
+
+// Sustained sequential write speed of the media itself, MB/s
+const MEDIA_MBPS = { hdd: 180, 'sata-ssd': 520, nvme: 3000, usb: 40 };
+
+// Usable interface bandwidth, MB/s
+const INTERFACES = {
+    'sata-2': 300,
+    'sata-3': 600,
+    'usb-2': 40,
+    'usb-3': 400,
+    'usb-3.2': 1000,
+    'pcie-3': 3500,
+    'pcie-4': 7000,
+    'pcie-5': 12000
+};
+
+const DEFAULT_INTERFACE = { hdd: 'sata-3', 'sata-ssd': 'sata-3', nvme: 'pcie-3', usb: 'usb-3' };
+
+const VERIFICATION_SHARE = { none: 0, 'sample-1': 0.01, 'sample-10': 0.1, full: 1 };
+
+// Drive-internal commands; `seconds` is wall time for the whole device
+const FIRMWARE_SECONDS = {
+    // HDDs overwrite every sector internally at media speed; SSDs erase all blocks
+    'ata-secure-erase': ({ deviceType, capacityGB }) => deviceType === 'hdd'
+        ? capacityGB * 1000 / MEDIA_MBPS.hdd
+        : 60 + 30 * capacityGB / 1000,
+    // Only the media encryption key is replaced
+    'ata-crypto-erase': () => 10,
+    'nvme-sanitize-crypto': () => 10,
+    'nvme-sanitize-block': ({ capacityGB }) => 30 + 60 * capacityGB / 1000,
+    // Handling and shredding a single device
+    'destroy': () => 300
+};
+
+const FLASH_DEVICES = ['sata-ssd', 'nvme', 'usb'];
+
+// "1 h 7 min", "45 s"
+function formatDuration(seconds) {
+    const s = Math.round(seconds);
+    if (s < 60) return `${s} s`;
+    const hours = Math.floor(s / 3600);
+    const minutes = Math.round((s % 3600) / 60);
+    if (!hours) return `${minutes} min`;
+    return minutes ? `${hours} h ${minutes} min` : `${hours} h`;
+}
+
+// Returns { estimate } or { error }
+function estimateWipe({ deviceType, capacityGB, method, passes, interface: iface, throughputMBps, verification = 'none' } = {}) {
+    const device = DEVICE_TYPES[deviceType];
+    if (!device) {
+        return { error: `Unknown device type "${deviceType}". Use one of: ${Object.keys(DEVICE_TYPES).join(', ')}.` };
+    }
+    const capacity = Number(capacityGB);
+    if (!(capacity > 0)) {
+        return { error: 'Capacity must be a positive number of GB (1 TB = 1000 GB).' };
+    }
+
+    const methodId = method || METHODS_BY_DEVICE[deviceType][0];
+    if (!METHODS[methodId]) {
+        return { error: `Unknown method "${methodId}". Use one of: ${Object.keys(METHODS).join(', ')}.` };
+    }
+    // Any device can be overwritten (Clear); firmware commands depend on the device
+    if (methodId !== 'overwrite' && !METHODS_BY_DEVICE[deviceType].includes(methodId)) {
+        return { error: `${METHODS[methodId].label} is not available for ${device.label} devices. Use one of: ${['overwrite', ...METHODS_BY_DEVICE[deviceType].filter(m => m !== 'overwrite')].join(', ')}.` };
+    }
+
+    const interfaceId = iface || DEFAULT_INTERFACE[deviceType];
+    if (!INTERFACES[interfaceId]) {
+        return { error: `Unknown interface "${interfaceId}". Use one of: ${Object.keys(INTERFACES).join(', ')}.` };
+    }
+    if (!(VERIFICATION_SHARE[verification] >= 0)) {
+        return { error: `Unknown verification "${verification}". Use one of: ${Object.keys(VERIFICATION_SHARE).join(', ')}.` };
+    }
+
+    const throughput = Number(throughputMBps) > 0
+        ? Number(throughputMBps)
+        : Math.min(MEDIA_MBPS[deviceType], INTERFACES[interfaceId]);
+    const fullPassSeconds = capacity * 1000 / throughput;
+
+    // Phase 1 overwrite passes run before any firmware command (dual-phase)
+    const overwritePasses = methodId === 'destroy'
+        ? 0
+        : Math.max(methodId === 'overwrite' ? 1 : 0, Math.round(Number(passes) || 0));
+
+    const phases = [];
+    if (overwritePasses > 0) {
+        phases.push({
+            phase: 1,
+            action: 'overwrite',
+            passes: overwritePasses,
+            seconds: Math.round(overwritePasses * fullPassSeconds)
+        });
+    }
+    if (FIRMWARE_SECONDS[methodId]) {
+        phases.push({
+            phase: phases.length + 1,
+            action: methodId,
+            command: METHODS[methodId].phase2,
+            seconds: Math.round(FIRMWARE_SECONDS[methodId]({ deviceType, capacityGB: capacity }))
+        });
+    }
+
+    const verificationMode = methodId === 'destroy' ? 'none' : verification;
+    const verificationSeconds = Math.round(VERIFICATION_SHARE[verificationMode] * fullPassSeconds);
+    const totalSeconds = phases.reduce((sum, p) => sum + p.seconds, 0) + verificationSeconds;
+
+    const notes = [];
+    if (methodId === 'overwrite' && FLASH_DEVICES.includes(deviceType)) {
+        notes.push('Overwriting flash media cannot reach spare and remapped blocks, so it only achieves Clear. Use a Purge command where the device supports one.');
+    }
+    if (overwritePasses > 1) {
+        notes.push('NIST 800-88 treats a single overwrite pass as sufficient for Clear; extra passes only add time.');
+    }
+    if (!Number(throughputMBps) && INTERFACES[interfaceId] < MEDIA_MBPS[deviceType]) {
+        notes.push(`The ${interfaceId} interface (${INTERFACES[interfaceId]} MB/s) is slower than the media and limits overwrite speed.`);
+    }
+
+    return {
+        estimate: {
+            device: { type: deviceType, label: device.label, capacityGB: capacity, interface: interfaceId },
+            throughputMBps: throughput,
+            method: { id: methodId, label: METHODS[methodId].label, nistCategory: METHODS[methodId].nistCategory },
+            dualPhase: overwritePasses > 0 && methodId !== 'overwrite',
+            phases,
+            verification: { mode: verificationMode, seconds: verificationSeconds },
+            totalSeconds,
+            duration: formatDuration(totalSeconds),
+            notes
+        }
+    };
+}
+
+// Parse "/estimate" arguments such as "2 TB NVMe dual-phase" or "500gb hdd 3 passes full verify".
+// Returns { input } or { error }
+function parseEstimateRequest(text) {
+    const t = String(text || '').toLowerCase();
+    const usage = 'Try `/estimate 2 TB nvme dual-phase` or `/estimate 500 GB hdd overwrite 3 passes full verify`.';
+
+    const capacity = t.match(/(\d+(?:\.\d+)?)\s*(tb|t|gb|g)\b/);
+    if (!capacity) return { error: `Please include a capacity such as \`512 GB\` or \`2 TB\`. ${usage}` };
+    const capacityGB = parseFloat(capacity[1]) * (/^t/.test(capacity[2]) ? 1000 : 1);
+
+    let deviceType = null;
+    if (/\bnvme\b/.test(t)) deviceType = 'nvme';
+    else if (/\bssd\b/.test(t)) deviceType = 'sata-ssd';
+    else if (/\b(hdd|hard (disk|drive))\b/.test(t)) deviceType = 'hdd';
+    else if (/\b(usb|flash drive|thumb ?drive|stick)\b/.test(t)) deviceType = 'usb';
+    if (!deviceType) return { error: `Please name the device type (HDD, SSD, NVMe or USB). ${usage}` };
+
+    let method = null;
+    if (/destroy|destruction|shred/.test(t)) method = 'destroy';
+    else if (/crypto/.test(t)) method = deviceType === 'nvme' ? 'nvme-sanitize-crypto' : 'ata-crypto-erase';
+    else if (/block/.test(t)) method = 'nvme-sanitize-block';
+    else if (/sanitize/.test(t)) method = deviceType === 'nvme' ? 'nvme-sanitize-crypto' : null;
+    else if (/secure[- ]?erase|\bata\b/.test(t)) method = 'ata-secure-erase';
+    else if (/overwrite|\bclear\b/.test(t)) method = 'overwrite';
+
+    const dualPhase = /dual[- ]?phase/.test(t);
+    const passesMatch = t.match(/(\d+)\s*(?:x\b|pass(?:es)?)/);
+    const passes = passesMatch ? parseInt(passesMatch[1], 10) : (dualPhase ? 1 : undefined);
+    // "3 passes" on its own means plain overwriting, not passes before a firmware command
+    if (!method && passesMatch && !dualPhase) method = 'overwrite';
+
+    const ifaceMatch = t.match(/\b(sata|usb|pcie)[- ]?(\d(?:\.\d)?)\b/);
+    const throughputMatch = t.match(/(\d+(?:\.\d+)?)\s*mb\/?s/);
+
+    let verification = 'none';
+    if (/full (verif|read)/.test(t)) verification = 'full';
+    else if (/10\s*%/.test(t)) verification = 'sample-10';
+    else if (/1\s*%/.test(t)) verification = 'sample-1';
+
+    return {
+        input: {
+            deviceType,
+            capacityGB,
+            method: method || undefined,
+            passes,
+            interface: ifaceMatch ? `${ifaceMatch[1]}-${ifaceMatch[2]}` : undefined,
+            throughputMBps: throughputMatch ? parseFloat(throughputMatch[1]) : undefined,
+            verification
+        }
+    };
+}
+
+// Human-readable summary of an estimate
+function formatEstimate(estimate) {
+    const { device, method } = estimate;
+    const lines = [
+        `### ⏱️ Wipe estimate: ${estimate.duration}`,
+        ``,
+        `**Device:** ${device.label}, ${device.capacityGB} GB over ${device.interface} (${estimate.throughputMBps} MB/s)`,
+        `**Method:** ${method.label}${estimate.dualPhase ? ' (dual-phase)' : ''} – NIST 800-88 **${method.nistCategory}**`,
+        `**Phases:**`,
+        ...estimate.phases.map(p => `- ${p.phase}) ${p.command || p.action}${p.passes ? ` ×${p.passes}` : ''}: ${formatDuration(p.seconds)}`),
+        estimate.verification.seconds ? `- Verification (${estimate.verification.mode}): ${formatDuration(estimate.verification.seconds)}` : null,
+        ...(estimate.notes.length ? [``, ...estimate.notes.map(n => `> ${n}`)] : [])
+    ];
+    return lines.filter(line => line !== null).join('\n');
+}
+
+module.exports = {
+    INTERFACES,
+    MEDIA_MBPS,
+    VERIFICATION_SHARE,
+    estimateWipe,
+    parseEstimateRequest,
+    formatEstimate,
+    formatDuration
+};
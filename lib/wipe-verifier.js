@@ -0,0 +1,332 @@
+// lib/wipe-verifier.js - Rule engine that checks wipe logs against NIST 800-88
+// Parses JSON, CSV and plain-text wipe logs into a common shape, then runs
+// a fixed set of rules to produce a structured pass/fail report
+
+const { parseCsv } = require('./csv');
+
+const CATEGORY_RANK = { Clear: 1, Purge: 2, Destroy: 3 };
+
+// Normalised action names and the NIST 800-88 category a successful run achieves
+const ACTIONS = {
+    'overwrite': 'Clear',
+    'secure-erase': 'Purge',
+    'enhanced-secure-erase': 'Purge',
+    'sanitize-crypto': 'Purge',
+    'sanitize-block': 'Purge',
+    'sanitize-overwrite': 'Purge',
+    'crypto-erase': 'Purge',
+    'destroy': 'Destroy',
+    'verify': null,
+    'hpa-remove': null,
+    'dco-restore': null
+};
+
+// Whole-device commands cover every sector of the namespace they run on
+const WHOLE_DEVICE_ACTIONS = [
+    'secure-erase', 'enhanced-secure-erase', 'sanitize-crypto',
+    'sanitize-block', 'sanitize-overwrite', 'crypto-erase', 'destroy'
+];
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+// Map free-form operation names onto the normalised action list
+function normalizeAction(raw = '') {
+    const text = String(raw).toLowerCase().replace(/[_\s]+/g, '-');
+    if (/verif|read-?back/.test(text)) return 'verify';
+    if (/hpa/.test(text)) return 'hpa-remove';
+    if (/dco/.test(text)) return 'dco-restore';
+    if (/destr|shred|degauss/.test(text)) return 'destroy';
+    if (/sanitize/.test(text) && /crypto/.test(text)) return 'sanitize-crypto';
+    if (/sanitize/.test(text) && /block/.test(text)) return 'sanitize-block';
+    if (/sanitize/.test(text)) return 'sanitize-overwrite';
+    if (/crypto|opal|revert/.test(text)) return 'crypto-erase';
+    if (/enhanced/.test(text)) return 'enhanced-secure-erase';
+    if (/secure-?erase|security-erase/.test(text)) return 'secure-erase';
+    if (/overwrite|zero|random|pass/.test(text)) return 'overwrite';
+    return null;
+}
+
+function normalizeStatus(raw) {
+    if (raw === undefined || raw === null || raw === '') return 'ok';
+    return /^(ok|pass(ed)?|success(ful)?|complete(d)?|done|true|0)$/i.test(String(raw).trim()) ? 'ok' : 'fail';
+}
+
+// Accepts "0-1953525167", "0..100" or separate start/end values
+function parseRange(range, start, end) {
+    if (range) {
+        const match = String(range).match(/(\d+)\s*(?:-|\.\.|:)\s*(\d+)/);
+        if (match) return { start: Number(match[1]), end: Number(match[2]) };
+    }
+    if (start !== undefined && end !== undefined && start !== '' && end !== '') {
+        return { start: Number(start), end: Number(end) };
+    }
+    return null;
+}
+
+function normalizeOperation(raw) {
+    const action = normalizeAction(raw.action || raw.operation || raw.op || raw.method || raw.event);
+    if (!action) return null;
+
+    return {
+        action,
+        status: normalizeStatus(raw.status ?? raw.result),
+        range: parseRange(raw.sectors || raw.range, raw.start_sector ?? raw.startSector ?? raw.start, raw.end_sector ?? raw.endSector ?? raw.end),
+        namespace: raw.namespace ?? raw.nsid ?? null,
+        passes: raw.passes || raw.pass ? Number(raw.passes || raw.pass) : null,
+        timestamp: raw.timestamp || raw.time || null
+    };
+}
+
+// "1,2" or [1, 2] or [{ nsid: 1, sectors: 1000 }] -> ids plus the sector count of each namespace that gives one
+function normalizeNamespaces(raw) {
+    const namespaceSectors = Object.create(null);
+    const list = !raw ? [] : Array.isArray(raw) ? raw : String(raw).split(/[,;\s]+/).filter(Boolean);
+    const namespaces = list.map(ns => {
+        if (!ns || typeof ns !== 'object') return String(ns);
+        const id = String(ns.nsid ?? ns.id ?? ns.namespace);
+        const sectors = ns.sectors ?? ns.totalSectors ?? ns.total_sectors;
+        if (sectors !== undefined && sectors !== '') namespaceSectors[id] = Number(sectors);
+        return id;
+    });
+    return { namespaces, namespaceSectors };
+}
+
+function normalizeDevice(raw = {}) {
+    return {
+        type: raw.type || raw.device_type || null,
+        model: raw.model || null,
+        serial: raw.serial || raw.serial_number || null,
+        totalSectors: raw.totalSectors ?? raw.total_sectors ?? raw.sectors ?? null,
+        ...normalizeNamespaces(raw.namespaces || raw.nsids),
+        hpa: raw.hpa ?? null,
+        dco: raw.dco ?? null
+    };
+}
+
+function parseJsonLog(text) {
+    const data = JSON.parse(text);
+    const events = data.operations || data.events || data.steps || (Array.isArray(data) ? data : []);
+    return {
+        device: normalizeDevice(data.device || {}),
+        operations: events.map(normalizeOperation).filter(Boolean)
+    };
+}
+
+function parseCsvLog(text) {
+    const { rows } = parseCsv(text);
+
+    // Rows describing the device rather than an operation
+    const deviceRow = rows.find(r => /device|detect/i.test(r.action || r.operation || r.event || ''));
+    return {
+        device: normalizeDevice(deviceRow || {}),
+        operations: rows.map(normalizeOperation).filter(Boolean)
+    };
+}
+
+// Plain-text logs: one event per line with key=value pairs, e.g.
+// 2025-01-10T10:02:11Z INFO overwrite pass=1 sectors=0-1953525167 status=ok
+function parseTextLog(text) {
+    const device = {};
+    const operations = [];
+
+    for (const line of text.split(/\r?\n/)) {
+        if (!line.trim()) continue;
+        const pairs = Object.fromEntries(
+            [...line.matchAll(/(\w+)=("[^"]*"|\S+)/g)].map(([, k, v]) => [k.toLowerCase(), v.replace(/^"|"$/g, '')])
+        );
+        const words = line.replace(/(\w+)=("[^"]*"|\S+)/g, '').trim();
+
+        if (/\b(device|detected)\b/i.test(words) && !normalizeAction(pairs.action || words)) {
+            Object.assign(device, pairs);
+            continue;
+        }
+
+        // Lines without an explicit status fail when logged at error level
+        const status = pairs.status ?? pairs.result ?? (/\b(error|fail(ed|ure)?)\b/i.test(words) ? 'fail' : undefined);
+        const op = normalizeOperation({ ...pairs, action: pairs.action || words, status });
+        if (op) operations.push(op);
+    }
+
+    return { device: normalizeDevice(device), operations };
+}
+
+// Pick a parser from the file extension, falling back to sniffing the content
+function parseWipeLog(text, filename = '') {
+    const ext = filename.split('.').pop().toLowerCase();
+    const trimmed = text.trim();
+
+    if (ext === 'json' || /^[\[{]/.test(trimmed)) return parseJsonLog(trimmed);
+    if (ext === 'csv' || /^[\w\s]+(,[\w\s]+){2,}\r?\n/.test(trimmed)) return parseCsvLog(trimmed);
+    return parseTextLog(trimmed);
+}
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+// Merge overlapping sector ranges and report the first uncovered gap
+function findCoverageGap(ranges, totalSectors) {
+    const sorted = [...ranges].sort((a, b) => a.start - b.start);
+    let covered = 0;
+    for (const range of sorted) {
+        if (range.start > covered) return { start: covered, end: range.start - 1 };
+        covered = Math.max(covered, range.end + 1);
+    }
+    return covered < totalSectors ? { start: covered, end: totalSectors - 1 } : null;
+}
+
+function checkDevice({ device }) {
+    const id = device.serial || device.model;
+    return id
+        ? { id: 'device', label: 'Device identified', status: 'pass', detail: [device.model, device.serial].filter(Boolean).join(' · ') }
+        : { id: 'device', label: 'Device identified', status: 'warn', detail: 'Log does not name the device model or serial' };
+}
+
+function checkOperationsSucceeded({ operations }) {
+    const failed = operations.filter(op => op.status === 'fail' && op.action !== 'verify');
+    if (failed.length === 0) {
+        return { id: 'operations', label: 'All wipe operations succeeded', status: 'pass', detail: `${operations.length} operations logged` };
+    }
+    // A failure followed by a successful run of the same action counts as a re-wipe
+    const unresolved = failed.filter(f => !operations.some(op =>
+        op.action === f.action && op.status === 'ok' && operations.indexOf(op) > operations.indexOf(f)
+    ));
+    return unresolved.length
+        ? { id: 'operations', label: 'All wipe operations succeeded', status: 'fail', detail: `Failed: ${unresolved.map(f => f.action).join(', ')}` }
+        : { id: 'operations', label: 'All wipe operations succeeded', status: 'warn', detail: `${failed.length} failure(s) were re-wiped successfully` };
+}
+
+function checkHiddenAreas({ device, operations }) {
+    const flagged = ['hpa', 'dco'].filter(area => /^(true|yes|present|1)$/i.test(String(device[area])));
+    const whole = operations.some(op => WHOLE_DEVICE_ACTIONS.includes(op.action) && op.status === 'ok');
+    const removed = {
+        hpa: operations.some(op => op.action === 'hpa-remove' && op.status === 'ok'),
+        dco: operations.some(op => op.action === 'dco-restore' && op.status === 'ok')
+    };
+
+    if (flagged.length === 0) {
+        return { id: 'hidden-areas', label: 'Hidden areas (HPA/DCO) handled', status: 'pass', detail: 'No HPA/DCO reported' };
+    }
+    const missing = flagged.filter(area => !removed[area]);
+    if (missing.length === 0 || whole) {
+        return { id: 'hidden-areas', label: 'Hidden areas (HPA/DCO) handled', status: 'pass', detail: `${flagged.join('/').toUpperCase()} unlocked before wiping` };
+    }
+    return { id: 'hidden-areas', label: 'Hidden areas (HPA/DCO) handled', status: 'fail', detail: `${missing.join('/').toUpperCase()} present but never removed` };
+}
+
+// A namespace is covered by a whole-namespace command, or by overwrites of its own
+// sectors that leave no gap. Overwrite ranges only prove coverage when the log gives
+// the namespace's sector count (the device total stands in for a single namespace).
+function namespaceCovered(ns, ok, device) {
+    const own = ok.filter(op => op.namespace === null || String(op.namespace) === ns);
+    if (own.some(op => WHOLE_DEVICE_ACTIONS.includes(op.action))) return true;
+
+    const single = device.namespaces.length === 1;
+    const sectors = device.namespaceSectors[ns] ?? (single ? device.totalSectors : null);
+    const ranges = own
+        .filter(op => op.action === 'overwrite' && op.range && (single || op.namespace !== null))
+        .map(op => op.range);
+    return Boolean(Number(sectors)) && ranges.length > 0 && !findCoverageGap(ranges, Number(sectors));
+}
+
+function checkCoverage({ device, operations }) {
+    const ok = operations.filter(op => op.status === 'ok' && ACTIONS[op.action] !== null);
+    const wholeDevice = ok.filter(op => WHOLE_DEVICE_ACTIONS.includes(op.action));
+
+    // NVMe: every namespace has to be wiped in full
+    if (device.namespaces.length > 0) {
+        const missing = device.namespaces.filter(ns => !namespaceCovered(ns, ok, device));
+        return missing.length
+            ? { id: 'coverage', label: 'Every sector/namespace covered', status: 'fail', detail: `Namespace(s) not wiped in full: ${missing.join(', ')}` }
+            : { id: 'coverage', label: 'Every sector/namespace covered', status: 'pass', detail: `All ${device.namespaces.length} namespace(s) wiped` };
+    }
+
+    if (wholeDevice.length > 0) {
+        return { id: 'coverage', label: 'Every sector/namespace covered', status: 'pass', detail: `Whole-device ${wholeDevice[0].action} completed` };
+    }
+
+    const ranges = ok.filter(op => op.action === 'overwrite' && op.range).map(op => op.range);
+    if (!device.totalSectors) {
+        return { id: 'coverage', label: 'Every sector/namespace covered', status: 'fail', detail: 'Total sector count is missing, so coverage cannot be proven' };
+    }
+    if (ranges.length === 0) {
+        return { id: 'coverage', label: 'Every sector/namespace covered', status: 'fail', detail: 'No successful overwrite ranges logged' };
+    }
+
+    const gap = findCoverageGap(ranges, Number(device.totalSectors));
+    return gap
+        ? { id: 'coverage', label: 'Every sector/namespace covered', status: 'fail', detail: `Sectors ${gap.start}-${gap.end} were never overwritten` }
+        : { id: 'coverage', label: 'Every sector/namespace covered', status: 'pass', detail: `All ${device.totalSectors} sectors overwritten` };
+}
+
+function checkVerification({ operations }) {
+    const verifies = operations.filter(op => op.action === 'verify');
+    if (verifies.length === 0) {
+        return { id: 'verification', label: 'Verification pass ran', status: 'fail', detail: 'No verification/read-back pass in the log' };
+    }
+    const last = verifies[verifies.length - 1];
+    return last.status === 'ok'
+        ? { id: 'verification', label: 'Verification pass ran', status: 'pass', detail: last.range ? `Verified sectors ${last.range.start}-${last.range.end}` : 'Verification passed' }
+        : { id: 'verification', label: 'Verification pass ran', status: 'fail', detail: 'Verification found recoverable data' };
+}
+
+// Highest category reached by a successful operation, capped by coverage
+function achievedCategory(log, coverage) {
+    if (coverage.status !== 'pass') return null;
+    return log.operations
+        .filter(op => op.status === 'ok' && ACTIONS[op.action])
+        .map(op => ACTIONS[op.action])
+        .reduce((best, cat) => (!best || CATEGORY_RANK[cat] > CATEGORY_RANK[best] ? cat : best), null);
+}
+
+// Run every rule against a log and build the report
+function verifyWipeLog(text, filename) {
+    let log;
+    try {
+        log = parseWipeLog(text, filename);
+    } catch (error) {
+        return {
+            verdict: 'fail',
+            nistCategory: null,
+            checks: [{ id: 'parse', label: 'Log could be parsed', status: 'fail', detail: error.message }],
+            device: null
+        };
+    }
+
+    const coverage = checkCoverage(log);
+    const category = achievedCategory(log, coverage);
+    const checks = [
+        checkDevice(log),
+        checkOperationsSucceeded(log),
+        checkHiddenAreas(log),
+        coverage,
+        category
+            ? { id: 'nist-category', label: 'NIST 800-88 category achieved', status: 'pass', detail: category }
+            : { id: 'nist-category', label: 'NIST 800-88 category achieved', status: 'fail', detail: 'No category reached' },
+        checkVerification(log)
+    ];
+
+    return {
+        verdict: checks.some(c => c.status === 'fail') ? 'fail' : 'pass',
+        nistCategory: category,
+        checks,
+        device: log.device,
+        operationCount: log.operations.length,
+        checkedAt: new Date().toISOString()
+    };
+}
+
+// Markdown fallback used when the report is stored or shown as plain text
+function formatVerificationReport(report, filename) {
+    const icon = { pass: '✅', warn: '⚠️', fail: '❌' };
+    return [
+        `### ${report.verdict === 'pass' ? '✅ Wipe verified' : '❌ Wipe verification failed'}${filename ? ` – ${filename}` : ''}`,
+        `**NIST 800-88 category:** ${report.nistCategory || 'none'}`,
+        '',
+        ...report.checks.map(c => `${icon[c.status]} **${c.label}** – ${c.detail}`)
+    ].join('\n');
+}
+
+module.exports = { parseWipeLog, verifyWipeLog, formatVerificationReport };
@@ -0,0 +1,366 @@
+// lib/wipe-wizard.js - Guided /wipe planning workflow
+// Walks the user through the eight steps of the Sayonara data wiping process
+// and produces a machine-readable wipe plan at the end
+
+const STEPS = [
+    'Device detection and identification',
+    'Unlocking of hidden areas (HPA/DCO/OPAL)',
+    'Selection of wiping method',
+    'Dual-phase sanitization plan',
+    'Forensic recovery testing',
+    'Re-wiping policy',
+    'Certificate generation and blockchain recording',
+    'Resale value estimation'
+];
+
+const DEVICE_TYPES = {
+    hdd: { label: 'HDD', interface: 'SATA' },
+    'sata-ssd': { label: 'SATA SSD', interface: 'SATA' },
+    nvme: { label: 'NVMe SSD', interface: 'PCIe/NVMe' },
+    usb: { label: 'USB flash drive', interface: 'USB' }
+};
+
+// Wiping methods and the NIST 800-88 category each one achieves
+const METHODS = {
+    'overwrite': { label: 'Overwrite (random data)', nistCategory: 'Clear', phase2: null },
+    'ata-secure-erase': { label: 'ATA Secure Erase', nistCategory: 'Purge', phase2: 'ATA SECURITY ERASE UNIT' },
+    'ata-crypto-erase': { label: 'Cryptographic erase (OPAL key revert)', nistCategory: 'Purge', phase2: 'OPAL PSID/SID revert' },
+    'nvme-sanitize-crypto': { label: 'NVMe Sanitize – crypto erase', nistCategory: 'Purge', phase2: 'NVMe SANITIZE (Crypto Erase)' },
+    'nvme-sanitize-block': { label: 'NVMe Sanitize – block erase', nistCategory: 'Purge', phase2: 'NVMe SANITIZE (Block Erase)' },
+    'destroy': { label: 'Physical destruction', nistCategory: 'Destroy', phase2: null }
+};
+
+const METHODS_BY_DEVICE = {
+    hdd: ['ata-secure-erase', 'overwrite', 'destroy'],
+    'sata-ssd': ['ata-secure-erase', 'ata-crypto-erase', 'destroy'],
+    nvme: ['nvme-sanitize-crypto', 'nvme-sanitize-block', 'destroy'],
+    usb: ['overwrite', 'destroy']
+};
+
+const choice = (value, label) => ({ value, label });
+
+// Ordered questions; `when` hides a question that does not apply to earlier answers
+const QUESTIONS = [
+    {
+        id: 'deviceType',
+        step: 1,
+        prompt: 'What kind of device are you wiping?',
+        type: 'choice',
+        choices: () => Object.entries(DEVICE_TYPES).map(([value, d]) => choice(value, d.label))
+    },
+    {
+        id: 'capacity',
+        step: 1,
+        prompt: 'What is the device capacity? (e.g. `512 GB` or `2 TB`)',
+        type: 'text',
+        parse: (input) => {
+            const match = input.trim().match(/^(\d+(?:\.\d+)?)\s*(gb|g|tb|t)?$/i);
+            if (!match) return { error: 'Please enter a capacity such as `512 GB` or `2 TB`.' };
+            const amount = parseFloat(match[1]);
+            const isTB = /^t/i.test(match[2] || 'gb');
+            return { value: isTB ? amount * 1000 : amount };
+        }
+    },
+    {
+        id: 'identifier',
+        step: 1,
+        prompt: 'Enter the device model or serial number, or choose skip.',
+        type: 'text',
+        choices: () => [choice('', 'Skip')],
+        parse: (input) => ({ value: input.trim() || null })
+    },
+    {
+        id: 'hiddenAreas',
+        step: 2,
+        prompt: 'Did detection report a Host Protected Area (HPA) or Device Configuration Overlay (DCO)?',
+        type: 'choice',
+        when: (a) => a.deviceType === 'hdd' || a.deviceType === 'sata-ssd',
+        choices: () => [
+            choice('hpa', 'HPA only'),
+            choice('dco', 'DCO only'),
+            choice('both', 'Both HPA and DCO'),
+            choice('none', 'Neither'),
+            choice('unknown', 'Not sure')
+        ]
+    },
+    {
+        id: 'opal',
+        step: 2,
+        prompt: 'Is the drive a self-encrypting (TCG OPAL) device?',
+        type: 'choice',
+        when: (a) => a.deviceType !== 'usb',
+        choices: () => [choice('yes', 'Yes'), choice('no', 'No'), choice('unknown', 'Not sure')]
+    },
+    {
+        id: 'method',
+        step: 3,
+        prompt: 'Which sanitization method should be used?',
+        type: 'choice',
+        choices: (a) => METHODS_BY_DEVICE[a.deviceType]
+            .filter(m => m !== 'ata-crypto-erase' || a.opal !== 'no')
+            .map(m => choice(m, `${METHODS[m].label} (${METHODS[m].nistCategory})`))
+    },
+    {
+        id: 'overwritePasses',
+        step: 4,
+        prompt: 'Phase 1 overwrites every addressable sector with random data. How many passes?',
+        type: 'choice',
+        when: (a) => a.method !== 'destroy',
+        choices: () => [choice(1, '1 pass (recommended)'), choice(3, '3 passes'), choice(0, 'Skip phase 1')]
+    },
+    {
+        id: 'verification',
+        step: 5,
+        prompt: 'How thorough should the forensic recovery test be?',
+        type: 'choice',
+        when: (a) => a.method !== 'destroy',
+        choices: () => [
+            choice('full', 'Full read-back of every sector'),
+            choice('sample-10', '10% random sample'),
+            choice('sample-1', '1% random sample')
+        ]
+    },
+    {
+        id: 'rewipe',
+        step: 6,
+        prompt: 'If recoverable data is found, what should happen?',
+        type: 'choice',
+        when: (a) => a.method !== 'destroy',
+        choices: () => [
+            choice('auto', 'Re-wipe automatically (up to 2 attempts)'),
+            choice('manual', 'Stop and ask an operator'),
+            choice('destroy', 'Escalate to physical destruction')
+        ]
+    },
+    {
+        id: 'certificate',
+        step: 7,
+        prompt: 'How should the wipe certificate be recorded?',
+        type: 'choice',
+        choices: () => [
+            choice('blockchain', 'Signed certificate + Sepolia blockchain record'),
+            choice('local', 'Signed certificate only')
+        ]
+    },
+    {
+        id: 'disposition',
+        step: 8,
+        prompt: 'What happens to the device afterwards?',
+        type: 'choice',
+        choices: (a) => [
+            ...(a.method === 'destroy' ? [] : [choice('resale', 'Resale'), choice('lease-return', 'Return to lessor')]),
+            choice('recycle', 'Recycle')
+        ]
+    }
+];
+
+// ============================================================================
+// WIZARD STATE
+// ============================================================================
+
+// `prefill` answers device questions up front, e.g. from a drive label photo:
+// { deviceType, capacity (GB), identifier }. Invalid values are ignored.
+function createWipeWizard(prefill = {}) {
+    const answers = {};
+    if (DEVICE_TYPES[prefill.deviceType]) answers.deviceType = prefill.deviceType;
+    if (Number(prefill.capacity) > 0) answers.capacity = Number(prefill.capacity);
+    if (prefill.identifier && String(prefill.identifier).trim()) answers.identifier = String(prefill.identifier).trim();
+
+    const state = {
+        id: 'wipe_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6),
+        status: 'active',
+        answers,
+        prefilled: Object.keys(answers),
+        questionId: null,
+        startedAt: new Date().toISOString()
+    };
+    state.questionId = nextQuestionId(state.answers);
+    return state;
+}
+
+// Next applicable question that has not been answered (pre-filled answers are skipped)
+function nextQuestionId(answers, afterId = null) {
+    const start = afterId ? QUESTIONS.findIndex(q => q.id === afterId) + 1 : 0;
+    const next = QUESTIONS.slice(start).find(q => !(q.id in answers) && (!q.when || q.when(answers)));
+    return next ? next.id : null;
+}
+
+// Question in client-facing form (choices resolved against earlier answers)
+function describeQuestion(state) {
+    const question = QUESTIONS.find(q => q.id === state.questionId);
+    if (!question) return null;
+    return {
+        id: question.id,
+        step: question.step,
+        totalSteps: STEPS.length,
+        stepTitle: STEPS[question.step - 1],
+        prompt: question.prompt,
+        type: question.type,
+        choices: question.choices ? question.choices(state.answers) : []
+    };
+}
+
+// Accept a choice by value, label or 1-based index
+function matchChoice(choices, input) {
+    const text = String(input).trim().toLowerCase();
+    const index = parseInt(text, 10);
+    return choices.find(c => String(c.value).toLowerCase() === text || c.label.toLowerCase() === text)
+        || (String(index) === text && choices[index - 1])
+        || null;
+}
+
+// Apply an answer; returns { state, question } or { state, error } or { state, plan }
+function answerWipeWizard(state, input) {
+    if (state.status !== 'active') {
+        return { state, error: 'This wipe plan is already complete. Run `/wipe` to start a new one.' };
+    }
+
+    const question = QUESTIONS.find(q => q.id === state.questionId);
+    const described = describeQuestion(state);
+    let value;
+
+    if (question.type === 'choice') {
+        const matched = matchChoice(described.choices, input);
+        if (!matched) {
+            return { state, question: described, error: `Please pick one of: ${described.choices.map(c => c.label).join(', ')}.` };
+        }
+        value = matched.value;
+    } else {
+        const skipped = described.choices.find(c => c.label.toLowerCase() === String(input).trim().toLowerCase());
+        const parsed = question.parse(skipped ? String(skipped.value) : String(input));
+        if (parsed.error) {
+            return { state, question: described, error: parsed.error };
+        }
+        value = parsed.value;
+    }
+
+    const answers = { ...state.answers, [question.id]: value };
+    const questionId = nextQuestionId(answers, question.id);
+
+    if (!questionId) {
+        const plan = buildWipePlan(answers, state);
+        return { state: { ...state, answers, questionId: null, status: 'complete', plan }, plan };
+    }
+
+    const next = { ...state, answers, questionId };
+    return { state: next, question: describeQuestion(next) };
+}
+
+// ============================================================================
+// PLAN
+// ============================================================================
+
+function buildWipePlan(answers, state = {}) {
+    const device = DEVICE_TYPES[answers.deviceType];
+    const method = METHODS[answers.method];
+    const unlockActions = [];
+
+    if (['hpa', 'both', 'unknown'].includes(answers.hiddenAreas)) {
+        unlockActions.push('Remove HPA (SET MAX ADDRESS to native max)');
+    }
+    if (['dco', 'both', 'unknown'].includes(answers.hiddenAreas)) {
+        unlockActions.push('Restore DCO (DEVICE CONFIGURATION RESTORE)');
+    }
+    if (['yes', 'unknown'].includes(answers.opal)) {
+        unlockActions.push('Unlock or revert TCG OPAL locking ranges');
+    }
+
+    const phases = [];
+    if (answers.method === 'destroy') {
+        phases.push({ phase: 1, action: 'destroy', description: 'Shred or disintegrate the media' });
+    } else {
+        if (answers.overwritePasses > 0 || answers.method === 'overwrite') {
+            phases.push({
+                phase: 1,
+                action: 'overwrite',
+                pattern: 'random',
+                passes: answers.overwritePasses || 1
+            });
+        }
+        if (method.phase2) {
+            phases.push({ phase: 2, action: answers.method, command: method.phase2 });
+        }
+    }
+
+    return {
+        planId: state.id || 'wipe_' + Date.now(),
+        createdAt: new Date().toISOString(),
+        standard: 'NIST SP 800-88 Rev.1',
+        device: {
+            type: answers.deviceType,
+            label: device.label,
+            interface: device.interface,
+            capacityGB: answers.capacity,
+            identifier: answers.identifier || null
+        },
+        hiddenAreas: {
+            hpaDco: answers.hiddenAreas || 'not-applicable',
+            opal: answers.opal || 'not-applicable',
+            actions: unlockActions
+        },
+        method: {
+            id: answers.method,
+            label: method.label,
+            nistCategory: method.nistCategory
+        },
+        phases,
+        verification: answers.method === 'destroy'
+            ? { mode: 'visual-inspection' }
+            : { mode: answers.verification },
+        rewipe: answers.method === 'destroy'
+            ? null
+            : { policy: answers.rewipe, maxAttempts: answers.rewipe === 'auto' ? 2 : 0 },
+        certificate: {
+            signed: true,
+            ledger: answers.certificate === 'blockchain' ? 'sepolia' : null
+        },
+        disposition: answers.disposition
+    };
+}
+
+// Human-readable summary of a finished plan
+function formatWipePlan(plan) {
+    const lines = [
+        `### ✅ Wipe plan ready`,
+        ``,
+        `**Device:** ${plan.device.label}, ${plan.device.capacityGB} GB${plan.device.identifier ? ` (${plan.device.identifier})` : ''}`,
+        `**Method:** ${plan.method.label} – NIST 800-88 **${plan.method.nistCategory}**`,
+        `**Hidden areas:** ${plan.hiddenAreas.actions.length ? plan.hiddenAreas.actions.join('; ') : 'nothing to unlock'}`,
+        `**Phases:** ${plan.phases.map(p => `${p.phase}) ${p.command || p.action}${p.passes ? ` ×${p.passes}` : ''}`).join(', ')}`,
+        `**Verification:** ${plan.verification.mode}`,
+        `**Certificate:** signed${plan.certificate.ledger ? ` + ${plan.certificate.ledger} record` : ''}`,
+        `**Disposition:** ${plan.disposition}`,
+        ``,
+        '```' + JSON.stringify(plan, null, 2) + '```'
+    ];
+    return lines.join('\n');
+}
+
+// "**Pre-filled:** NVMe SSD · 1000 GB · Samsung 980 S/N X" for answers given up front
+function formatPrefill(state) {
+    const { deviceType, capacity, identifier } = state.answers;
+    const parts = state.prefilled.map(id => ({
+        deviceType: DEVICE_TYPES[deviceType]?.label,
+        capacity: `${capacity} GB`,
+        identifier
+    })[id]);
+    return `**Pre-filled:** ${parts.join(' · ')}`;
+}
+
+function formatQuestion(question) {
+    return `**Step ${question.step}/${question.totalSteps} · ${question.stepTitle}**\n\n${question.prompt}`;
+}
+
+module.exports = {
+    STEPS,
+    METHODS,
+    METHODS_BY_DEVICE,
+    DEVICE_TYPES,
+    createWipeWizard,
+    describeQuestion,
+    answerWipeWizard,
+    buildWipePlan,
+    formatWipePlan,
+    formatPrefill,
+    formatQuestion
+};
@@ -0,0 +1,141 @@
+// lib/xlsx.js - Minimal .xlsx reader
+// Reads the cell values of the first worksheet: unzips the workbook (stored or
+// deflated entries), resolves shared strings and returns rows of strings
+// indexed like the spreadsheet, so row 5 in Excel is rows[4]
+
+const zlib = require('zlib');
+
+// Zip bomb limits: entries in the archive, inflated bytes per entry and for the whole workbook
+const MAX_ENTRIES = 1000;
+const MAX_ENTRY_BYTES = 32 * 1024 * 1024;
+const MAX_TOTAL_BYTES = 64 * 1024 * 1024;
+
+// ============================================================================
+// ZIP
+// ============================================================================
+
+function inflateEntry(data, size, name) {
+    try {
+        return zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`Corrupt XLSX entry ${name}: larger than its declared size`);
+        throw error;
+    }
+}
+
+// name -> Buffer for every entry in the archive
+function unzip(buffer) {
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) throw new Error('Not an XLSX file');
+
+    const entries = {};
+    const count = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    if (offset === 0xffffffff) throw new Error('ZIP64 workbooks are not supported');
+    if (count > MAX_ENTRIES) throw new Error(`The workbook has more than ${MAX_ENTRIES} parts`);
+    let total = 0;
+
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt XLSX directory');
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        // The declared size bounds the inflate, so a lying header fails instead of expanding
+        if (size > MAX_ENTRY_BYTES || total + size > MAX_TOTAL_BYTES) {
+            throw new Error('The workbook is too large to read');
+        }
+        total += size;
+        if (method === 0) entries[name] = data;
+        else if (method === 8) entries[name] = inflateEntry(data, size, name);
+        // Other compression methods never appear in spreadsheets; skip the entry
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+// ============================================================================
+// SPREADSHEETML
+// ============================================================================
+
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+        }
+        return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[code.toLowerCase()];
+    });
+}
+
+// Text of a <si> or <is> element: every <t> run, minus phonetic guides
+function runText(xml) {
+    return decodeXml([...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+        .map(m => m[1])
+        .join(''));
+}
+
+const attribute = (attrs, name) => (attrs.match(new RegExp(`\\b${name}="([^"]*)"`)) || [])[1];
+
+// "AB12" -> 27 (zero-based column)
+function columnIndex(ref) {
+    const letters = ref.match(/^[A-Z]+/i)[0].toUpperCase();
+    return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+// Path of the first worksheet, following the workbook relationships
+function firstSheetPath(entries) {
+    const workbook = entries['xl/workbook.xml']?.toString('utf-8') || '';
+    const rels = entries['xl/_rels/workbook.xml.rels']?.toString('utf-8') || '';
+    const sheet = workbook.match(/<sheet\b[^>]*>/);
+    const relId = sheet && attribute(sheet[0], 'r:id');
+    const rel = relId && [...rels.matchAll(/<Relationship\b[^>]*>/g)].find(r => attribute(r[0], 'Id') === relId);
+    const target = rel && attribute(rel[0], 'Target');
+    if (!target) return 'xl/worksheets/sheet1.xml';
+    return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+}
+
+// Rows of cell strings from the first worksheet
+function readXlsxRows(buffer) {
+    const entries = unzip(buffer);
+    const sheetXml = entries[firstSheetPath(entries)]?.toString('utf-8');
+    if (!sheetXml) throw new Error('The workbook has no worksheet');
+
+    const sharedXml = entries['xl/sharedStrings.xml']?.toString('utf-8') || '';
+    const shared = [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => runText(m[1]));
+
+    const rows = [];
+    for (const [, rowAttrs, rowXml] of sheetXml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const number = parseInt(attribute(rowAttrs, 'r'), 10);
+        const index = number > 0 ? number - 1 : rows.length;
+        const cells = [];
+        for (const [, attrs, inner = ''] of (rowXml || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const ref = attribute(attrs, 'r');
+            const type = attribute(attrs, 't');
+            const raw = (inner.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+            let value = '';
+            if (type === 's') value = shared[parseInt(raw, 10)] ?? '';
+            else if (type === 'inlineStr') value = runText(inner);
+            else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+            else if (raw !== undefined) value = decodeXml(raw);
+            cells[ref ? columnIndex(ref) : cells.length] = value;
+        }
+        rows[index] = Array.from(cells, cell => cell ?? '');
+    }
+    return Array.from(rows, row => row || []);
+}
+
+module.exports = { readXlsxRows };
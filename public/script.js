@@ -10,43 +10,65 @@ const CONFIG = window.CHATBOT_CONFIG || {};
 // API SERVICE - Gemini + LangChain Integration
 // ============================================================================
 
+// Error carrying the server's typed `code` (timeout, rate_limited, circuit_open, ...) for ErrorMessage
+const requestError = ({ error, code, retryAt } = {}, fallback) =>
+    Object.assign(new Error(error || fallback), { code, retryAt });
+
+async function responseError(response) {
+    const data = await response.json().catch(() => ({}));
+    return requestError(data, `API Error: ${response.status}`);
+}
+
 class ChatbotAPI {
     constructor(config) {
         this.config = config;
         this.chatHistory = [];
-        this.sessionId = this.generateSessionId();
+        // Reuse the session across reloads so server-side state (e.g. the /wipe wizard) survives
+        this.sessionId = localStorage.getItem('sessionId') || this.generateSessionId();
+        localStorage.setItem('sessionId', this.sessionId);
     }
 
     generateSessionId() {
         return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
+    // Request options shared by the blocking and streaming chat endpoints
+    buildChatRequest(conversationId, message, chatHistory = [], signal, attachments = []) {
+        return {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                // Include API key in header if needed (for backend authentication)
+                'X-API-Key': this.config.GEMINI_API_KEY,
+                'X-Session-Id': this.sessionId
+            },
+            body: JSON.stringify({
+                conversationId,
+                message,
+                chatHistory,
+                attachments,
+                config: {
+                    provider: this.config.PROVIDER,
+                    model: this.config.MODEL,
+                    maxTokens: this.config.MAX_TOKENS,
+                    temperature: this.config.TEMPERATURE,
+                    ragEnabled: this.config.RAG_ENABLED
+                }
+            }),
+            signal
+        };
+    }
+
     // Main method to send message to Gemini via your backend
-    async sendMessage(conversationId, message, chatHistory = []) {
+    async sendMessage(conversationId, message, chatHistory = [], attachments = []) {
         try {
-            const response = await fetch(this.config.API_ENDPOINT, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    // Include API key in header if needed (for backend authentication)
-                    'X-API-Key': this.config.GEMINI_API_KEY,
-                    'X-Session-Id': this.sessionId
-                },
-                body: JSON.stringify({
-                    conversationId,
-                    message,
-                    chatHistory,
-                    config: {
-                        model: this.config.MODEL,
-                        maxTokens: this.config.MAX_TOKENS,
-                        temperature: this.config.TEMPERATURE,
-                        ragEnabled: this.config.RAG_ENABLED
-                    }
-                })
-            });
+            const response = await fetch(
+                this.config.API_ENDPOINT,
+                this.buildChatRequest(conversationId, message, chatHistory, undefined, attachments)
+            );
 
             if (!response.ok) {
-                throw new Error(`API Error: ${response.status}`);
+                throw await responseError(response);
             }
 
             const data = await response.json();
@@ -62,50 +84,92 @@ class ChatbotAPI {
         }
     }
 
-    // Stream message using Server-Sent Events or WebSocket
-    async streamMessage(conversationId, message, chatHistory, onChunk, onError) {
+    // Stream message using Server-Sent Events over a POST request
+    // onChunk(delta, done, metadata) receives only the newly generated text.
+    // `attachments` are ids returned by uploadFile.
+    async streamMessage(conversationId, message, chatHistory, onChunk, onError, attachments = []) {
         if (!this.config.ENABLE_STREAMING) {
             // Fallback to non-streaming
-            const response = await this.sendMessage(conversationId, message, chatHistory);
-            onChunk(response.content, true);
+            const response = await this.sendMessage(conversationId, message, chatHistory, attachments);
+            onChunk(response.content, true, response.metadata);
             return () => {};
         }
 
-        try {
-            // Using EventSource for Server-Sent Events
-            const eventSource = new EventSource(
-                `${this.config.API_ENDPOINT}/stream?` + new URLSearchParams({
-                    conversationId,
-                    message,
-                    sessionId: this.sessionId
-                })
+        const controller = new AbortController();
+        let metadata = {};
+        let received = false;
+        let finished = false;
+
+        const handleEvent = (event, data) => {
+            switch (event) {
+                case 'delta':
+                    received = true;
+                    onChunk(data.text, false);
+                    break;
+                case 'metadata':
+                    metadata = data;
+                    break;
+                case 'done':
+                    finished = true;
+                    onChunk('', true, metadata);
+                    break;
+                case 'error':
+                    throw requestError(data, 'Stream failed');
+            }
+        };
+
+        const run = async () => {
+            const response = await fetch(
+                `${this.config.API_ENDPOINT}/stream`,
+                this.buildChatRequest(conversationId, message, chatHistory, controller.signal, attachments)
             );
 
-            eventSource.onmessage = (event) => {
-                const data = JSON.parse(event.data);
-                if (data.done) {
-                    eventSource.close();
-                    onChunk(data.content, true);
-                } else {
-                    onChunk(data.content, false);
+            if (!response.ok) {
+                throw await responseError(response);
+            }
+            if (!response.body) {
+                throw new Error('Streaming is not supported by this browser');
+            }
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const frames = buffer.split('\n\n');
+                buffer = frames.pop();
+
+                for (const frame of frames) {
+                    let event = 'message';
+                    let data = '';
+                    for (const line of frame.split('\n')) {
+                        if (line.startsWith('event:')) event = line.slice(6).trim();
+                        else if (line.startsWith('data:')) data += line.slice(5).trim();
+                    }
+                    if (data) handleEvent(event, JSON.parse(data));
                 }
-            };
+            }
 
-            eventSource.onerror = (error) => {
-                console.error('Stream error:', error);
-                eventSource.close();
-                if (onError) onError(error);
-                
-                // Fallback to demo streaming if real streaming fails
-                this.demoStream(message, onChunk);
-            };
+            // A proxy cut or a server crash after the headers ends the body without `done`
+            if (!finished) {
+                throw requestError({ code: 'incomplete' }, 'The connection closed before the reply finished.');
+            }
+        };
 
-            return () => eventSource.close();
-        } catch (error) {
-            console.error('Streaming not available, falling back:', error);
-            // Fallback demo streaming
-            return this.demoStream(message, onChunk);
-        }
+        run().catch((error) => {
+            if (controller.signal.aborted) return;
+            console.error('Stream error:', error);
+            if (onError) onError(error);
+
+            // Fallback to demo streaming if the backend could not be reached (typed errors come from the server)
+            if (!received && !error.code) this.demoStream(message, onChunk);
+        });
+
+        return () => controller.abort();
     }
 
     // Demo streaming for when backend is not available
@@ -128,39 +192,34 @@ class ChatbotAPI {
         
         const interval = setInterval(() => {
             if (index < words.length) {
-                onChunk(words.slice(0, index + 1).join(' '), false);
+                onChunk((index > 0 ? ' ' : '') + words[index], false);
                 index++;
             } else {
                 clearInterval(interval);
-                onChunk(response, true);
+                onChunk('', true, { demo: true });
             }
         }, 100);
 
         return () => clearInterval(interval);
     }
 
-    // LangChain integration for enhanced responses
+    // LangChain integration for enhanced responses; failures throw with the server's error code
     async queryLangChain(query, context = {}) {
-        try {
-            const response = await fetch(this.config.LANGCHAIN_ENDPOINT, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-API-Key': this.config.GEMINI_API_KEY
-                },
-                body: JSON.stringify({
-                    query,
-                    context,
-                    sessionId: this.sessionId
-                })
-            });
+        const response = await fetch(this.config.LANGCHAIN_ENDPOINT, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-API-Key': this.config.GEMINI_API_KEY
+            },
+            body: JSON.stringify({
+                query,
+                context: { provider: this.config.PROVIDER, model: this.config.MODEL, ...context },
+                sessionId: this.sessionId
+            })
+        });
 
-            if (!response.ok) throw new Error('LangChain query failed');
-            return await response.json();
-        } catch (error) {
-            console.error('LangChain error:', error);
-            return null;
-        }
+        if (!response.ok) throw await responseError(response);
+        return response.json();
     }
 
     // RAG query for knowledge base
@@ -173,7 +232,7 @@ class ChatbotAPI {
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ query })
+                body: JSON.stringify({ query, provider: this.config.PROVIDER, model: this.config.MODEL })
             });
 
             if (!response.ok) throw new Error('RAG query failed');
@@ -184,40 +243,285 @@ class ChatbotAPI {
         }
     }
 
-    // Get conversations (mock for now)
+    // Conversation history stored on the backend
+    async conversationRequest(path = '', options = {}) {
+        const response = await fetch(`${this.config.CONVERSATIONS_ENDPOINT}${path}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...options.headers }
+        });
+
+        if (!response.ok) throw new Error(`Conversation request failed: ${response.status}`);
+        return response.status === 204 ? null : await response.json();
+    }
+
     async getConversations() {
-        // This would normally fetch from your backend
-        await new Promise(resolve => setTimeout(resolve, 300));
-        return [
-            { 
-                id: 'c1', 
-                title: 'Data Wiping Setup', 
-                lastMessage: 'NIST 800-88 standards configured', 
-                unread: 2, 
-                updatedAt: new Date().toISOString() 
+        return this.conversationRequest();
+    }
+
+    async getConversation(id) {
+        return this.conversationRequest(`/${encodeURIComponent(id)}`);
+    }
+
+    // `id` keeps a client-generated conversation id (the unsaved chat shown on first load)
+    async createConversation(title, id) {
+        return this.conversationRequest('', {
+            method: 'POST',
+            body: JSON.stringify({ id, title })
+        });
+    }
+
+    async renameConversation(id, title) {
+        return this.conversationRequest(`/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ title })
+        });
+    }
+
+    // Persona used as the system instruction for a conversation
+    async setConversationPersona(id, persona) {
+        return this.conversationRequest(`/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ persona })
+        });
+    }
+
+    async getPersonas() {
+        const response = await fetch(this.config.PERSONAS_ENDPOINT);
+        if (!response.ok) throw new Error(`Persona request failed: ${response.status}`);
+        return await response.json();
+    }
+
+    async deleteConversation(id) {
+        return this.conversationRequest(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    }
+
+    // Guided /wipe planning workflow
+    async wipeRequest(path, options = {}) {
+        const response = await fetch(`${this.config.WIPE_ENDPOINT}${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Session-Id': this.sessionId
+            }
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `Wipe request failed: ${response.status}`);
+        }
+        return response.status === 204 ? null : await response.json();
+    }
+
+    // `prefill` answers the device questions up front, e.g. from a drive label photo
+    async startWipe(conversationId, prefill = null) {
+        return this.wipeRequest('', {
+            method: 'POST',
+            body: JSON.stringify({ conversationId, prefill })
+        });
+    }
+
+    async answerWipe(conversationId, answer, label) {
+        return this.wipeRequest('/answer', {
+            method: 'POST',
+            body: JSON.stringify({ conversationId, answer, label })
+        });
+    }
+
+    async getWipeState(conversationId) {
+        return this.wipeRequest(`/${encodeURIComponent(conversationId)}`);
+    }
+
+    async cancelWipe(conversationId) {
+        return this.wipeRequest(`/${encodeURIComponent(conversationId)}`, { method: 'DELETE' });
+    }
+
+    // Check a pasted or attached wipe log against NIST 800-88
+    async verifyWipeLog(conversationId, { log, file }) {
+        const formData = new FormData();
+        formData.append('conversationId', conversationId);
+        if (file) formData.append('file', file);
+        else formData.append('log', log);
+
+        const response = await fetch(this.config.VERIFY_ENDPOINT, {
+            method: 'POST',
+            body: formData
+        });
+
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Verification failed');
+        return data;
+    }
+
+    // Certificate ledger lookup and status
+    async lookupCertificate(key) {
+        const response = await fetch(`${this.config.BLOCKCHAIN_ENDPOINT}/certificates/${encodeURIComponent(key)}`);
+        const data = await response.json();
+        if (!response.ok && response.status !== 404) throw new Error(data.error || 'Certificate lookup failed');
+        return data;
+    }
+
+    async getLedgerStatus() {
+        const response = await fetch(`${this.config.BLOCKCHAIN_ENDPOINT}/status`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Ledger unavailable');
+        return data;
+    }
+
+    // Issue a signed wipe certificate from a /wipe plan or /verify report
+    async createCertificate(params) {
+        const response = await fetch(this.config.CERTIFICATES_ENDPOINT, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(params)
+        });
+
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Certificate generation failed');
+        return data;
+    }
+
+    certificateUrl(certId, format = 'json') {
+        const base = `${this.config.CERTIFICATES_ENDPOINT}/${encodeURIComponent(certId)}`;
+        return format === 'html' ? `${base}/html` : `${base}?download=1`;
+    }
+
+    // Structured summary of a conversation (decisions, open questions, devices)
+    async summarizeConversation(conversationId, chatHistory) {
+        const response = await fetch(this.config.SUMMARIZE_ENDPOINT, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Session-Id': this.sessionId
             },
-            { 
-                id: 'c2', 
-                title: 'Blockchain Integration', 
-                lastMessage: 'Certificates deployed on Sepolia', 
-                unread: 0, 
-                updatedAt: new Date().toISOString() 
+            body: JSON.stringify({ conversationId, chatHistory })
+        });
+
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Summary failed');
+        return data;
+    }
+
+    // Wipe duration and NIST category estimate from "/estimate" text
+    async estimateWipe(conversationId, text) {
+        const response = await fetch(this.config.ESTIMATE_ENDPOINT, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Session-Id': this.sessionId
             },
-            { 
-                id: 'c3', 
-                title: 'RAG Configuration', 
-                lastMessage: 'Knowledge base updated', 
-                unread: 1, 
-                updatedAt: new Date().toISOString() 
+            body: JSON.stringify({ conversationId, text })
+        });
+
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Estimate failed');
+        return data;
+    }
+
+    // CSR impact report from "/impact" text or an attached inventory CSV
+    async calculateImpact(conversationId, { text, file }) {
+        const formData = new FormData();
+        formData.append('conversationId', conversationId);
+        if (file) formData.append('file', file);
+        else formData.append('text', text);
+
+        const response = await fetch(this.config.IMPACT_ENDPOINT, {
+            method: 'POST',
+            body: formData
+        });
+
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Impact report failed');
+        return data;
+    }
+
+    // Import a device inventory CSV/XLSX into the conversation; mode 'append' keeps earlier devices
+    async importInventory(conversationId, file, mode = 'replace') {
+        const formData = new FormData();
+        formData.append('conversationId', conversationId);
+        formData.append('mode', mode);
+        formData.append('file', file);
+
+        const response = await fetch(this.config.INVENTORY_ENDPOINT, {
+            method: 'POST',
+            body: formData
+        });
+
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Inventory import failed');
+        return data;
+    }
+
+    // Exact answer from the conversation's inventory, e.g. "how many NVMe drives lack a certificate?"
+    async queryInventory(conversationId, question) {
+        const response = await fetch(`${this.config.INVENTORY_ENDPOINT}/query`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
             },
-        ];
+            body: JSON.stringify({ conversationId, question })
+        });
+
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Inventory query failed');
+        return data;
+    }
+
+    // Knowledge base administration; the admin token is kept for this browser tab only
+    async kbAdminRequest(path, options = {}) {
+        const response = await fetch(`${this.config.KB_ADMIN_ENDPOINT}${path}`, {
+            ...options,
+            headers: {
+                ...(options.body instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
+                'Authorization': `Bearer ${sessionStorage.getItem('kbAdminToken') || ''}`
+            }
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            const error = new Error(data.error || `Knowledge base request failed: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    kbDocumentPath(source) {
+        return `/documents/${source.split('/').map(encodeURIComponent).join('/')}`;
+    }
+
+    async listKbDocuments() {
+        return this.kbAdminRequest('/documents');
+    }
+
+    async getKbDocument(source) {
+        return this.kbAdminRequest(this.kbDocumentPath(source));
+    }
+
+    async uploadKbDocument(file) {
+        const formData = new FormData();
+        formData.append('file', file);
+        return this.kbAdminRequest('/documents', { method: 'POST', body: formData });
+    }
+
+    async retireKbDocument(source) {
+        return this.kbAdminRequest(this.kbDocumentPath(source), { method: 'DELETE' });
     }
 
-    // File upload handler
-    async uploadFile(file) {
+    async searchKb(query, topK = 10) {
+        return this.kbAdminRequest('/search', {
+            method: 'POST',
+            body: JSON.stringify({ query, topK })
+        });
+    }
+
+    // File upload handler. With analyze=false the file is only stored as an attachment
+    // of the conversation and the response is { attachment }.
+    async uploadFile(file, { conversationId, analyze = false } = {}) {
         const formData = new FormData();
         formData.append('file', file);
         formData.append('sessionId', this.sessionId);
+        if (conversationId) formData.append('conversationId', conversationId);
+        formData.append('analyze', String(analyze));
 
         try {
             const response = await fetch(`${this.config.API_ENDPOINT}/upload`, {
@@ -225,8 +529,9 @@ class ChatbotAPI {
                 body: formData
             });
 
-            if (!response.ok) throw new Error('File upload failed');
-            return await response.json();
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'File upload failed');
+            return data;
         } catch (error) {
             console.error('Upload error:', error);
             throw error;
@@ -241,8 +546,8 @@ const api = new ChatbotAPI(CONFIG);
 // UTILITY FUNCTIONS
 // ============================================================================
 
-// Markdown parser (simple version)
-const parseMarkdown = (text) => {
+// Markdown parser (simple version); [n] markers matching a citation become footnote links
+const parseMarkdown = (text, citations = []) => {
     if (!CONFIG.ENABLE_MARKDOWN) return text;
     
     let html = text;
@@ -274,9 +579,23 @@ const parseMarkdown = (text) => {
     // Line breaks
     html = html.replace(/\n/g, '<br>');
     
+    // Citation markers
+    if (citations.length > 0) {
+        html = html.replace(/\[(\d+)\]/g, (marker, n) => citations.some(c => c.index === Number(n))
+            ? `<sup><a href="#" data-cite="${n}" class="text-blue-400 hover:underline">[${n}]</a></sup>`
+            : marker);
+    }
+    
     return html;
 };
 
+// 1536 -> "1.5 KB"
+const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
 // ============================================================================
 // REACT CONTEXTS
 // ============================================================================
@@ -354,27 +673,315 @@ const TypingIndicator = () => (
     </div>
 );
 
-// Error Component
-const ErrorMessage = ({ message, onRetry }) => (
-    <div className="error-message rounded-lg p-4 mb-4">
-        <div className="flex items-center justify-between">
-            <span className="text-sm">{message}</span>
-            {onRetry && (
-                <button
-                    onClick={onRetry}
-                    className="ml-2 px-3 py-1 text-xs bg-red-600/20 hover:bg-red-600/30 rounded transition-colors"
-                >
-                    Retry
-                </button>
+// How each error code from the server (lib/resilience.js) is shown; `retry` when retrying can help
+const ERROR_DISPLAY = {
+    timeout: { icon: '⏱️', title: 'The model timed out', hint: 'Try again, or ask a shorter question.', retry: true },
+    rate_limited: { icon: '🚦', title: 'Too many requests', hint: 'Wait a few seconds, then retry.', retry: true },
+    unavailable: { icon: '📡', title: 'Model provider unavailable', hint: 'The provider is having trouble; retry shortly.', retry: true },
+    circuit_open: { icon: '🔌', title: 'Model calls paused', hint: 'Answers come from the knowledge base until the provider recovers.', retry: true },
+    auth: { icon: '🔑', title: 'API key rejected', hint: 'Check the provider API key in the server .env file.', retry: false },
+    bad_request: { icon: '⚙️', title: 'Request rejected by the model provider', hint: 'Check the provider and model settings.', retry: false },
+    network: { icon: '📶', title: 'Cannot reach the server', hint: 'Check your connection and that the backend is running.', retry: true },
+    incomplete: { icon: '✂️', title: 'The reply was cut off', hint: 'Retry to get the full answer.', retry: true },
+    internal: { icon: '⚠️', title: 'Server error', hint: null, retry: true }
+};
+
+// ErrorMessage payload for a failed request: the server's code, or `network` when
+// fetch itself failed; uncoded errors show `fallback`
+const describeError = (err, fallback) => ({
+    message: err.code ? err.message : fallback,
+    code: err.code || (err instanceof TypeError ? 'network' : undefined),
+    retryAt: err.retryAt
+});
+
+// Error Component; `error` is a message string or { message, code, retryAt }
+const ErrorMessage = ({ error, onRetry }) => {
+    const { message, code, retryAt } = typeof error === 'string' ? { message: error } : error;
+    const display = ERROR_DISPLAY[code];
+    const canRetry = onRetry && (!display || display.retry);
+    
+    return (
+        <div className="error-message rounded-lg p-4 mb-4">
+            <div className="flex items-center justify-between">
+                <div className="text-sm">
+                    {display && <div className="font-semibold">{display.icon} {display.title}</div>}
+                    <div>{message}</div>
+                    {display?.hint && <div className="text-xs opacity-80 mt-1">{display.hint}</div>}
+                    {retryAt && (
+                        <div className="text-xs opacity-80 mt-1">Model calls resume after {new Date(retryAt).toLocaleTimeString()}.</div>
+                    )}
+                </div>
+                {canRetry && (
+                    <button
+                        onClick={onRetry}
+                        className="ml-2 px-3 py-1 text-xs bg-red-600/20 hover:bg-red-600/30 rounded transition-colors"
+                    >
+                        Retry
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Checklist card for /verify reports
+const VerificationReport = ({ report }) => {
+    const icons = { pass: '✅', warn: '⚠️', fail: '❌' };
+    const passed = report.verdict === 'pass';
+    
+    return (
+        <div className="space-y-3">
+            <div className="flex items-center justify-between">
+                <span className={`font-semibold ${passed ? 'text-green-300' : 'text-red-300'}`}>
+                    {passed ? 'Wipe verified' : 'Wipe verification failed'}
+                </span>
+                <span className={`px-2 py-1 text-xs rounded-full ${passed ? 'success-message' : 'error-message'}`}>
+                    NIST 800-88: {report.nistCategory || 'none'}
+                </span>
+            </div>
+            <ul className="space-y-2">
+                {report.checks.map(check => (
+                    <li key={check.id} className="flex items-start space-x-2 text-sm">
+                        <span>{icons[check.status]}</span>
+                        <div>
+                            <p className="text-white">{check.label}</p>
+                            <p className="text-xs text-gray-400">{check.detail}</p>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// CSR impact report: headline totals plus a bar chart per device category
+const IMPACT_METRICS = {
+    co2AvoidedKg: { label: 'CO₂ avoided', unit: 'kg', color: '#34d399' },
+    eWasteDivertedKg: { label: 'E-waste diverted', unit: 'kg', color: '#60a5fa' },
+    resaleValue: { label: 'Resale value', unit: null, color: '#a78bfa' }
+};
+
+const ImpactCard = ({ report }) => {
+    const [metric, setMetric] = useState('co2AvoidedKg');
+    const money = new Intl.NumberFormat('en-US', { style: 'currency', currency: report.currency, maximumFractionDigits: 0 });
+    const format = (key, value) => IMPACT_METRICS[key].unit
+        ? `${value.toLocaleString()} ${IMPACT_METRICS[key].unit}`
+        : money.format(value);
+    const rows = [...report.byCategory].sort((a, b) => b[metric] - a[metric]);
+    const max = Math.max(...rows.map(r => r[metric]), 1);
+    const barHeight = 22;
+    
+    const handleDownload = () => {
+        const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `impact-report-${report.generatedAt.substring(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+    
+    return (
+        <div className="space-y-3">
+            <div className="flex items-center justify-between">
+                <span className="font-semibold text-green-300">🌱 Environmental impact</span>
+                <span className="text-xs text-gray-400">{report.totals.devices} devices · {report.totals.diversionRate}% diverted</span>
+            </div>
+            <div className="grid grid-cols-3 gap-2">
+                {Object.keys(IMPACT_METRICS).map(key => (
+                    <button
+                        key={key}
+                        onClick={() => setMetric(key)}
+                        className={`p-2 rounded-lg text-left transition-all ${metric === key ? 'bg-white/15' : 'glass hover:bg-white/10'}`}
+                    >
+                        <p className="text-xs text-gray-400">{IMPACT_METRICS[key].label}</p>
+                        <p className="text-sm font-semibold text-white">{format(key, report.totals[key])}</p>
+                    </button>
+                ))}
+            </div>
+            <svg width="100%" height={rows.length * (barHeight + 6)} className="overflow-visible">
+                {rows.map((row, i) => {
+                    const y = i * (barHeight + 6);
+                    const width = `${Math.max(row[metric] / max * 55, 0.5)}%`;
+                    return (
+                        <g key={row.category}>
+                            <text x="0" y={y + barHeight / 2 + 4} fill="#d1d5db" fontSize="12">{row.label}</text>
+                            <rect x="28%" y={y} width={width} height={barHeight} rx="4" fill={IMPACT_METRICS[metric].color} opacity="0.85" />
+                            <text x="100%" y={y + barHeight / 2 + 4} fill="#9ca3af" fontSize="11" textAnchor="end">{format(metric, row[metric])}</text>
+                        </g>
+                    );
+                })}
+            </svg>
+            {report.skipped.length > 0 && (
+                <p className="text-xs text-yellow-300">
+                    Skipped {report.skipped.length} row(s): {report.skipped.map(r => `row ${r.row} (${r.reason})`).join(', ')}
+                </p>
             )}
+            <button
+                onClick={handleDownload}
+                className="px-3 py-1.5 rounded-full text-sm border border-white/20 glass hover:bg-white/10 text-white transition-all"
+            >
+                ⬇️ Download report (JSON)
+            </button>
         </div>
+    );
+};
+
+// "Download certificate" action for messages carrying a wipe plan or verification report
+const CertificateActions = ({ plan, report }) => {
+    const [certificate, setCertificate] = useState(null);
+    const [isIssuing, setIsIssuing] = useState(false);
+    const [issueError, setIssueError] = useState(null);
+    
+    const handleIssue = async () => {
+        let deviceId;
+        if (!plan?.device?.identifier && !report?.device?.serial && !report?.device?.model) {
+            deviceId = window.prompt('Device serial or asset ID for the certificate:');
+            if (!deviceId) return;
+        }
+        
+        setIsIssuing(true);
+        setIssueError(null);
+        try {
+            setCertificate(await api.createCertificate({ plan, reportId: report?.reportId, deviceId }));
+        } catch (err) {
+            setIssueError(err.message);
+        }
+        setIsIssuing(false);
+    };
+    
+    if (certificate) {
+        const { certId } = certificate.certificate;
+        return (
+            <div className="mt-3 p-3 rounded-lg success-message text-xs space-y-2">
+                <p>📜 Certificate <span className="font-mono">{certId}</span> signed ({certificate.signature.algorithm})</p>
+                <div className="flex space-x-3">
+                    <a href={api.certificateUrl(certId, 'json')} className="text-blue-400 hover:underline flex items-center space-x-1">
+                        <Icon name="download" className="w-4 h-4" /><span>JSON</span>
+                    </a>
+                    <a href={api.certificateUrl(certId, 'html')} target="_blank" className="text-blue-400 hover:underline">
+                        Printable / PDF
+                    </a>
+                </div>
+            </div>
+        );
+    }
+    
+    return (
+        <div className="mt-3">
+            <button
+                onClick={handleIssue}
+                disabled={isIssuing}
+                className="px-3 py-1.5 rounded-lg glass hover:bg-white/10 text-sm text-white flex items-center space-x-2 transition-all"
+            >
+                {isIssuing ? <div className="spinner"></div> : <Icon name="download" className="w-4 h-4" />}
+                <span>Download certificate</span>
+            </button>
+            {issueError && <p className="text-xs text-red-300 mt-1">{issueError}</p>}
+        </div>
+    );
+};
+
+// Numbered knowledge base sources behind the [n] markers in an answer
+const SourceFootnotes = ({ citations, openIndex, onToggle }) => (
+    <div className="mt-3 pt-2 border-t border-white/10">
+        <p className="text-xs font-semibold text-gray-400 mb-1">Sources</p>
+        <ol className="space-y-1">
+            {citations.map(c => (
+                <li key={c.index}>
+                    <button
+                        onClick={() => onToggle(c.index)}
+                        className={`w-full flex items-start gap-2 text-left text-xs transition-colors hover:text-white ${
+                            c.cited ? 'text-gray-200' : 'text-gray-500'
+                        }`}
+                    >
+                        <span className="text-blue-400">[{c.index}]</span>
+                        <span className="flex-1">
+                            {c.heading} <span className="text-gray-500">· {c.source}</span>
+                        </span>
+                        <span className="text-gray-500">{openIndex === c.index ? '▾' : '▸'}</span>
+                    </button>
+                    {openIndex === c.index && (
+                        <div className="mt-1 ml-6 p-2 rounded-lg glass text-xs text-gray-300">
+                            <p className="italic">“{c.snippet}”</p>
+                            <p className="text-gray-500 mt-1">
+                                Score {c.score}
+                                {c.position && ` · chunk ${c.position.chunk + 1}`}
+                                {!c.cited && ' · not cited in the answer'}
+                            </p>
+                        </div>
+                    )}
+                </li>
+            ))}
+        </ol>
     </div>
 );
 
+// Tool calls the agent made for an answer, collapsed by default
+const AgentTrace = ({ agent }) => {
+    const [open, setOpen] = useState(false);
+    const calls = agent.reasoning || [];
+    if (!calls.length) return null;
+    
+    return (
+        <div className="mt-3 pt-2 border-t border-white/10">
+            <button
+                onClick={() => setOpen(!open)}
+                className="text-xs font-semibold text-gray-400 hover:text-white transition-colors"
+            >
+                {open ? '▾' : '▸'} Show reasoning ({calls.length} tool call{calls.length === 1 ? '' : 's'})
+                {agent.stoppedEarly && <span className="ml-2 text-yellow-400">step limit reached</span>}
+            </button>
+            {open && (
+                <ol className="mt-2 space-y-2">
+                    {calls.map((call, i) => (
+                        <li key={i} className="p-2 rounded-lg glass text-xs text-gray-300">
+                            <p>
+                                <span className="text-gray-500">Step {call.step} ·</span>{' '}
+                                <span className="font-mono text-blue-400">{call.tool}</span>
+                                <span className="font-mono text-gray-400">({JSON.stringify(call.args)})</span>
+                                <span className="text-gray-500"> · {call.durationMs} ms</span>
+                            </p>
+                            {call.error ? (
+                                <p className="mt-1 text-red-400">Error: {call.error}</p>
+                            ) : (
+                                <pre className="mt-1 max-h-40 overflow-auto custom-scrollbar whitespace-pre-wrap text-gray-400">
+                                    {JSON.stringify(call.output, null, 2)}
+                                </pre>
+                            )}
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+};
+
 // Message Component
-const Message = ({ message, isUser }) => {
+const Message = ({ message, isUser, onChoice, onPlanWipe }) => {
     const [copied, setCopied] = useState(false);
     const [reaction, setReaction] = useState(null);
+    const [openCitation, setOpenCitation] = useState(null);
+    const choices = message.choices || message.metadata?.choices || [];
+    const report = message.report || message.metadata?.report;
+    const plan = message.plan || message.metadata?.plan;
+    const impact = message.impact || message.metadata?.impact;
+    const citations = message.citations || message.metadata?.citations || [];
+    const agent = message.agent || message.metadata?.agent;
+    const attachments = message.attachments || message.metadata?.attachments || [];
+    const degraded = message.degraded || message.metadata?.degraded;
+    
+    const toggleCitation = (index) => {
+        setOpenCitation(prev => prev === index ? null : index);
+    };
+    
+    // Footnote markers are plain HTML, so clicks are picked up here
+    const handleCitationClick = (e) => {
+        const marker = e.target.closest('[data-cite]');
+        if (!marker) return;
+        e.preventDefault();
+        toggleCitation(Number(marker.dataset.cite));
+    };
     
     const handleCopy = () => {
         navigator.clipboard.writeText(message.content);
@@ -394,15 +1001,80 @@ const Message = ({ message, isUser }) => {
                         ? 'bg-gradient-to-r from-indigo-600 to-purple-600 text-white shadow-lg glow-hover' 
                         : 'glass-dark text-gray-100'
                 }`}>
-                    {CONFIG.ENABLE_MARKDOWN ? (
+                    {attachments.length > 0 && (
+                        <div className="flex flex-wrap gap-2 mb-2">
+                            {attachments.map((file, index) => (
+                                <span
+                                    key={file.id || index}
+                                    className="inline-flex items-center px-2 py-1 rounded-md bg-white/15 text-xs"
+                                    title={file.type ? `${file.type.toUpperCase()} attachment` : 'Attachment'}
+                                >
+                                    {file.type === 'image' ? '🖼️' : '📎'} {file.filename}
+                                    {file.size !== undefined && <span className="ml-1 opacity-70">{formatFileSize(file.size)}</span>}
+                                </span>
+                            ))}
+                            {/* Device details read from a photo can start a pre-filled wipe plan */}
+                            {onPlanWipe && attachments.filter(file => file.prefill).map((file, index) => (
+                                <button
+                                    key={`plan-${file.id || index}`}
+                                    onClick={() => onPlanWipe(file.prefill)}
+                                    className="inline-flex items-center px-2 py-1 rounded-md bg-white/25 hover:bg-white/35 text-xs transition-colors"
+                                    title="Start /wipe with the device details read from this image"
+                                >
+                                    🧹 Plan wipe{file.prefill.identifier ? `: ${file.prefill.identifier}` : ''}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    
+                    {!isUser && degraded && (
+                        <div className="warning-message inline-block rounded-md px-2 py-1 mb-2 text-xs" title={degraded.message}>
+                            📚 Knowledge base only – the model was unavailable ({degraded.code.replace('_', ' ')})
+                        </div>
+                    )}
+                    
+                    {report ? (
+                        <VerificationReport report={report} />
+                    ) : impact ? (
+                        <ImpactCard report={impact} />
+                    ) : CONFIG.ENABLE_MARKDOWN ? (
                         <div 
                             className="markdown-content text-sm md:text-base leading-relaxed"
-                            dangerouslySetInnerHTML={{ __html: parseMarkdown(message.content) }}
+                            onClick={handleCitationClick}
+                            dangerouslySetInnerHTML={{ __html: parseMarkdown(message.content, citations) }}
                         />
                     ) : (
                         <p className="text-sm md:text-base leading-relaxed">{message.content}</p>
                     )}
                     
+                    {!isUser && citations.length > 0 && (
+                        <SourceFootnotes citations={citations} openIndex={openCitation} onToggle={toggleCitation} />
+                    )}
+                    
+                    {!isUser && agent && <AgentTrace agent={agent} />}
+                    
+                    {!isUser && (plan || report) && (
+                        <CertificateActions plan={plan} report={report} />
+                    )}
+                    
+                    {/* Choice buttons for guided workflows */}
+                    {choices.length > 0 && (
+                        <div className="flex flex-wrap gap-2 mt-3">
+                            {choices.map(choice => (
+                                <button
+                                    key={String(choice.value)}
+                                    onClick={() => onChoice(choice)}
+                                    disabled={!onChoice}
+                                    className={`px-3 py-1.5 rounded-full text-sm border border-white/20 transition-all ${
+                                        onChoice ? 'glass hover:bg-white/10 hover:scale-105 text-white' : 'opacity-40 cursor-default text-gray-300'
+                                    }`}
+                                >
+                                    {choice.label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    
                     {CONFIG.SHOW_TIMESTAMPS && message.timestamp && (
                         <p className="text-xs opacity-70 mt-1">
                             {new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
@@ -460,7 +1132,7 @@ const QuickReplies = ({ replies, onSelect }) => (
 );
 
 // Sidebar Component
-const Sidebar = ({ conversations, onSelectConversation, selectedId, isOpen, onClose }) => {
+const Sidebar = ({ conversations, onSelectConversation, onNewChat, selectedId, isOpen, onClose }) => {
     const [searchTerm, setSearchTerm] = useState('');
     
     const filteredConversations = conversations.filter(conv => 
@@ -495,7 +1167,10 @@ const Sidebar = ({ conversations, onSelectConversation, selectedId, isOpen, onCl
                     </div>
                     
                     {/* New Chat Button */}
-                    <button className="w-full mt-3 px-4 py-2 rounded-lg bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-medium hover:from-indigo-700 hover:to-purple-700 transition-all hover:scale-105 flex items-center justify-center space-x-2 glow">
+                    <button
+                        onClick={onNewChat}
+                        className="w-full mt-3 px-4 py-2 rounded-lg bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-medium hover:from-indigo-700 hover:to-purple-700 transition-all hover:scale-105 flex items-center justify-center space-x-2 glow"
+                    >
                         <Icon name="plus" className="w-5 h-5" />
                         <span>New Chat</span>
                     </button>
@@ -534,8 +1209,218 @@ const Sidebar = ({ conversations, onSelectConversation, selectedId, isOpen, onCl
     );
 };
 
+// Knowledge base admin: upload, inspect chunks, test rankings and retire documents
+const KnowledgeBaseAdmin = ({ onClose }) => {
+    const [hasToken, setHasToken] = useState(() => !!sessionStorage.getItem('kbAdminToken'));
+    const [tokenInput, setTokenInput] = useState('');
+    const [index, setIndex] = useState(null);
+    const [selected, setSelected] = useState(null);
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState(null);
+    const [error, setError] = useState(null);
+    const [isBusy, setIsBusy] = useState(false);
+    
+    // Run an admin request, asking for the token again if it is rejected
+    const run = async (request) => {
+        setIsBusy(true);
+        setError(null);
+        try {
+            return await request();
+        } catch (err) {
+            if (err.status === 401) {
+                sessionStorage.removeItem('kbAdminToken');
+                setHasToken(false);
+            }
+            setError(err.message);
+            return null;
+        } finally {
+            setIsBusy(false);
+        }
+    };
+    
+    const refresh = async () => {
+        const data = await run(() => api.listKbDocuments());
+        if (data) setIndex(data);
+    };
+    
+    useEffect(() => {
+        if (hasToken) refresh();
+    }, [hasToken]);
+    
+    const handleToken = (e) => {
+        e.preventDefault();
+        if (!tokenInput.trim()) return;
+        sessionStorage.setItem('kbAdminToken', tokenInput.trim());
+        setTokenInput('');
+        setHasToken(true);
+    };
+    
+    const handleUpload = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const doc = await run(() => api.uploadKbDocument(file));
+        if (doc) {
+            setSelected(doc);
+            refresh();
+        }
+    };
+    
+    const handleView = async (source) => {
+        const doc = await run(() => api.getKbDocument(source));
+        if (doc) setSelected(doc);
+    };
+    
+    const handleRetire = async (source) => {
+        if (!window.confirm(`Retire ${source}? It will no longer be used in answers.`)) return;
+        if (await run(() => api.retireKbDocument(source))) {
+            if (selected?.source === source) setSelected(null);
+            refresh();
+        }
+    };
+    
+    const handleSearch = async (e) => {
+        e.preventDefault();
+        if (!query.trim()) return;
+        const data = await run(() => api.searchKb(query));
+        if (data) setResults(data.results);
+    };
+    
+    return (
+        <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-4">
+            <div className="glass-dark rounded-2xl w-full max-w-5xl max-h-[90vh] overflow-y-auto custom-scrollbar p-6 text-white">
+                <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-xl font-bold">📚 Knowledge Base</h2>
+                    <button onClick={onClose} className="text-white/60 hover:text-white">
+                        <Icon name="close" className="w-6 h-6" />
+                    </button>
+                </div>
+                
+                {error && <p className="mb-4 p-3 rounded-lg error-message text-sm">{error}</p>}
+                
+                {!hasToken ? (
+                    <form onSubmit={handleToken} className="space-y-3 max-w-sm">
+                        <p className="text-sm text-gray-400">Enter the admin token configured as KB_ADMIN_TOKEN on the server.</p>
+                        <input
+                            type="password"
+                            value={tokenInput}
+                            onChange={(e) => setTokenInput(e.target.value)}
+                            placeholder="Admin token"
+                            className="w-full px-4 py-2 rounded-lg glass text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500"
+                        />
+                        <button type="submit" className="px-4 py-2 rounded-lg bg-gradient-to-r from-indigo-600 to-purple-600 text-sm">
+                            Unlock
+                        </button>
+                    </form>
+                ) : (
+                    <div className="space-y-6">
+                        <div className="flex items-center justify-between">
+                            <p className="text-sm text-gray-400">
+                                {index ? `${index.chunks} chunks from ${index.files.length} documents · ${index.embedder}` : 'Loading…'}
+                            </p>
+                            <label className="px-3 py-1.5 rounded-lg glass hover:bg-white/10 text-sm cursor-pointer flex items-center space-x-2">
+                                {isBusy ? <div className="spinner"></div> : <Icon name="plus" className="w-4 h-4" />}
+                                <span>Upload document</span>
+                                <input type="file" accept=".md,.markdown,.txt,.json" onChange={handleUpload} className="hidden" />
+                            </label>
+                        </div>
+                        
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                            {/* Documents */}
+                            <div className="space-y-2">
+                                <h3 className="text-sm font-semibold text-gray-400">Documents</h3>
+                                {index?.files.map(file => (
+                                    <div
+                                        key={file.source}
+                                        className={`p-3 rounded-lg glass flex items-center justify-between ${
+                                            selected?.source === file.source ? 'border-l-4 border-purple-500 bg-white/10' : ''
+                                        }`}
+                                    >
+                                        <div className="min-w-0">
+                                            <p className="text-sm font-medium truncate">{file.source}</p>
+                                            <p className="text-xs text-gray-400">
+                                                {file.chunks} chunks · {new Date(file.updatedAt).toLocaleDateString()}
+                                            </p>
+                                        </div>
+                                        <div className="flex space-x-2 text-xs">
+                                            <button onClick={() => handleView(file.source)} className="text-blue-400 hover:underline">View</button>
+                                            <button onClick={() => handleRetire(file.source)} className="text-red-300 hover:underline">Retire</button>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                            
+                            {/* Chunks of the selected document */}
+                            <div className="space-y-2">
+                                <h3 className="text-sm font-semibold text-gray-400">
+                                    {selected ? `Chunks in ${selected.source}` : 'Select a document to see its chunks'}
+                                </h3>
+                                {selected?.chunks.map(chunk => (
+                                    <div key={chunk.id} className="p-3 rounded-lg glass text-xs space-y-1">
+                                        <p className="text-gray-300 font-medium">{chunk.heading}</p>
+                                        <p className="text-gray-500">
+                                            Chunk {chunk.position.chunk + 1} · section {chunk.position.section + 1} · chars {chunk.position.start}–{chunk.position.end}
+                                        </p>
+                                        <p className="text-gray-400 whitespace-pre-wrap">{chunk.text}</p>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                        
+                        {/* Test a query */}
+                        <div className="space-y-3">
+                            <h3 className="text-sm font-semibold text-gray-400">Test a query</h3>
+                            <form onSubmit={handleSearch} className="flex space-x-2">
+                                <input
+                                    type="text"
+                                    value={query}
+                                    onChange={(e) => setQuery(e.target.value)}
+                                    placeholder="e.g. how do I wipe an NVMe drive?"
+                                    className="flex-1 px-4 py-2 rounded-lg glass text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500"
+                                />
+                                <button type="submit" className="px-4 py-2 rounded-lg glass hover:bg-white/10 text-sm">
+                                    <Icon name="search" className="w-4 h-4" />
+                                </button>
+                            </form>
+                            {results && (results.length === 0 ? (
+                                <p className="text-sm text-gray-400">No chunks matched.</p>
+                            ) : (
+                                <table className="w-full text-xs">
+                                    <thead className="text-gray-400 text-left">
+                                        <tr>
+                                            <th className="py-1">#</th>
+                                            <th>Chunk</th>
+                                            <th>Fused</th>
+                                            <th>BM25</th>
+                                            <th>Vector</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {results.map((r, i) => (
+                                            <tr key={r.id} className="border-t border-white/5 align-top">
+                                                <td className="py-2 pr-2">{i + 1}</td>
+                                                <td className="py-2 pr-2">
+                                                    <p className="text-gray-200">{r.heading}</p>
+                                                    <p className="text-gray-500">{r.id}</p>
+                                                </td>
+                                                <td className="py-2">{r.relevance}</td>
+                                                <td className="py-2">{r.lexicalScore ?? '—'}</td>
+                                                <td className="py-2">{r.vectorScore ?? '—'}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            ))}
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
 // Right Panel Component
-const RightPanel = ({ isOpen, onClose }) => {
+const RightPanel = ({ isOpen, onClose, personas, persona, onPersonaChange, onOpenKnowledgeBase }) => {
     const { isDark, toggleTheme } = useContext(ThemeContext);
     const { isConnected } = useContext(ChatContext);
     
@@ -607,6 +1492,28 @@ const RightPanel = ({ isOpen, onClose }) => {
                     </div>
                 </div>
                 
+                {/* Persona */}
+                {personas.length > 0 && (
+                    <div className="mb-6">
+                        <h3 className="text-sm font-semibold text-gray-400 mb-3">Persona</h3>
+                        <div className="space-y-2">
+                            {personas.map(p => (
+                                <button
+                                    key={p.id}
+                                    onClick={() => onPersonaChange(p.id)}
+                                    className={`w-full text-left p-3 rounded-lg glass transition-all hover:bg-white/5 ${
+                                        persona === p.id ? 'border-l-4 border-purple-500 bg-white/10' : ''
+                                    }`}
+                                >
+                                    <p className="text-sm text-white font-medium">{p.name}</p>
+                                    <p className="text-xs text-gray-400">{p.description}</p>
+                                </button>
+                            ))}
+                        </div>
+                        <p className="text-xs text-gray-500 mt-2">Applies to the current conversation</p>
+                    </div>
+                )}
+                
                 {/* Features */}
                 <div className="mb-6">
                     <h3 className="text-sm font-semibold text-gray-400 mb-3">Features</h3>
@@ -617,9 +1524,13 @@ const RightPanel = ({ isOpen, onClose }) => {
                         <div className="p-3 rounded-lg glass">
                             <p className="text-sm text-white">🔗 LangChain Processing</p>
                         </div>
-                        <div className="p-3 rounded-lg glass">
+                        <button
+                            onClick={onOpenKnowledgeBase}
+                            className="w-full text-left p-3 rounded-lg glass transition-all hover:bg-white/5"
+                        >
                             <p className="text-sm text-white">📚 RAG Knowledge Base</p>
-                        </div>
+                            <p className="text-xs text-gray-400">Manage documents</p>
+                        </button>
                         <div className="p-3 rounded-lg glass">
                             <p className="text-sm text-white">⛓️ Blockchain Verification</p>
                         </div>
@@ -631,8 +1542,8 @@ const RightPanel = ({ isOpen, onClose }) => {
 };
 
 // Composer Component
-const Composer = ({ onSend, disabled }) => {
-    const [message, setMessage] = useState('');
+const Composer = ({ onSend, disabled, initialDraft = '', onDraftChange }) => {
+    const [message, setMessage] = useState(initialDraft);
     const [showSlashMenu, setShowSlashMenu] = useState(false);
     const [isLoading, setIsLoading] = useState(false);
     const [selectedFile, setSelectedFile] = useState(null);
@@ -642,6 +1553,9 @@ const Composer = ({ onSend, disabled }) => {
     const slashCommands = [
         { command: '/summarize', description: 'Get a summary of the conversation' },
         { command: '/wipe', description: 'Start data wiping process' },
+        { command: '/estimate', description: 'Estimate wipe time, e.g. /estimate 2 TB nvme dual-phase' },
+        { command: '/impact', description: 'CO₂ and e-waste report for devices or an attached CSV' },
+        { command: '/inventory', description: 'Import a device CSV/XLSX, or ask about it' },
         { command: '/verify', description: 'Verify wiping completion' },
         { command: '/blockchain', description: 'Check blockchain status' },
         { command: '/rag', description: 'Query knowledge base' },
@@ -654,15 +1568,16 @@ const Composer = ({ onSend, disabled }) => {
         } else {
             setShowSlashMenu(false);
         }
+        onDraftChange?.(message);
     }, [message]);
     
     const handleSend = async () => {
-        if (message.trim() && !disabled && !isLoading) {
+        if ((message.trim() || selectedFile) && !disabled && !isLoading) {
             setIsLoading(true);
             
-            // Include file if selected
+            // Include file if selected; a file on its own asks for a review of it
             const messageData = {
-                text: message.trim(),
+                text: message.trim() || `Review the attached file ${selectedFile.name}.`,
                 file: selectedFile
             };
             
@@ -751,7 +1666,7 @@ const Composer = ({ onSend, disabled }) => {
                             type="file"
                             onChange={handleFileSelect}
                             className="hidden"
-                            accept=".txt,.pdf,.csv,.json,.log"
+                            accept=".txt,.md,.pdf,.csv,.xlsx,.json,.log,.png,.jpg,.jpeg,.webp"
                         />
                         <button 
                             onClick={() => fileInputRef.current?.click()}
@@ -786,7 +1701,7 @@ const Composer = ({ onSend, disabled }) => {
                 {/* Send Button */}
                 <button
                     onClick={handleSend}
-                    disabled={!message.trim() || disabled || isLoading}
+                    disabled={(!message.trim() && !selectedFile) || disabled || isLoading}
                     className={`h-12 w-12 flex items-center justify-center rounded-lg transition-all ${
                         message.trim() && !disabled && !isLoading
                             ? 'bg-gradient-to-r from-indigo-600 to-purple-600 text-white hover:from-indigo-700 hover:to-purple-700 glow'
@@ -804,12 +1719,10 @@ const Composer = ({ onSend, disabled }) => {
     );
 };
 
-// Main Chat Window Component
-const ChatWindow = ({ conversationId }) => {
-    const [messages, setMessages] = useState([
-        { 
-            id: 1, 
-            content: `Welcome to Sayonara AI! 🚀 
+// Greeting shown at the top of every conversation
+const createWelcomeMessage = () => ({ 
+    id: 'welcome', 
+    content: `Welcome to Sayonara AI! 🚀 
             
 I'm your intelligent assistant powered by **Gemini AI** with **LangChain** and **RAG** integration. I'm here to help you with secure data wiping and IT asset recycling.
 
@@ -820,11 +1733,36 @@ Available commands:
 - \`/rag\` - Query knowledge base
 
 How can I assist you today?`, 
-            isUser: false, 
-            timestamp: new Date().toISOString() 
-        }
-    ]);
-    const [isTyping, setIsTyping] = useState(false);
+    isUser: false, 
+    timestamp: new Date().toISOString() 
+});
+
+// Convert a message record from the conversation store into UI shape
+const fromStoredMessage = (m) => ({
+    id: m.id,
+    content: m.content,
+    isUser: m.role === 'user',
+    timestamp: m.timestamp,
+    metadata: m.metadata
+});
+
+// Gemini-formatted history from UI messages; the local welcome message was never part of the conversation
+const toChatHistory = (list) => list.filter(m => m.id !== 'welcome').map(m => ({
+    role: m.isUser ? "user" : "model",
+    parts: [{ text: m.content }]
+}));
+
+// Main Chat Window Component
+const ChatWindow = ({ conversationId, onConversationActivity }) => {
+    // Messages, typing state and drafts are all kept per conversation
+    const [messagesByConversation, setMessagesByConversation] = useState({});
+    const [typingIn, setTypingIn] = useState({});
+    const [wizardIn, setWizardIn] = useState({});
+    // Agent mode answers through the tool-calling agent instead of the streaming chat
+    const [agentMode, setAgentMode] = useState(() => localStorage.getItem('agentMode') === 'on');
+    const draftsRef = useRef({});
+    const messages = messagesByConversation[conversationId] || [];
+    const isTyping = !!typingIn[conversationId];
     const [error, setError] = useState(null);
     const [quickReplies] = useState([
         "Tell me about NIST 800-88 standards",
@@ -841,18 +1779,102 @@ How can I assist you today?`,
     
     useEffect(scrollToBottom, [messages]);
     
+    // Load a conversation's history the first time it is opened
+    useEffect(() => {
+        setError(null);
+        if (messagesByConversation[conversationId]) return;
+        
+        setMessagesByConversation(prev => ({ ...prev, [conversationId]: [createWelcomeMessage()] }));
+        api.getConversation(conversationId).then(conv => {
+            setMessagesByConversation(prev => {
+                // Keep anything sent while the history was loading
+                const current = prev[conversationId] || [];
+                if (current.length > 1) return prev;
+                return { ...prev, [conversationId]: [current[0], ...conv.messages.map(fromStoredMessage)] };
+            });
+        }).catch(() => {
+            // Not stored yet: a brand new conversation starts with just the welcome message
+        });
+        
+        // Resume a /wipe plan that was in progress before a reload
+        api.getWipeState(conversationId).then(state => {
+            setWizardIn(prev => ({ ...prev, [conversationId]: state.status === 'active' }));
+        }).catch(() => {});
+    }, [conversationId]);
+    
+    const updateMessages = (id, update) => {
+        setMessagesByConversation(prev => ({
+            ...prev,
+            [id]: update(prev[id] || [createWelcomeMessage()])
+        }));
+    };
+    
+    const setTyping = (id, value) => {
+        setTypingIn(prev => ({ ...prev, [id]: value }));
+    };
+    
+    const toggleAgentMode = () => {
+        const next = !agentMode;
+        setAgentMode(next);
+        localStorage.setItem('agentMode', next ? 'on' : 'off');
+    };
+    
+    // Show a /wipe wizard step and remember whether the wizard is still running
+    const showWizardReply = (convId, reply) => {
+        const wizardMessage = {
+            id: Date.now(),
+            content: reply.text,
+            choices: reply.choices,
+            plan: reply.plan,
+            isUser: false,
+            timestamp: new Date().toISOString()
+        };
+        updateMessages(convId, prev => [...prev, wizardMessage]);
+        onConversationActivity?.(convId, wizardMessage);
+        setWizardIn(prev => ({ ...prev, [convId]: reply.status === 'active' }));
+    };
+    
+    const handleWizardInput = async (convId, answer, label) => {
+        setTyping(convId, true);
+        try {
+            showWizardReply(convId, await api.answerWipe(convId, answer, label));
+        } catch (err) {
+            setError(err.message);
+            setWizardIn(prev => ({ ...prev, [convId]: false }));
+        }
+        setTyping(convId, false);
+    };
+    
+    // Start /wipe with device answers read from an attached photo
+    const handlePlanWipe = async (prefill) => {
+        const convId = conversationId;
+        setError(null);
+        setTyping(convId, true);
+        try {
+            showWizardReply(convId, await api.startWipe(convId, prefill));
+        } catch (err) {
+            setError('Could not start the wipe workflow. Please check your connection.');
+        }
+        setTyping(convId, false);
+    };
+    
     const handleSendMessage = async (messageData) => {
         const content = typeof messageData === 'string' ? messageData : messageData.text;
+        const file = typeof messageData === 'string' ? null : messageData.file;
+        // Replies land in the conversation they were asked in, even if the user switches away
+        const convId = conversationId;
         
         // Add user message
         const userMessage = {
             id: Date.now(),
             content,
+            attachments: file ? [{ filename: file.name, size: file.size }] : undefined,
             isUser: true,
             timestamp: new Date().toISOString()
         };
-        setMessages(prev => [...prev, userMessage]);
+        updateMessages(convId, prev => [...prev, userMessage]);
         addMessage(userMessage);
+        onConversationActivity?.(convId, userMessage);
         
         // Clear any previous errors
         setError(null);
@@ -862,38 +1884,237 @@ How can I assist you today?`,
             const command = content.split(' ')[0];
             switch(command) {
                 case '/clear':
-                    setMessages([messages[0]]);
+                    updateMessages(convId, prev => [prev[0]]);
                     return;
                 case '/rag':
                     // Query RAG system
-                    setIsTyping(true);
+                    setTyping(convId, true);
                     try {
                         const ragResponse = await api.queryRAG(content.substring(5));
-                        setMessages(prev => [...prev, {
+                        const ragMessage = {
                             id: Date.now(),
                             content: ragResponse?.answer || 'RAG query completed.',
+                            citations: ragResponse?.sources || [],
                             isUser: false,
                             timestamp: new Date().toISOString()
-                        }]);
+                        };
+                        updateMessages(convId, prev => [...prev, ragMessage]);
+                        onConversationActivity?.(convId, ragMessage);
                     } catch (err) {
                         setError('RAG query failed. Please check your connection.');
                     }
-                    setIsTyping(false);
+                    setTyping(convId, false);
+                    return;
+                case '/verify': {
+                    const log = content.substring('/verify'.length).trim();
+                    if (!log && !file) {
+                        setError('Paste a wipe log after /verify or attach a .log, .json or .csv file.');
+                        return;
+                    }
+                    setTyping(convId, true);
+                    try {
+                        const { report, text } = await api.verifyWipeLog(convId, { log, file });
+                        const reportMessage = {
+                            id: Date.now(),
+                            content: text,
+                            report,
+                            isUser: false,
+                            timestamp: new Date().toISOString()
+                        };
+                        updateMessages(convId, prev => [...prev, reportMessage]);
+                        onConversationActivity?.(convId, reportMessage);
+                    } catch (err) {
+                        setError(`Verification failed: ${err.message}`);
+                    }
+                    setTyping(convId, false);
+                    return;
+                }
+                case '/estimate': {
+                    const request = content.substring('/estimate'.length).trim();
+                    if (!request) {
+                        setError('Describe the device after /estimate, e.g. /estimate 2 TB nvme dual-phase.');
+                        return;
+                    }
+                    setTyping(convId, true);
+                    try {
+                        const { text, estimate } = await api.estimateWipe(convId, request);
+                        const estimateMessage = {
+                            id: Date.now(),
+                            content: text,
+                            estimate,
+                            isUser: false,
+                            timestamp: new Date().toISOString()
+                        };
+                        updateMessages(convId, prev => [...prev, estimateMessage]);
+                        onConversationActivity?.(convId, estimateMessage);
+                    } catch (err) {
+                        setError(`Estimate failed: ${err.message}`);
+                    }
+                    setTyping(convId, false);
+                    return;
+                }
+                case '/impact': {
+                    const request = content.substring('/impact'.length).trim();
+                    if (!request && !file) {
+                        setError('List devices after /impact (e.g. /impact 40 laptops, 10 phones recycled) or attach an inventory CSV.');
+                        return;
+                    }
+                    setTyping(convId, true);
+                    try {
+                        const { text, report } = await api.calculateImpact(convId, { text: request, file });
+                        const impactMessage = {
+                            id: Date.now(),
+                            content: text,
+                            impact: report,
+                            isUser: false,
+                            timestamp: new Date().toISOString()
+                        };
+                        updateMessages(convId, prev => [...prev, impactMessage]);
+                        onConversationActivity?.(convId, impactMessage);
+                    } catch (err) {
+                        setError(`Impact report failed: ${err.message}`);
+                    }
+                    setTyping(convId, false);
+                    return;
+                }
+                case '/inventory': {
+                    // With a file: import it ("/inventory append" keeps the devices already imported).
+                    // Without one: answer the question, or give an overview when there is none.
+                    const question = content.substring('/inventory'.length).trim();
+                    setTyping(convId, true);
+                    try {
+                        const { text } = file
+                            ? await api.importInventory(convId, file, /^append\b/i.test(question) ? 'append' : 'replace')
+                            : await api.queryInventory(convId, question);
+                        const inventoryMessage = {
+                            id: Date.now(),
+                            content: text,
+                            isUser: false,
+                            timestamp: new Date().toISOString()
+                        };
+                        updateMessages(convId, prev => [...prev, inventoryMessage]);
+                        onConversationActivity?.(convId, inventoryMessage);
+                    } catch (err) {
+                        setError(`Inventory ${file ? 'import' : 'query'} failed: ${err.message}`);
+                    }
+                    setTyping(convId, false);
+                    return;
+                }
+                case '/summarize':
+                    setTyping(convId, true);
+                    try {
+                        const { text, summary } = await api.summarizeConversation(convId, toChatHistory(messages));
+                        const summaryMessage = {
+                            id: Date.now(),
+                            content: text,
+                            summary,
+                            isUser: false,
+                            timestamp: new Date().toISOString()
+                        };
+                        updateMessages(convId, prev => [...prev, summaryMessage]);
+                        onConversationActivity?.(convId, summaryMessage);
+                    } catch (err) {
+                        setError(`Summary failed: ${err.message}`);
+                    }
+                    setTyping(convId, false);
+                    return;
+                case '/blockchain': {
+                    const key = content.substring('/blockchain'.length).trim();
+                    setTyping(convId, true);
+                    try {
+                        let text;
+                        if (key) {
+                            text = (await api.lookupCertificate(key)).text;
+                        } else {
+                            const status = await api.getLedgerStatus();
+                            text = `### ⛓️ Ledger status\n\n**Adapter:** ${status.adapter} (${status.network})\n**Certificates recorded:** ${status.length}\n**Chain head:** \`${status.head}\`\n\nRun \`/blockchain <certificate id or hash>\` to verify a certificate.`;
+                        }
+                        const ledgerMessage = {
+                            id: Date.now(),
+                            content: text,
+                            isUser: false,
+                            timestamp: new Date().toISOString()
+                        };
+                        updateMessages(convId, prev => [...prev, ledgerMessage]);
+                        onConversationActivity?.(convId, ledgerMessage);
+                    } catch (err) {
+                        setError(`Blockchain lookup failed: ${err.message}`);
+                    }
+                    setTyping(convId, false);
+                    return;
+                }
+                case '/wipe':
+                    if (content.trim() === '/wipe cancel') {
+                        await api.cancelWipe(convId).catch(() => {});
+                        setWizardIn(prev => ({ ...prev, [convId]: false }));
+                        return;
+                    }
+                    setTyping(convId, true);
+                    try {
+                        showWizardReply(convId, await api.startWipe(convId));
+                    } catch (err) {
+                        setError('Could not start the wipe workflow. Please check your connection.');
+                    }
+                    setTyping(convId, false);
                     return;
             }
         }
         
+        // While a /wipe plan is in progress, replies answer the current question
+        if (wizardIn[convId]) {
+            const choice = messageData.choice;
+            await handleWizardInput(convId, choice ? choice.value : content, content);
+            return;
+        }
+        
         // Show typing indicator
-        setIsTyping(true);
+        setTyping(convId, true);
+        
+        // Upload the attachment first; the server adds its content to this turn and later ones
+        const attachments = [];
+        if (file) {
+            try {
+                const { attachment } = await api.uploadFile(file, { conversationId: convId });
+                attachments.push(attachment.id);
+                updateMessages(convId, prev => prev.map(m => m.id === userMessage.id ? { ...m, attachments: [attachment] } : m));
+            } catch (err) {
+                setError(`Could not attach ${file.name}: ${err.message}`);
+                setTyping(convId, false);
+                return;
+            }
+        }
+        
+        if (agentMode) {
+            try {
+                const result = await api.queryLangChain(content, {
+                    conversationId: convId,
+                    chatHistory: toChatHistory(messages),
+                    attachments
+                });
+                const agentMessage = {
+                    id: result.messageId || Date.now(),
+                    content: result.answer,
+                    agent: result.metadata?.agent || { reasoning: result.reasoning, sources: result.sources },
+                    isUser: false,
+                    timestamp: new Date().toISOString(),
+                    metadata: result.metadata
+                };
+                updateMessages(convId, prev => [...prev, agentMessage]);
+                addMessage(agentMessage);
+                onConversationActivity?.(convId, agentMessage);
+            } catch (err) {
+                console.error('LangChain error:', err);
+                setError(describeError(err, 'The agent could not answer. Please check your connection and API configuration.'));
+            }
+            setTyping(convId, false);
+            return;
+        }
         
         try {
             // Build chat history for context
-            const chatHistory = messages.map(m => ({
-                role: m.isUser ? "user" : "model",
-                parts: [{ text: m.content }]
-            }));
+            const chatHistory = toChatHistory(messages);
             
-            // Stream the response
+            // Stream the response, appending each delta to the assistant message
             const tempId = Date.now() + 1;
             let streamedContent = '';
             
@@ -901,46 +2122,51 @@ How can I assist you today?`,
                 conversationId, 
                 content, 
                 chatHistory,
-                (chunk, done) => {
-                    streamedContent = chunk;
-                    if (!done) {
-                        setMessages(prev => {
-                            const existing = prev.find(m => m.id === tempId);
-                            if (existing) {
-                                return prev.map(m => m.id === tempId ? { ...m, content: chunk } : m);
-                            } else {
-                                return [...prev, { 
-                                    id: tempId, 
-                                    content: chunk, 
-                                    isUser: false, 
-                                    timestamp: new Date().toISOString() 
-                                }];
-                            }
-                        });
-                    } else {
-                        setIsTyping(false);
+                (delta, done, metadata) => {
+                    if (delta) {
+                        const isFirst = !streamedContent;
+                        streamedContent += delta;
+                        updateMessages(convId, prev => isFirst
+                            ? [...prev, { 
+                                id: tempId, 
+                                content: delta, 
+                                isUser: false, 
+                                timestamp: new Date().toISOString() 
+                            }]
+                            : prev.map(m => m.id === tempId ? { ...m, content: m.content + delta } : m)
+                        );
+                    }
+                    if (done) {
+                        setTyping(convId, false);
                         const finalMessage = {
                             id: tempId,
-                            content: chunk,
+                            content: streamedContent,
                             isUser: false,
-                            timestamp: new Date().toISOString()
+                            timestamp: new Date().toISOString(),
+                            metadata
                         };
+                        // Citations and the degraded notice arrive with the metadata, after the text
+                        updateMessages(convId, prev => prev.some(m => m.id === tempId)
+                            ? prev.map(m => m.id === tempId ? { ...m, metadata } : m)
+                            : [...prev, finalMessage]);
                         addMessage(finalMessage);
+                        onConversationActivity?.(convId, finalMessage);
                     }
                 },
                 (error) => {
                     console.error('Stream error:', error);
-                    setError('Failed to get response. Please check your API configuration.');
-                    setIsTyping(false);
-                }
+                    setError(describeError(error, 'Failed to get response. Please check your API configuration.'));
+                    setTyping(convId, false);
+                },
+                attachments
             );
             
             // Store cleanup function if needed
             return cleanup;
         } catch (err) {
             console.error('Error sending message:', err);
-            setError('Failed to send message. Please check your connection and API configuration.');
-            setIsTyping(false);
+            setError(describeError(err, 'Failed to send message. Please check your connection and API configuration.'));
+            setTyping(convId, false);
         }
     };
     
@@ -968,20 +2194,41 @@ How can I assist you today?`,
                             </p>
                         </div>
                     </div>
-                    <button 
-                        onClick={() => window.location.reload()}
-                        className="p-2 rounded-lg glass hover:bg-white/10 text-gray-400 hover:text-white transition-all"
-                        title="Refresh"
-                    >
-                        <Icon name="refresh" className="w-5 h-5" />
-                    </button>
+                    <div className="flex items-center space-x-2">
+                        <button
+                            onClick={toggleAgentMode}
+                            className={`px-3 py-1.5 rounded-full text-xs border transition-all ${
+                                agentMode
+                                    ? 'bg-gradient-to-r from-indigo-600 to-purple-600 border-transparent text-white'
+                                    : 'glass border-white/20 text-gray-400 hover:text-white hover:bg-white/10'
+                            }`}
+                            title="Answer with the tool-calling agent (knowledge base, wipe-time estimates, certificates, CO₂)"
+                        >
+                            🛠️ Agent mode {agentMode ? 'on' : 'off'}
+                        </button>
+                        <button 
+                            onClick={() => window.location.reload()}
+                            className="p-2 rounded-lg glass hover:bg-white/10 text-gray-400 hover:text-white transition-all"
+                            title="Refresh"
+                        >
+                            <Icon name="refresh" className="w-5 h-5" />
+                        </button>
+                    </div>
                 </div>
             </div>
             
             {/* Messages Area */}
             <div className="flex-1 overflow-y-auto custom-scrollbar p-4 space-y-4">
-                {messages.map(message => (
-                    <Message key={message.id} message={message} isUser={message.isUser} />
+                {messages.map((message, index) => (
+                    <Message
+                        key={message.id}
+                        message={message}
+                        isUser={message.isUser}
+                        onChoice={wizardIn[conversationId] && !isTyping && index === messages.length - 1
+                            ? (choice) => handleSendMessage({ text: choice.label, choice })
+                            : null}
+                        onPlanWipe={isTyping ? null : handlePlanWipe}
+                    />
                 ))}
                 {isTyping && (
                     <div className="flex justify-start">
@@ -989,7 +2236,7 @@ How can I assist you today?`,
                     </div>
                 )}
                 {error && (
-                    <ErrorMessage message={error} onRetry={handleRetry} />
+                    <ErrorMessage error={error} onRetry={handleRetry} />
                 )}
                 <div ref={messagesEndRef} />
             </div>
@@ -1000,7 +2247,13 @@ How can I assist you today?`,
             )}
             
             {/* Composer */}
-            <Composer onSend={handleSendMessage} disabled={isTyping} />
+            <Composer
+                key={conversationId}
+                onSend={handleSendMessage}
+                disabled={isTyping}
+                initialDraft={draftsRef.current[conversationId] || ''}
+                onDraftChange={(text) => { draftsRef.current[conversationId] = text; }}
+            />
         </div>
     );
 };
@@ -1008,16 +2261,85 @@ How can I assist you today?`,
 // Main App Component
 const App = () => {
     const [conversations, setConversations] = useState([]);
-    const [selectedConversation, setSelectedConversation] = useState('c1');
+    const [selectedConversation, setSelectedConversation] = useState(() => 'c' + Date.now());
     const [sidebarOpen, setSidebarOpen] = useState(false);
     const [rightPanelOpen, setRightPanelOpen] = useState(true);
+    const [personas, setPersonas] = useState([]);
+    const [defaultPersona, setDefaultPersona] = useState(null);
+    const [kbAdminOpen, setKbAdminOpen] = useState(false);
+    const selectedRef = useRef(selectedConversation);
+    
+    const currentPersona = conversations.find(c => c.id === selectedConversation)?.persona || defaultPersona;
+    
+    useEffect(() => {
+        selectedRef.current = selectedConversation;
+    }, [selectedConversation]);
+    
+    const selectConversation = (id) => {
+        setSelectedConversation(id);
+        setConversations(prev => prev.map(c => c.id === id ? { ...c, unread: 0 } : c));
+    };
+    
+    const createNewChat = () => {
+        api.createConversation().then(newConv => {
+            setConversations(prev => [newConv, ...prev]);
+            setSelectedConversation(newConv.id);
+        }).catch(err => {
+            console.error('Failed to create conversation:', err);
+        });
+    };
+    
+    // Save the persona on the server so every later turn uses it. A chat with no messages
+    // yet is created first, since the server only sets personas on existing conversations.
+    const changePersona = (personaId) => {
+        const id = selectedConversation;
+        const saved = conversations.some(c => c.id === id)
+            ? Promise.resolve()
+            : api.createConversation(undefined, id);
+        saved.then(() => api.setConversationPersona(id, personaId)).then(updated => {
+            setConversations(prev => prev.some(c => c.id === id)
+                ? prev.map(c => c.id === id ? { ...c, persona: updated.persona } : c)
+                : [updated, ...prev]);
+        }).catch(err => {
+            console.error('Failed to change persona:', err);
+        });
+    };
+    
+    // Keep the sidebar entry in sync as messages arrive
+    const handleConversationActivity = (id, message) => {
+        setConversations(prev => {
+            const existing = prev.find(c => c.id === id) || {
+                id,
+                title: message.content.length > 40 ? message.content.substring(0, 40) + '…' : message.content,
+                unread: 0
+            };
+            const isBackground = !message.isUser && id !== selectedRef.current;
+            const updated = {
+                ...existing,
+                lastMessage: message.content.substring(0, 100),
+                updatedAt: message.timestamp,
+                unread: isBackground ? existing.unread + 1 : existing.unread
+            };
+            return [updated, ...prev.filter(c => c.id !== id)];
+        });
+    };
     
     useEffect(() => {
         // Load conversations
-        api.getConversations().then(setConversations).catch(err => {
+        api.getConversations().then(list => {
+            setConversations(list);
+            if (list.length > 0) setSelectedConversation(list[0].id);
+        }).catch(err => {
             console.error('Failed to load conversations:', err);
         });
         
+        api.getPersonas().then(data => {
+            setPersonas(data.personas);
+            setDefaultPersona(data.default);
+        }).catch(err => {
+            console.error('Failed to load personas:', err);
+        });
+        
         // Log configuration on mount
         if (CONFIG.DEBUG) {
             console.log('Sayonara Chatbot initialized');
@@ -1039,15 +2361,7 @@ const App = () => {
             if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
                 e.preventDefault();
                 // Create new chat
-                const newConv = {
-                    id: 'c' + Date.now(),
-                    title: 'New Conversation',
-                    lastMessage: '',
-                    unread: 0,
-                    updatedAt: new Date().toISOString()
-                };
-                setConversations(prev => [newConv, ...prev]);
-                setSelectedConversation(newConv.id);
+                createNewChat();
             }
             if (e.key === 'Escape') {
                 setSidebarOpen(false);
@@ -1083,22 +2397,32 @@ const App = () => {
                     <Sidebar
                         conversations={conversations}
                         selectedId={selectedConversation}
-                        onSelectConversation={setSelectedConversation}
+                        onSelectConversation={selectConversation}
+                        onNewChat={createNewChat}
                         isOpen={sidebarOpen}
                         onClose={() => setSidebarOpen(false)}
                     />
                     
                     {/* Main Chat Area */}
                     <div className="flex-1 flex">
-                        <ChatWindow conversationId={selectedConversation} />
+                        <ChatWindow
+                            conversationId={selectedConversation}
+                            onConversationActivity={handleConversationActivity}
+                        />
                     </div>
                     
                     {/* Right Panel */}
                     <RightPanel
                         isOpen={rightPanelOpen}
                         onClose={() => setRightPanelOpen(false)}
+                        personas={personas}
+                        persona={currentPersona}
+                        onPersonaChange={changePersona}
+                        onOpenKnowledgeBase={() => setKbAdminOpen(true)}
                     />
                     
+                    {kbAdminOpen && <KnowledgeBaseAdmin onClose={() => setKbAdminOpen(false)} />}
+                    
                     {/* Overlay for mobile */}
                     {sidebarOpen && (
                         <div
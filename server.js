@@ -7,8 +7,30 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const multer = require('multer');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs').promises;
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { ConversationStore, isConversationId } = require('./lib/conversation-store');
+const wipeWizard = require('./lib/wipe-wizard');
+const wipeEstimator = require('./lib/wipe-estimator');
+const { ImpactCalculator, parseImpactCsv, parseImpactRequest, formatImpactReport } = require('./lib/impact');
+const { verifyWipeLog, formatVerificationReport } = require('./lib/wipe-verifier');
+const { createLedger, formatLedgerVerification } = require('./lib/ledger');
+const { CertificateAuthority } = require('./lib/certificates');
+const summarizer = require('./lib/summarizer');
+const fileIngest = require('./lib/file-ingest');
+const { AttachmentStore, buildAttachmentPrompt } = require('./lib/attachments');
+const deviceExtraction = require('./lib/device-extraction');
+const inventory = require('./lib/inventory');
+const { ContextManager } = require('./lib/context-manager');
+const { PersonaRegistry, DEFAULT_PERSONA } = require('./lib/personas');
+const { KnowledgeBase } = require('./lib/knowledge-base');
+const { VectorIndex } = require('./lib/vector-index');
+const { createEmbedder, LocalEmbedder } = require('./lib/embeddings');
+const { buildCitedPrompt, buildCitations, buildExtractiveAnswer } = require('./lib/citations');
+const { createProviders } = require('./lib/llm-providers');
+const { ResilientProvider, ModelError } = require('./lib/resilience');
+const { runAgent } = require('./lib/agent');
+const { createAgentTools } = require('./lib/agent-tools');
 
 // ============================================================================
 // CONFIGURATION
@@ -17,21 +39,59 @@ const { GoogleGenerativeAI } = require('@google/generative-ai');
 const app = express();
 const PORT = process.env.PORT || 3001;
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const LLM_PROVIDER = process.env.LLM_PROVIDER || (GEMINI_API_KEY ? 'gemini' : 'stub'); // 'gemini', 'openai' or 'stub'
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const KB_DIR = process.env.KB_DIR || path.join(__dirname, 'knowledge-base');
+const KB_ADMIN_TOKEN = process.env.KB_ADMIN_TOKEN;
+const EMBEDDINGS_BACKEND = process.env.EMBEDDINGS_BACKEND || (GEMINI_API_KEY ? 'gemini' : 'local'); // 'gemini' or 'local'
+const LEDGER_ADAPTER = process.env.LEDGER_ADAPTER || 'local'; // 'local' or 'evm'
+const SUMMARY_TOKEN_BUDGET = parseInt(process.env.SUMMARY_TOKEN_BUDGET, 10) || 6000;
+const CONTEXT_TOKEN_BUDGET = parseInt(process.env.CONTEXT_TOKEN_BUDGET, 10) || 8000;
+const AGENT_MAX_STEPS = parseInt(process.env.AGENT_MAX_STEPS, 10) || 5;
+const ATTACHMENT_CONTEXT_CHARS = parseInt(process.env.ATTACHMENT_CONTEXT_CHARS, 10) || 30000;
+const ATTACHMENT_MAX_IMAGES = parseInt(process.env.ATTACHMENT_MAX_IMAGES, 10) || 3;
+const MODEL_TIMEOUT_MS = parseInt(process.env.MODEL_TIMEOUT_MS, 10) || 30000;
+const MODEL_RETRIES = process.env.MODEL_RETRIES ? parseInt(process.env.MODEL_RETRIES, 10) : 2;
+const MODEL_BREAKER_THRESHOLD = parseInt(process.env.MODEL_BREAKER_THRESHOLD, 10) || 5;
+const MODEL_BREAKER_COOLDOWN_MS = parseInt(process.env.MODEL_BREAKER_COOLDOWN_MS, 10) || 30000;
 
 if (!GEMINI_API_KEY) {
     console.warn('⚠️  WARNING: GEMINI_API_KEY not found in environment variables!');
     console.warn('Please create a .env file with: GEMINI_API_KEY=your_api_key_here');
 }
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY || 'demo-key');
+// Language model providers; requests pick one with config.provider / config.model.
+// Each gets a timeout, retries on 429/5xx and its own circuit breakers (chat and embeddings).
+const modelProviders = createProviders({
+    gemini: {
+        apiKey: GEMINI_API_KEY,
+        model: process.env.GEMINI_MODEL || undefined,
+        embeddingModel: process.env.EMBEDDINGS_MODEL || undefined
+    },
+    openai: {
+        baseUrl: process.env.OPENAI_BASE_URL || undefined,
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL || undefined,
+        embeddingModel: process.env.OPENAI_EMBEDDINGS_MODEL || undefined
+    },
+    stub: { scriptPath: process.env.STUB_SCRIPT || null }
+});
+const providers = Object.fromEntries(Object.entries(modelProviders).map(([name, provider]) => [name, new ResilientProvider(provider, {
+    timeoutMs: MODEL_TIMEOUT_MS,
+    retries: MODEL_RETRIES,
+    breaker: { threshold: MODEL_BREAKER_THRESHOLD, cooldownMs: MODEL_BREAKER_COOLDOWN_MS }
+})]));
+
+if (!providers[LLM_PROVIDER]) {
+    throw new Error(`LLM_PROVIDER must be one of ${Object.keys(providers).join(', ')} (got "${LLM_PROVIDER}")`);
+}
 
 // Configure multer for file uploads
 const upload = multer({
     dest: 'uploads/',
     limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
     fileFilter: (req, file, cb) => {
-        const allowedTypes = /txt|pdf|csv|json|log|md/;
+        const allowedTypes = /txt|pdf|csv|xlsx|json|log|md|png|jpe?g|webp/;
         const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
         if (extname) {
             return cb(null, true);
@@ -47,8 +107,8 @@ const upload = multer({
 
 app.use(cors({
     origin: '*', // In production, specify your frontend URL
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'X-API-Key', 'X-Session-Id']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Session-Id']
 }));
 
 app.use(bodyParser.json({ limit: '10mb' }));
@@ -61,64 +121,32 @@ app.use(express.static('public'));
 // RAG KNOWLEDGE BASE
 // ============================================================================
 
-const knowledgeBase = {
-    "NIST 800-88": {
-        content: `NIST 800-88 Rev.1 provides comprehensive guidelines for media sanitization. 
-        It defines three types of sanitization: Clear (logical techniques), Purge (physical or logical 
-        techniques that render data recovery infeasible), and Destroy (physical destruction of media).
-        The Sayonara platform implements these standards with military-grade security.`,
-        keywords: ["NIST", "standards", "sanitization", "security", "guidelines"]
-    },
-    "Blockchain Verification": {
-        content: `Our blockchain verification system uses Ethereum's Sepolia testnet to create 
-        tamper-proof certificates for each data wipe. Each certificate contains a cryptographic 
-        hash of the wiping process, timestamp, device identifier, and verification status. 
-        This provides immutable proof of compliance that can be audited by third parties.`,
-        keywords: ["blockchain", "verification", "certificate", "ethereum", "sepolia", "proof"]
-    },
-    "Dual-Phase Sanitization": {
-        content: `The dual-phase sanitization process first overwrites all sectors with random data 
-        (Phase 1), then performs a cryptographic erasure using device-specific commands like 
-        ATA Secure Erase or NVMe Sanitize (Phase 2). This ensures complete data destruction 
-        even on modern SSDs with wear leveling and hidden areas.`,
-        keywords: ["dual-phase", "sanitization", "overwrite", "secure", "erase", "SSD", "NVMe"]
-    },
-    "Data Wiping Process": {
-        content: `The Sayonara data wiping process includes: 1) Device detection and identification, 
-        2) Unlocking of hidden areas (HPA/DCO/OPAL), 3) Selection of appropriate wiping method, 
-        4) Dual-phase sanitization execution, 5) Forensic recovery testing, 6) Re-wiping if needed, 
-        7) Certificate generation and blockchain recording, 8) Resale value estimation.`,
-        keywords: ["wiping", "process", "steps", "forensic", "recovery", "certificate"]
-    },
-    "Environmental Impact": {
-        content: `Secure data wiping enables safe recycling and resale of IT assets, reducing e-waste 
-        by up to 70%. Each properly wiped and recycled device saves approximately 24kg of CO₂ 
-        emissions and prevents toxic materials from entering landfills. Our CSR dashboard tracks 
-        and quantifies environmental impact metrics.`,
-        keywords: ["environmental", "impact", "recycling", "e-waste", "CO2", "sustainability"]
-    }
-};
-
-// RAG search function
-function searchKnowledgeBase(query) {
-    const queryLower = query.toLowerCase();
-    const results = [];
-    
-    for (const [topic, data] of Object.entries(knowledgeBase)) {
-        const relevanceScore = data.keywords.reduce((score, keyword) => {
-            return score + (queryLower.includes(keyword.toLowerCase()) ? 1 : 0);
-        }, 0);
-        
-        if (relevanceScore > 0 || queryLower.includes(topic.toLowerCase())) {
-            results.push({
-                topic,
-                content: data.content,
-                relevance: relevanceScore + (queryLower.includes(topic.toLowerCase()) ? 5 : 0)
-            });
-        }
-    }
-    
-    return results.sort((a, b) => b.relevance - a.relevance).slice(0, 3);
+// Chunk embeddings, cached on disk; provider embeddings fall back to the local embedder when offline
+const vectorIndex = new VectorIndex({
+    filePath: path.join(DATA_DIR, 'kb-vectors.json'),
+    embedder: createEmbedder({ backend: EMBEDDINGS_BACKEND, providers }),
+    fallback: EMBEDDINGS_BACKEND === 'local' ? null : new LocalEmbedder()
+});
+
+// Documents (Markdown, text, JSON) from KB_DIR, chunked and hot-reloaded on change
+const knowledgeBase = new KnowledgeBase({
+    dir: KB_DIR,
+    chunkSize: parseInt(process.env.KB_CHUNK_SIZE, 10) || 800,
+    overlap: parseInt(process.env.KB_CHUNK_OVERLAP, 10) || 150,
+    topK: parseInt(process.env.KB_TOP_K, 10) || 3,
+    minScore: parseFloat(process.env.KB_MIN_SCORE) || 0,
+    vectorIndex,
+    minSimilarity: parseFloat(process.env.KB_MIN_SIMILARITY) || 0.15
+});
+
+// RAG search function (BM25 and vector similarity fused by reciprocal rank)
+async function searchKnowledgeBase(query, options) {
+    return knowledgeBase.hybridSearch(query, options);
+}
+
+// Knowledge base chunks for a chat turn when RAG is enabled
+async function retrieveSources(message, config = {}) {
+    return config?.ragEnabled ? searchKnowledgeBase(message) : [];
 }
 
 // ============================================================================
@@ -132,6 +160,9 @@ function getOrCreateSession(sessionId) {
         sessions.set(sessionId, {
             id: sessionId,
             chatHistory: [],
+            // Keyed by conversation id, so no prototype (see ConversationStore)
+            wipeWizards: Object.create(null),
+            summaries: Object.create(null),
             createdAt: new Date(),
             lastActivity: new Date()
         });
@@ -155,65 +186,352 @@ setInterval(() => {
 }, 5 * 60 * 1000); // Check every 5 minutes
 
 // ============================================================================
-// GEMINI AI INTEGRATION
+// CONVERSATION STORE
+// ============================================================================
+
+const conversationStore = new ConversationStore(path.join(DATA_DIR, 'conversations.json'));
+
+// History for a turn: client-supplied first, then the stored conversation, then the session
+function resolveChatHistory({ chatHistory, conversationId, session }) {
+    if (chatHistory) return chatHistory;
+    if (conversationId && conversationStore.has(conversationId)) {
+        return conversationStore.getChatHistory(conversationId);
+    }
+    return [...session.chatHistory];
+}
+
+// Reject conversation ids in the path that the store would never generate
+function requireConversationId(req, res, next) {
+    if (!isConversationId(req.params.id ?? req.params.conversationId)) {
+        return res.status(400).json({ error: 'Invalid conversation id' });
+    }
+    next();
+}
+
+// Same for the optional `conversationId` of a body or query string. Without it a turn
+// is not stored; with a malformed one appendMessage would create a conversation that
+// the /api/conversations/:id routes can never open or delete. Goes after multer on upload routes.
+function checkConversationId(req, res, next) {
+    const id = req.body?.conversationId ?? req.query.conversationId;
+    if (id !== undefined && id !== '' && !isConversationId(id)) {
+        return res.status(400).json({ error: 'Invalid conversation id' });
+    }
+    next();
+}
+
+// ============================================================================
+// PERSONAS
+// ============================================================================
+
+// Built-in personas plus any custom ones in data/personas.json
+const personaRegistry = new PersonaRegistry(path.join(DATA_DIR, 'personas.json'));
+
+// Persona for a turn: an explicit request choice, then the conversation's saved one, then the default
+function resolvePersona({ conversationId, config }) {
+    const saved = conversationId ? conversationStore.getPersona(conversationId) : null;
+    return personaRegistry.get(config?.persona || saved);
+}
+
+// ============================================================================
+// MODEL PROVIDERS
 // ============================================================================
 
-async function generateGeminiResponse(message, chatHistory = [], config = {}) {
+const NO_USAGE = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+// Provider and model for a request: config.provider / config.model, else the server default.
+// Returns { provider, model } or { error } for an unknown provider.
+function resolveModel(config = {}) {
+    const name = config?.provider || LLM_PROVIDER;
+    const provider = providers[name];
+    if (!provider) {
+        return { error: `Unknown provider "${name}" (available: ${Object.keys(providers).join(', ')})` };
+    }
+    return { provider, model: config?.model || provider.defaultModel };
+}
+
+// The user turn as the model receives it: { text, images }. RAG sources are numbered
+// so the model can cite them (callers that report citations retrieve first and pass
+// config.ragResults); files attached to the conversation go in front (see resolveAttachments).
+async function buildPrompt(message, config = {}) {
+    let text = message;
+    const ragResults = config.ragResults || await retrieveSources(message, config);
+    if (ragResults.length > 0) {
+        text = buildCitedPrompt(message, ragResults);
+    }
+    if (config.attachmentFiles?.length) {
+        text = buildAttachmentPrompt(text, config.attachmentFiles, { maxChars: ATTACHMENT_CONTEXT_CHARS });
+    }
+    const images = (config.attachmentFiles || []).filter(f => f.image).map(f => ({ inlineData: f.image }));
+    return { text, images };
+}
+
+// 400 message for a chat message the model cannot be asked, or null when it is usable
+function messageError(message) {
+    return typeof message === 'string' && message.trim() ? null : 'Message is required (a non-empty string)';
+}
+
+// Build the provider request shared by the blocking and streaming paths.
+// The persona goes in the system instruction so it is never repeated into history.
+async function prepareChat(message, chatHistory = [], config = {}) {
+    const persona = personaRegistry.get(config.persona);
+    const { text, images } = await buildPrompt(message, config);
+    
+    return {
+        model: config.model,
+        system: persona.instruction,
+        history: chatHistory,
+        message: images.length ? [{ text }, ...images] : text,
+        generationConfig: {
+            maxOutputTokens: config.maxTokens || 2048,
+            temperature: config.temperature || 0.7,
+            topP: 0.95,
+            topK: 40,
+        },
+    };
+}
+
+// Model errors answered from the knowledge base alone instead of failing the turn
+const KB_FALLBACK_CODES = ['circuit_open', 'timeout', 'rate_limited', 'unavailable', 'auth'];
+
+// KB-only reply when the model cannot be reached: the top knowledge base excerpts, cited.
+// Returns null for errors an excerpt answer would only hide (bad requests, server bugs).
+async function knowledgeBaseFallback(query, error, llm, results = null) {
+    if (!(error instanceof ModelError) || !KB_FALLBACK_CODES.includes(error.code)) return null;
+    const sources = results || await searchKnowledgeBase(query);
+    console.warn(`[Fallback] ${llm.provider.name} ${error.code}; answering from ${sources.length} knowledge base chunks`);
+    return {
+        text: buildExtractiveAnswer(sources, `⚠️ ${error.message}`),
+        usage: NO_USAGE,
+        provider: llm.provider.name,
+        model: null,
+        ragResults: sources,
+        degraded: { code: error.code, message: error.message, retryAt: error.retryAt || null }
+    };
+}
+
+// Status and body for a failed request. ModelErrors keep their code and user-facing
+// message; anything else is logged by the caller and reported only as `internal`.
+function errorResponse(error) {
+    if (error instanceof ModelError) {
+        return {
+            status: error.status,
+            body: { error: error.message, code: error.code, retryable: error.retryable, retryAt: error.retryAt }
+        };
+    }
+    return { status: 500, body: { error: 'Something went wrong on the server. Please try again.', code: 'internal' } };
+}
+
+function sendError(res, error) {
+    const { status, body } = errorResponse(error);
+    res.status(status).json(body);
+}
+
+// Resolves with { text, usage, provider, model }; `model` is the one that actually answered.
+// Rejects with a ModelError (see lib/resilience.js) when the provider fails.
+async function generateResponse(message, chatHistory = [], config = {}) {
+    const { provider, model } = resolveModel(config);
     try {
-        // Select model based on configuration
-        const modelName = 'gemini-2.5-flash';
-        const model = genAI.getGenerativeModel({ model: modelName });
+        const request = await prepareChat(message, chatHistory, { ...config, model });
         
-        // Enhance prompt with RAG if enabled
-        let enhancedPrompt = message;
-        if (config.ragEnabled) {
-            const ragResults = searchKnowledgeBase(message);
-            if (ragResults.length > 0) {
-                enhancedPrompt = `
-Question: ${message}
-
-Relevant Knowledge Base Information:
-${ragResults.map(r => `${r.topic}: ${r.content}`).join('\n\n')}
+        const result = await provider.chat(request);
+        return { text: result.text, usage: result.usage, provider: provider.name, model: result.model };
+    } catch (error) {
+        console.error(`Model API error (${provider.name}):`, error);
+        throw error;
+    }
+}
 
-Please provide a comprehensive answer using the above information and your knowledge about the Sayonara data wiping platform.
-                `;
+// Stream model chunks as they arrive; onDelta receives each new piece of text.
+// Resolves with the full text, token usage and model once the stream ends or is aborted.
+async function streamResponse(message, chatHistory = [], config = {}, { signal, onDelta } = {}) {
+    const { provider, model } = resolveModel(config);
+    let text = '';
+    const result = { usage: NO_USAGE, provider: provider.name, model };
+    
+    try {
+        const request = await prepareChat(message, chatHistory, { ...config, model });
+        const streamed = await provider.stream(request, {
+            signal,
+            onDelta: (delta) => {
+                text += delta;
+                onDelta?.(delta);
             }
-        }
-        
-        // Add system context
-        const systemPrompt = `You are the Sayonara AI Assistant, an expert in secure data wiping, 
-        IT asset recycling, and blockchain verification. You help users understand and use the 
-        Sayonara platform which provides NIST 800-88 compliant data sanitization with blockchain 
-        certificates. Always be helpful, technical when needed, and emphasize security and compliance.`;
-        
-        // Prepare chat with history
-        const chat = model.startChat({
-            history: chatHistory,
-            generationConfig: {
-                maxOutputTokens: config.maxTokens || 2048,
-                temperature: config.temperature || 0.7,
-                topP: 0.95,
-                topK: 40,
-            },
         });
+        result.usage = streamed.usage;
+        result.model = streamed.model;
+    } catch (error) {
+        if (signal?.aborted) return { ...result, text, aborted: true };
         
-        // Send message and get response
-        const result = await chat.sendMessage(`${systemPrompt}\n\n${enhancedPrompt}`);
-        const response = await result.response;
+        console.error(`Model stream error (${provider.name}):`, error);
+        // Callers can only fall back when nothing reached the client yet
+        error.partialText = text;
+        throw error;
+    }
+    
+    return { ...result, text, aborted: !!signal?.aborted };
+}
+
+// ============================================================================
+// CONVERSATION SUMMARIES
+// ============================================================================
+
+// Ask the model for a structured summary of some turns, with the turn's provider and model
+async function summarizeTurns(turns, previousSummary = null, { provider, model } = {}) {
+    const { text } = await generateResponse(
+        summarizer.buildSummaryPrompt(turns, previousSummary),
+        [],
+        { provider, model, temperature: 0.2 }
+    );
+    return summarizer.parseSummary(text);
+}
+
+// Fold the oldest turns into a rolling summary once history exceeds the token budget
+async function compactHistory(history, { conversationId, session, config = {} }) {
+    const stored = conversationId && conversationStore.has(conversationId);
+    const state = stored ? conversationStore.getSummary(conversationId) : session.summaries[conversationId || 'default'];
+    
+    try {
+        const result = await summarizer.applyRollingSummary(history, {
+            budget: SUMMARY_TOKEN_BUDGET,
+            state,
+            summarize: (turns, previousSummary) => summarizeTurns(turns, previousSummary, config)
+        });
         
-        return response.text();
+        if (result.state && result.state !== state) {
+            console.log(`[Summary] Folded ${result.summarized} earlier messages into the rolling summary`);
+            if (stored) await conversationStore.setSummary(conversationId, result.state);
+            else session.summaries[conversationId || 'default'] = result.state;
+        }
+        return result;
     } catch (error) {
-        console.error('Gemini API error:', error);
-        
-        // Fallback response if API fails
-        if (error.message?.includes('API key')) {
-            return `I'm currently unable to connect to the Gemini AI service. Please ensure your API key is configured correctly in the .env file. 
+        // Sending the full history is better than failing the turn
+        console.error('Rolling summary failed:', error);
+        return { history, state, summarized: 0 };
+    }
+}
+
+// ============================================================================
+// CONTEXT WINDOW
+// ============================================================================
+
+const contextManager = new ContextManager({ budget: CONTEXT_TOKEN_BUDGET });
+
+// Approximate prompt tokens per inline image (Gemini counts 258 for an image up to 384 px)
+const IMAGE_TOKENS = 258;
+
+// Exact token counts from the turn's model when its provider has a tokenizer; the
+// context manager estimates otherwise, and on failure
+function tokenCounter(config = {}) {
+    const { provider, model } = resolveModel(config);
+    return provider.countTokens ? (contents) => provider.countTokens({ model, contents }) : null;
+}
+
+// Summarize, then trim the history so the whole request fits the context budget.
+// The budget covers the prompt as sent (RAG sources from config.ragResults and attached
+// files included), so history only gets what that leaves. Returns the history to send
+// and a report for the response metadata.
+async function buildContext(message, history, { conversationId, session, config = {} }) {
+    const { history: compacted, summarized } = await compactHistory(history, { conversationId, session, config });
+    const prompt = await buildPrompt(message, { ...config, ragResults: config.ragResults || [] });
+    const { history: fitted, report } = await contextManager.fit(compacted, {
+        system: personaRegistry.get(config.persona).instruction,
+        message: prompt.text,
+        reserved: prompt.images.length * IMAGE_TOKENS,
+        budget: config.contextTokens || CONTEXT_TOKEN_BUDGET,
+        countTokens: tokenCounter(config),
+        // Keep the rolling summary turns; they stand in for everything older
+        pinned: summarized ? 2 : 0
+    });
+    
+    if (report.droppedMessages || report.truncatedMessages) {
+        console.log(`[Context] Dropped ${report.droppedMessages}, truncated ${report.truncatedMessages} messages to fit ${report.budget} tokens`);
+    }
+    return { history: fitted, context: { ...report, summarizedMessages: summarized } };
+}
+
+// ============================================================================
+// FILE ANALYSIS
+// ============================================================================
 
-For now, I can tell you about the Sayonara platform: We provide military-grade data wiping with blockchain verification, ensuring your data is completely and verifiably erased before device recycling or resale.`;
+const attachmentStore = new AttachmentStore(path.join(DATA_DIR, 'attachments'));
+
+// Files for a turn's model context: the ones sent with this message first (only those the
+// turn may read, see AttachmentStore.resolve), then the rest of the conversation's
+// attachments, newest first, so follow-up questions still see them.
+// Returns { attachments: descriptors sent with this message, files: [{ attachment, text }] }
+async function resolveAttachments({ attachments = [], conversationId, sessionId }) {
+    const current = attachmentStore.resolve(Array.isArray(attachments) ? attachments : [attachments], { conversationId, sessionId });
+    const earlier = conversationId
+        ? attachmentStore.forConversation(conversationId).filter(a => !current.includes(a))
+        : [];
+    
+    const files = [];
+    let images = 0;
+    for (const attachment of [...current, ...earlier]) {
+        try {
+            const file = { attachment, text: await attachmentStore.readText(attachment.id) };
+            // The most recent images also go to the model as inline parts
+            if (attachment.type === 'image' && images < ATTACHMENT_MAX_IMAGES) {
+                file.image = await attachmentStore.readImage(attachment.id);
+                images++;
+            }
+            files.push(file);
+        } catch (error) {
+            console.error(`Attachment ${attachment.id} unreadable:`, error.message);
         }
-        
-        throw error;
     }
+    return { attachments: current, files };
+}
+
+// Attachment fields shown on the user's message
+function attachmentChips(attachments) {
+    return attachments.map(({ id, filename, type, size, structure }) => ({ id, filename, type, size, prefill: structure?.prefill }));
+}
+
+// Read a drive label photo or wipe-tool screenshot into structured device details
+async function extractDeviceInfo(buffer, mimeType) {
+    const { provider, model } = resolveModel();
+    const result = await provider.chat({
+        model,
+        message: [
+            { text: deviceExtraction.DEVICE_EXTRACTION_PROMPT },
+            { inlineData: { data: buffer.toString('base64'), mimeType } }
+        ],
+        generationConfig: { temperature: 0.1, responseMimeType: 'application/json' }
+    });
+    return deviceExtraction.parseDeviceExtraction(result.text);
+}
+
+// Analyze an ingested file end to end: small files in one call, larger ones as
+// per-chunk notes that are then combined into a single analysis
+async function analyzeFile(ingested) {
+    const chunks = fileIngest.chunkForAnalysis(ingested);
+    
+    if (chunks.length <= 1) {
+        const { text: analysis } = await generateResponse(
+            fileIngest.buildAnalysisPrompt(ingested, [chunks[0]?.text || ''], { raw: true }),
+            [],
+            { temperature: 0.3 }
+        );
+        return { analysis, chunksAnalyzed: chunks.length };
+    }
+    
+    // One chunk at a time to stay within the API rate limit
+    const notes = [];
+    for (const [i, chunk] of chunks.entries()) {
+        const { text } = await generateResponse(
+            fileIngest.buildChunkPrompt(ingested, chunk, i, chunks.length),
+            [],
+            { temperature: 0.2 }
+        );
+        notes.push(text);
+    }
+    const { text: analysis } = await generateResponse(
+        fileIngest.buildAnalysisPrompt(ingested, notes),
+        [],
+        { temperature: 0.3 }
+    );
+    return { analysis, chunksAnalyzed: chunks.length };
 }
 
 // ============================================================================
@@ -225,33 +543,74 @@ app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
         apiKeyConfigured: !!GEMINI_API_KEY,
+        provider: LLM_PROVIDER,
+        model: providers[LLM_PROVIDER].defaultModel,
+        circuit: providers[LLM_PROVIDER].breaker.status(),
         timestamp: new Date().toISOString()
     });
 });
 
+// Providers a request can choose with config.provider, and their default models
+app.get('/api/providers', (req, res) => {
+    res.json({
+        default: LLM_PROVIDER,
+        providers: Object.values(providers).map(p => ({
+            name: p.name,
+            defaultModel: p.defaultModel,
+            embeddingModel: p.embeddingModel || null,
+            countsTokens: !!p.countTokens,
+            circuit: p.breaker.status(),
+            embeddingsCircuit: p.embedBreaker.status()
+        }))
+    });
+});
+
 // Main chat endpoint
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', checkConversationId, async (req, res) => {
     try {
-        const { message, chatHistory, conversationId, config } = req.body;
+        const { message, chatHistory, conversationId, config, attachments } = req.body;
         const sessionId = req.headers['x-session-id'] || 'default';
+        if (messageError(message)) {
+            return res.status(400).json({ error: messageError(message) });
+        }
+        const llm = resolveModel(config);
+        if (llm.error) {
+            return res.status(400).json({ error: llm.error });
+        }
         
-        console.log(`[Chat] Session: ${sessionId}, Message: ${message.substring(0, 50)}...`);
+        console.log(`[Chat] Session: ${sessionId}, ${llm.provider.name}/${llm.model}, Message: ${message.substring(0, 50)}...`);
         
         // Get or create session
         const session = getOrCreateSession(sessionId);
+        const history = resolveChatHistory({ chatHistory, conversationId, session });
+        const { attachments: attached, files } = await resolveAttachments({ attachments, conversationId, sessionId });
         
         // Add user message to session history
         session.chatHistory.push({
             role: 'user',
             parts: [{ text: message }]
         });
+        if (conversationId) {
+            await conversationStore.appendMessage(conversationId, {
+                role: 'user',
+                content: message,
+                metadata: attached.length ? { attachments: attachmentChips(attached) } : undefined
+            });
+        }
+        const persona = resolvePersona({ conversationId, config });
+        const ragResults = await retrieveSources(message, config);
+        const turnConfig = { ...config, provider: llm.provider.name, model: llm.model, persona: persona.id, ragResults, attachmentFiles: files };
+        const { history: fitted, context } = await buildContext(message, history, { conversationId, session, config: turnConfig });
         
-        // Generate response using Gemini
-        const responseText = await generateGeminiResponse(
-            message,
-            chatHistory || session.chatHistory,
-            config
-        );
+        // Generate the response (history keeps the raw message, not the RAG-augmented prompt)
+        let reply;
+        try {
+            reply = await generateResponse(message, fitted, turnConfig);
+        } catch (error) {
+            reply = await knowledgeBaseFallback(message, error, llm);
+            if (!reply) throw error;
+        }
+        const { text: responseText, usage, provider, model, degraded } = reply;
         
         // Add assistant response to session history
         session.chatHistory.push({
@@ -259,32 +618,56 @@ app.post('/api/chat', async (req, res) => {
             parts: [{ text: responseText }]
         });
         
+        const metadata = {
+            provider,
+            model,
+            persona: persona.id,
+            sessionId,
+            conversationId,
+            usage,
+            degraded,
+            summarizedMessages: context.summarizedMessages,
+            context,
+            citations: buildCitations(reply.ragResults || ragResults, responseText),
+            attachmentsInContext: files.map(f => f.attachment.filename),
+            timestamp: new Date().toISOString()
+        };
+        const stored = conversationId
+            ? await conversationStore.appendMessage(conversationId, { role: 'model', content: responseText, metadata })
+            : null;
+        
         // Send response
         res.json({
-            messageId: Date.now(),
+            messageId: stored?.id || Date.now(),
             text: responseText,
             content: responseText,
             response: responseText,
             done: true,
-            metadata: {
-                model: config?.model || 'gemini-pro',
-                sessionId,
-                timestamp: new Date().toISOString()
-            }
+            metadata
         });
         
     } catch (error) {
         console.error('Chat endpoint error:', error);
-        res.status(500).json({
-            error: 'Failed to generate response',
-            message: error.message
-        });
+        sendError(res, error);
     }
 });
 
-// Streaming chat endpoint (using Server-Sent Events)
-app.get('/api/chat/stream', async (req, res) => {
-    const { message, conversationId, sessionId = 'default' } = req.query;
+// Write a single named Server-Sent Event
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Stream a chat turn to the client as Server-Sent Events
+// Events: delta { text }, metadata { usage, provider, model, ... }, done { messageId }, error { error, code }
+async function streamChatResponse(res, { message, chatHistory, conversationId, sessionId, config = {}, attachments }) {
+    // Validate before the SSE headers go out, while a plain 400 can still be sent
+    if (messageError(message)) {
+        return res.status(400).json({ error: messageError(message) });
+    }
+    const llm = resolveModel(config);
+    if (llm.error) {
+        return res.status(400).json({ error: llm.error });
+    }
     
     // Set headers for SSE
     res.writeHead(200, {
@@ -293,185 +676,1123 @@ app.get('/api/chat/stream', async (req, res) => {
         'Connection': 'keep-alive'
     });
     
+    // Stop generating as soon as the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+    
     try {
         const session = getOrCreateSession(sessionId);
+        const history = resolveChatHistory({ chatHistory, conversationId, session });
+        const { attachments: attached, files } = await resolveAttachments({ attachments, conversationId, sessionId });
         
-        // Generate response
-        const responseText = await generateGeminiResponse(message, session.chatHistory);
+        if (conversationId) {
+            await conversationStore.appendMessage(conversationId, {
+                role: 'user',
+                content: message,
+                metadata: attached.length ? { attachments: attachmentChips(attached) } : undefined
+            });
+        }
+        const persona = resolvePersona({ conversationId, config });
+        const ragResults = await retrieveSources(message, config);
+        const turnConfig = { ...config, provider: llm.provider.name, model: llm.model, persona: persona.id, ragResults, attachmentFiles: files };
+        const { history: fitted, context } = await buildContext(message, history, { conversationId, session, config: turnConfig });
         
-        // Simulate streaming by sending words progressively
-        const words = responseText.split(' ');
-        let currentText = '';
+        let reply;
+        try {
+            reply = await streamResponse(message, fitted, turnConfig, {
+                signal: controller.signal,
+                onDelta: (delta) => sendEvent(res, 'delta', { text: delta })
+            });
+        } catch (error) {
+            reply = !error.partialText && await knowledgeBaseFallback(message, error, llm);
+            if (!reply) throw error;
+            sendEvent(res, 'delta', { text: reply.text });
+        }
+        const { text, usage, provider, model, degraded, aborted } = reply;
         
-        for (let i = 0; i < words.length; i++) {
-            currentText += (i > 0 ? ' ' : '') + words[i];
-            
-            res.write(`data: ${JSON.stringify({
-                content: currentText,
-                done: i === words.length - 1
-            })}\n\n`);
-            
-            // Small delay to simulate streaming
-            await new Promise(resolve => setTimeout(resolve, 50));
+        if (aborted) {
+            console.log(`[Stream] Session: ${sessionId} disconnected, generation stopped`);
+            return;
         }
         
+        session.chatHistory.push(
+            { role: 'user', parts: [{ text: message }] },
+            { role: 'model', parts: [{ text }] }
+        );
+        
+        const metadata = {
+            provider,
+            model,
+            persona: persona.id,
+            sessionId,
+            conversationId,
+            usage,
+            degraded,
+            summarizedMessages: context.summarizedMessages,
+            context,
+            citations: buildCitations(reply.ragResults || ragResults, text),
+            attachmentsInContext: files.map(f => f.attachment.filename),
+            timestamp: new Date().toISOString()
+        };
+        const stored = conversationId
+            ? await conversationStore.appendMessage(conversationId, { role: 'model', content: text, metadata })
+            : null;
+        
+        sendEvent(res, 'metadata', metadata);
+        sendEvent(res, 'done', { messageId: stored?.id || Date.now() });
         res.end();
     } catch (error) {
         console.error('Stream error:', error);
-        res.write(`data: ${JSON.stringify({
-            error: error.message,
-            done: true
-        })}\n\n`);
+        if (controller.signal.aborted) return;
+        sendEvent(res, 'error', errorResponse(error).body);
         res.end();
     }
+}
+
+// Streaming chat endpoint (using Server-Sent Events)
+// Accepts the same body as /api/chat, so history and generation config are honoured
+app.post('/api/chat/stream', checkConversationId, async (req, res) => {
+    const { message, chatHistory, conversationId, config, attachments } = req.body;
+    const sessionId = req.headers['x-session-id'] || 'default';
+    
+    if (messageError(message)) {
+        return res.status(400).json({ error: messageError(message) });
+    }
+    
+    console.log(`[Stream] Session: ${sessionId}, Message: ${message.substring(0, 50)}...`);
+    
+    await streamChatResponse(res, { message, chatHistory, conversationId, sessionId, config, attachments });
 });
 
-// LangChain integration endpoint
-app.post('/api/langchain', async (req, res) => {
+// Legacy query-string variant for EventSource clients (no history or config)
+app.get('/api/chat/stream', checkConversationId, async (req, res) => {
+    const { message, conversationId, sessionId = 'default' } = req.query;
+    
+    await streamChatResponse(res, { message, conversationId, sessionId });
+});
+
+// Structured summary of the whole conversation for /summarize
+app.post('/api/summarize', checkConversationId, async (req, res) => {
     try {
-        const { query, context, sessionId } = req.body;
+        const { conversationId, chatHistory } = req.body;
+        const session = getOrCreateSession(req.headers['x-session-id'] || 'default');
+        const history = resolveChatHistory({ chatHistory, conversationId, session });
         
-        console.log(`[LangChain] Query: ${query}`);
+        if (history.length === 0) {
+            return res.status(400).json({ error: 'Nothing to summarize yet' });
+        }
         
-        // Here you would integrate with LangChain
-        // For now, we'll use Gemini with enhanced prompting
-        const langchainPrompt = `
-        Acting as a LangChain agent, process this query with the following context:
+        // Reuse the rolling summary for turns it already covers
+        const state = conversationId && conversationStore.has(conversationId)
+            ? conversationStore.getSummary(conversationId)
+            : session.summaries[conversationId || 'default'];
+        const covered = state && state.coveredMessages <= history.length ? state.coveredMessages : 0;
         
-        Query: ${query}
-        Context: ${JSON.stringify(context)}
+        const summary = await summarizeTurns(history.slice(covered), covered ? state.summary : null);
+        const text = summarizer.formatSummary(summary);
         
-        Provide a structured response with reasoning steps and a final answer.
-        `;
+        if (conversationId) {
+            await conversationStore.appendMessage(conversationId, { role: 'user', content: '/summarize' });
+            await conversationStore.appendMessage(conversationId, { role: 'model', content: text, metadata: { summary } });
+        }
         
-        const response = await generateGeminiResponse(langchainPrompt, [], {
-            temperature: 0.3, // Lower temperature for more structured responses
-            maxTokens: 2048
-        });
+        res.json({ summary, text });
+    } catch (error) {
+        console.error('Summarize error:', error);
+        sendError(res, error);
+    }
+});
+
+// ============================================================================
+// WIPE WIZARD
+// ============================================================================
+
+// Shape a wizard step for the client: markdown text plus any choice buttons
+function wizardReply({ state, question, plan, error }) {
+    if (plan) {
+        return { status: 'complete', text: wipeWizard.formatWipePlan(plan), plan, choices: [] };
+    }
+    const text = wipeWizard.formatQuestion(question);
+    return {
+        status: state.status,
+        text: error ? `${error}\n\n${text}` : text,
+        question,
+        choices: question.choices,
+        error
+    };
+}
+
+// Record a wizard exchange in the conversation so it replays after reload
+async function recordWizardTurn(conversationId, userText, reply) {
+    await conversationStore.appendMessage(conversationId, { role: 'user', content: userText });
+    await conversationStore.appendMessage(conversationId, {
+        role: 'model',
+        content: reply.text,
+        metadata: { wizard: 'wipe', choices: reply.choices, plan: reply.plan }
+    });
+}
+
+// Start a guided wipe plan for a conversation
+app.post('/api/wipe', checkConversationId, async (req, res) => {
+    try {
+        const { conversationId, prefill } = req.body;
+        if (!conversationId) {
+            return res.status(400).json({ error: 'conversationId is required' });
+        }
+        const session = getOrCreateSession(req.headers['x-session-id'] || 'default');
         
-        res.json({
-            answer: response,
-            reasoning: "LangChain processing completed",
-            sources: []
-        });
+        const state = wipeWizard.createWipeWizard(prefill || {});
+        session.wipeWizards[conversationId] = state;
         
+        const reply = wizardReply({ state, question: wipeWizard.describeQuestion(state) });
+        if (state.prefilled.length) {
+            reply.text = `${wipeWizard.formatPrefill(state)}\n\n${reply.text}`;
+        }
+        await recordWizardTurn(conversationId, '/wipe', reply);
+        res.json(reply);
     } catch (error) {
-        console.error('LangChain error:', error);
+        console.error('Wipe wizard error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// RAG endpoint
-app.post('/api/rag', async (req, res) => {
+// Answer the current wizard question
+app.post('/api/wipe/answer', checkConversationId, async (req, res) => {
     try {
-        const { query } = req.body;
-        
-        console.log(`[RAG] Query: ${query}`);
-        
-        // Search knowledge base
-        const results = searchKnowledgeBase(query);
+        const { conversationId, answer, label } = req.body;
+        if (!conversationId) {
+            return res.status(400).json({ error: 'conversationId is required' });
+        }
+        const session = getOrCreateSession(req.headers['x-session-id'] || 'default');
+        const state = session.wipeWizards[conversationId];
         
-        if (results.length === 0) {
-            res.json({
-                answer: "No relevant information found in the knowledge base.",
-                sources: []
-            });
-            return;
+        if (!state || state.status !== 'active') {
+            return res.status(404).json({ error: 'No wipe plan in progress. Run /wipe to start one.' });
         }
         
-        // Generate answer using RAG results
-        const ragPrompt = `
-        Based on the following information from our knowledge base, answer this query: ${query}
+        const result = wipeWizard.answerWipeWizard(state, answer ?? '');
+        session.wipeWizards[conversationId] = result.state;
+        
+        const reply = wizardReply(result);
+        await recordWizardTurn(conversationId, label || String(answer ?? ''), reply);
+        res.json(reply);
+    } catch (error) {
+        console.error('Wipe wizard error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Current wizard state, so the client can resume after a reload
+app.get('/api/wipe/:conversationId', requireConversationId, (req, res) => {
+    const session = getOrCreateSession(req.headers['x-session-id'] || 'default');
+    const state = session.wipeWizards[req.params.conversationId];
+    
+    if (!state) {
+        return res.json({ status: 'none' });
+    }
+    if (state.status === 'complete') {
+        return res.json({ status: 'complete', plan: state.plan });
+    }
+    res.json(wizardReply({ state, question: wipeWizard.describeQuestion(state) }));
+});
+
+// Cancel the wizard for a conversation
+app.delete('/api/wipe/:conversationId', requireConversationId, (req, res) => {
+    const session = getOrCreateSession(req.headers['x-session-id'] || 'default');
+    delete session.wipeWizards[req.params.conversationId];
+    res.status(204).end();
+});
+
+// ============================================================================
+// WIPE ESTIMATES
+// ============================================================================
+
+// Duration and NIST category for a wipe, from explicit fields or /estimate text
+app.post('/api/estimate', checkConversationId, async (req, res) => {
+    try {
+        const { conversationId, text, ...fields } = req.body;
         
-        ${results.map(r => `${r.topic}: ${r.content}`).join('\n\n')}
-        `;
+        let input = fields;
+        if (text !== undefined) {
+            const parsed = wipeEstimator.parseEstimateRequest(text);
+            if (parsed.error) {
+                return res.status(400).json({ error: parsed.error });
+            }
+            input = parsed.input;
+        }
         
-        const answer = await generateGeminiResponse(ragPrompt, [], {
-            temperature: 0.5,
-            ragEnabled: false // Avoid recursive RAG
-        });
+        const { estimate, error } = wipeEstimator.estimateWipe(input);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const reply = wipeEstimator.formatEstimate(estimate);
         
-        res.json({
-            answer,
-            sources: results.map(r => ({
-                topic: r.topic,
-                relevance: r.relevance
-            }))
-        });
+        if (conversationId) {
+            await conversationStore.appendMessage(conversationId, {
+                role: 'user',
+                content: text !== undefined ? `/estimate ${text}`.trim() : '/estimate'
+            });
+            await conversationStore.appendMessage(conversationId, {
+                role: 'model',
+                content: reply,
+                metadata: { estimate }
+            });
+        }
         
+        res.json({ estimate, text: reply });
     } catch (error) {
-        console.error('RAG error:', error);
+        console.error('Estimate error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// File upload endpoint
-app.post('/api/chat/upload', upload.single('file'), async (req, res) => {
+// ============================================================================
+// ENVIRONMENTAL IMPACT
+// ============================================================================
+
+// Default emission, weight and resale factors, overridden by data/impact-factors.json
+const impactCalculator = new ImpactCalculator(path.join(DATA_DIR, 'impact-factors.json'));
+
+// CSR impact report for a batch of devices: an inventory CSV upload, a `devices`
+// array, or /impact text such as "40 laptops, 10 phones recycled". `factors`
+// overrides the configured factors for this report only.
+app.post('/api/impact', upload.single('file'), checkConversationId, async (req, res) => {
     try {
-        const { sessionId } = req.body;
-        const file = req.file;
+        const { conversationId, text } = req.body;
+        let { devices, factors } = req.body;
+        let filename;
+        let parsed;
         
-        if (!file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+        if (req.file) {
+            filename = req.file.originalname;
+            const csv = await fs.readFile(req.file.path, 'utf-8');
+            await fs.unlink(req.file.path);
+            parsed = parseImpactCsv(csv);
+        } else if (Array.isArray(devices)) {
+            parsed = { devices };
+        } else {
+            parsed = parseImpactRequest(text);
         }
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        devices = parsed.devices;
         
-        console.log(`[Upload] File: ${file.originalname}, Size: ${file.size} bytes`);
-        
-        // Read file content
-        const content = await fs.readFile(file.path, 'utf-8');
+        // Multipart bodies carry factors as a JSON string
+        if (typeof factors === 'string') {
+            try {
+                factors = JSON.parse(factors);
+            } catch (error) {
+                return res.status(400).json({ error: 'factors must be a JSON object' });
+            }
+        }
+        const factorsError = impactCalculator.factorsError(factors);
+        if (factorsError) {
+            return res.status(400).json({ error: factorsError });
+        }
         
-        // Clean up uploaded file
-        await fs.unlink(file.path);
+        console.log(`[Impact] ${filename || 'inline batch'}, ${devices.length} rows`);
         
-        // Process file content (you could analyze it with Gemini)
-        const analysis = await generateGeminiResponse(
-            `Analyze this file content and provide a summary:\n\n${content.substring(0, 1000)}...`,
-            [],
-            { temperature: 0.3 }
-        );
+        const report = impactCalculator.calculate(devices, factors);
+        const reply = formatImpactReport(report);
         
-        res.json({
-            filename: file.originalname,
-            size: file.size,
-            analysis,
-            processed: true
-        });
+        if (conversationId) {
+            await conversationStore.appendMessage(conversationId, {
+                role: 'user',
+                content: filename ? `/impact (${filename})` : `/impact ${text || ''}`.trim()
+            });
+            await conversationStore.appendMessage(conversationId, {
+                role: 'model',
+                content: reply,
+                metadata: { impact: report }
+            });
+        }
         
+        res.json({ report, text: reply });
     } catch (error) {
-        console.error('Upload error:', error);
+        console.error('Impact error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get conversations endpoint
-app.get('/api/conversations', async (req, res) => {
-    try {
-        // In a real app, this would fetch from a database
-        const conversations = [
-            {
-                id: 'c1',
-                title: 'Data Wiping Setup',
-                lastMessage: 'NIST 800-88 standards configured',
-                unread: 0,
-                updatedAt: new Date().toISOString()
-            },
-            {
-                id: 'c2',
-                title: 'Blockchain Integration',
-                lastMessage: 'Certificates deployed successfully',
-                unread: 1,
-                updatedAt: new Date(Date.now() - 3600000).toISOString()
-            },
-            {
-                id: 'c3',
-                title: 'RAG Configuration',
-                lastMessage: 'Knowledge base updated with latest docs',
-                unread: 2,
-                updatedAt: new Date(Date.now() - 7200000).toISOString()
+// Factors currently used for impact reports
+app.get('/api/impact/factors', (req, res) => {
+    res.json(impactCalculator.factors);
+});
+
+// ============================================================================
+// DEVICE INVENTORY
+// ============================================================================
+
+// Per-conversation device lists for bulk wipe jobs
+const inventoryStore = new inventory.InventoryStore(path.join(DATA_DIR, 'inventories.json'));
+
+// Import a CSV or XLSX device list into a conversation. mode=append adds to the
+// existing inventory (rows with a known serial replace the old entry).
+app.post('/api/inventory', upload.single('file'), checkConversationId, async (req, res) => {
+    try {
+        const { conversationId, mode = 'replace' } = req.body;
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+        const filename = req.file.originalname;
+        const buffer = await fs.readFile(req.file.path);
+        await fs.unlink(req.file.path);
+        if (!conversationId) {
+            return res.status(400).json({ error: 'conversationId is required' });
+        }
+        
+        let table;
+        try {
+            table = inventory.readInventoryTable({ filename, buffer });
+        } catch (error) {
+            return res.status(400).json({ error: `Could not read ${filename}: ${error.message}` });
+        }
+        const { devices, errors, skipped, error } = inventory.validateInventory(table);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (!devices.length) {
+            return res.status(400).json({ error: `No valid device rows in ${filename}`, errors });
+        }
+        
+        console.log(`[Inventory] ${filename}: ${devices.length} devices, ${skipped} rows skipped with ${errors.length} problems (${mode})`);
+        
+        const stored = await inventoryStore.import(conversationId, { filename, devices, errors }, { mode: mode === 'append' ? 'append' : 'replace' });
+        const reply = inventory.formatInventoryImport(stored, { imported: devices.length, skipped, errors });
+        const summary = { files: stored.files, devices: stored.devices.length, imported: devices.length, skipped, problems: errors.length };
+        
+        await conversationStore.appendMessage(conversationId, {
+            role: 'user',
+            content: `/inventory (${filename})`
+        });
+        await conversationStore.appendMessage(conversationId, {
+            role: 'model',
+            content: reply,
+            metadata: { inventory: summary }
+        });
+        
+        res.json({ inventory: summary, errors, text: reply });
+    } catch (error) {
+        console.error('Inventory error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Answer a question about the conversation's inventory with a structured query.
+// Send `question` (plain text, parsed by rules) or a `query` object (see lib/inventory.js).
+app.post('/api/inventory/query', checkConversationId, async (req, res) => {
+    try {
+        const { conversationId, question, query } = req.body || {};
+        const stored = conversationId && inventoryStore.get(conversationId);
+        if (!stored) {
+            return res.status(404).json({ error: 'No inventory imported in this conversation. Attach a CSV or XLSX file with /inventory first.' });
+        }
+        
+        const result = inventory.queryInventory(stored.devices, query || inventory.parseInventoryQuestion(question));
+        const reply = inventory.formatInventoryAnswer(result);
+        
+        console.log(`[Inventory] ${inventory.describeQuery(result.query)}: ${result.matched}/${result.total}`);
+        
+        await conversationStore.appendMessage(conversationId, {
+            role: 'user',
+            content: `/inventory ${question || ''}`.trim()
+        });
+        await conversationStore.appendMessage(conversationId, {
+            role: 'model',
+            content: reply,
+            metadata: { inventoryQuery: { query: result.query, matched: result.matched, total: result.total } }
+        });
+        
+        res.json({ result, text: reply });
+    } catch (error) {
+        console.error('Inventory error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/inventory/:conversationId', requireConversationId, (req, res) => {
+    const stored = inventoryStore.get(req.params.conversationId);
+    if (!stored) {
+        return res.status(404).json({ error: 'No inventory for this conversation' });
+    }
+    res.json(stored);
+});
+
+app.delete('/api/inventory/:conversationId', requireConversationId, async (req, res) => {
+    try {
+        const removed = await inventoryStore.remove(req.params.conversationId);
+        if (!removed) {
+            return res.status(404).json({ error: 'No inventory for this conversation' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Inventory error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// WIPE VERIFICATION
+// ============================================================================
+
+// Check a pasted or uploaded wipe log against NIST 800-88 criteria
+app.post('/api/verify', upload.single('file'), checkConversationId, async (req, res) => {
+    try {
+        const { conversationId } = req.body;
+        let { log, filename } = req.body;
+        
+        if (req.file) {
+            log = await fs.readFile(req.file.path, 'utf-8');
+            filename = req.file.originalname;
+            await fs.unlink(req.file.path);
+        }
+        
+        if (!log || !log.trim()) {
+            return res.status(400).json({ error: 'Paste a wipe log after /verify or attach a .log, .json or .csv file' });
+        }
+        
+        console.log(`[Verify] ${filename || 'pasted log'}, ${log.length} chars`);
+        
+        const report = verifyWipeLog(log, filename);
+        // Certificates cite the stored copy by id, never a report sent back by the client
+        report.reportId = await certificateAuthority.recordVerification(report);
+        const text = formatVerificationReport(report, filename);
+        
+        if (conversationId) {
+            await conversationStore.appendMessage(conversationId, {
+                role: 'user',
+                content: filename ? `/verify (${filename})` : '/verify'
+            });
+            await conversationStore.appendMessage(conversationId, {
+                role: 'model',
+                content: text,
+                metadata: { report }
+            });
+        }
+        
+        res.json({ report, text });
+    } catch (error) {
+        console.error('Verify error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// ADMIN AUTHENTICATION
+// ============================================================================
+
+// Guards admin writes (knowledge base documents, ledger entries). Requires
+// `Authorization: Bearer <KB_ADMIN_TOKEN>`; admin is disabled when no token is set
+function requireAdmin(req, res, next) {
+    if (!KB_ADMIN_TOKEN) {
+        return res.status(503).json({ error: 'Admin API is disabled; set KB_ADMIN_TOKEN' });
+    }
+    const token = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(KB_ADMIN_TOKEN);
+    if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+        return res.status(401).json({ error: 'Invalid admin token' });
+    }
+    next();
+}
+
+// ============================================================================
+// BLOCKCHAIN CERTIFICATES
+// ============================================================================
+
+const ledger = createLedger({
+    adapter: LEDGER_ADAPTER,
+    dataDir: DATA_DIR,
+    rpcUrl: process.env.LEDGER_EVM_RPC_URL,
+    from: process.env.LEDGER_EVM_FROM,
+    timeoutMs: parseInt(process.env.LEDGER_EVM_TIMEOUT_MS, 10) || undefined
+});
+
+// Ledger adapter and chain head
+app.get('/api/blockchain/status', async (req, res) => {
+    try {
+        res.json(await ledger.status());
+    } catch (error) {
+        console.error('Ledger error:', error);
+        res.status(502).json({ error: `Ledger unavailable: ${error.message}` });
+    }
+});
+
+// Record a certificate on the ledger
+app.post('/api/blockchain/certificates', requireAdmin, async (req, res) => {
+    try {
+        const { certId, certificateHash, deviceId, status } = req.body;
+        if (!certId || !certificateHash || !deviceId) {
+            return res.status(400).json({ error: 'certId, certificateHash and deviceId are required' });
+        }
+        
+        const entry = await ledger.record({ certId, certificateHash, deviceId, status });
+        console.log(`[Ledger] Recorded ${certId} on ${ledger.name} ledger`);
+        res.status(201).json(entry);
+    } catch (error) {
+        console.error('Ledger error:', error);
+        res.status(502).json({ error: `Ledger unavailable: ${error.message}` });
+    }
+});
+
+// Look up a certificate by id or hash and verify its hash chain
+app.get('/api/blockchain/certificates/:key', async (req, res) => {
+    try {
+        const { key } = req.params;
+        const result = await ledger.verify(key);
+        res.status(result.found ? 200 : 404).json({
+            ...result,
+            adapter: ledger.name,
+            text: formatLedgerVerification(key, result)
+        });
+    } catch (error) {
+        console.error('Ledger error:', error);
+        res.status(502).json({ error: `Ledger unavailable: ${error.message}` });
+    }
+});
+
+// ============================================================================
+// WIPE CERTIFICATES
+// ============================================================================
+
+const certificateAuthority = new CertificateAuthority(DATA_DIR);
+
+// Issue a signed certificate from wipe parameters, a /wipe plan or a /verify report
+app.post('/api/certificates', async (req, res) => {
+    try {
+        const { recordOnLedger, ...input } = req.body;
+        
+        let doc;
+        try {
+            doc = await certificateAuthority.issue(input);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        const { certificate } = doc;
+        console.log(`[Certificate] Issued ${certificate.certId} for ${certificate.device.id}`);
+        
+        // Anchor the content hash on the ledger when asked to (or when the plan says so)
+        let ledgerError = null;
+        if (recordOnLedger || input.plan?.certificate?.ledger) {
+            try {
+                const entry = await ledger.record({
+                    certId: certificate.certId,
+                    certificateHash: doc.contentHash,
+                    deviceId: certificate.device.id,
+                    status: certificate.verification?.verdict === 'fail' ? 'failed' : 'verified'
+                });
+                doc.ledger = { adapter: ledger.name, ...entry };
+                await certificateAuthority.save(doc);
+            } catch (error) {
+                console.error('Ledger error:', error);
+                ledgerError = error.message;
+            }
+        }
+        
+        res.status(201).json({
+            ...doc,
+            ledgerError,
+            links: {
+                json: `/api/certificates/${certificate.certId}`,
+                html: `/api/certificates/${certificate.certId}/html`
             }
-        ];
+        });
+    } catch (error) {
+        console.error('Certificate error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Public key used to verify certificate signatures
+app.get('/api/certificates/public-key', (req, res) => {
+    res.type('application/x-pem-file').send(certificateAuthority.publicKeyPem());
+});
+
+// Signed certificate as JSON (?download=1 to save as a file)
+app.get('/api/certificates/:certId', async (req, res) => {
+    try {
+        const doc = await certificateAuthority.get(req.params.certId);
+        if (!doc) {
+            return res.status(404).json({ error: 'Certificate not found' });
+        }
+        if (req.query.download) {
+            res.attachment(`${doc.certificate.certId}.json`);
+        }
+        res.json(doc);
+    } catch (error) {
+        console.error('Certificate error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Printable HTML rendering of a certificate
+app.get('/api/certificates/:certId/html', async (req, res) => {
+    try {
+        const doc = await certificateAuthority.get(req.params.certId);
+        if (!doc) {
+            return res.status(404).send('Certificate not found');
+        }
+        res.type('html').send(certificateAuthority.renderHtml(doc));
+    } catch (error) {
+        console.error('Certificate error:', error);
+        res.status(500).send(error.message);
+    }
+});
+
+// Check a certificate's content hash and signature
+app.get('/api/certificates/:certId/verify', async (req, res) => {
+    try {
+        const doc = await certificateAuthority.get(req.params.certId);
+        if (!doc) {
+            return res.status(404).json({ error: 'Certificate not found' });
+        }
+        res.json(certificateAuthority.verify(doc));
+    } catch (error) {
+        console.error('Certificate error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// AGENT (served at /api/langchain)
+// ============================================================================
+
+const agentTools = createAgentTools({ searchKnowledgeBase, certificateAuthority, ledger, impactCalculator, inventoryStore });
+
+// Tool-using agent: model function calling over the knowledge base, wipe-time
+// estimator, certificate lookup, impact calculator and the conversation's inventory
+app.post('/api/langchain', async (req, res) => {
+    try {
+        const { query, context = {}, sessionId } = req.body;
+        if (!query || !String(query).trim()) {
+            return res.status(400).json({ error: 'query is required' });
+        }
+        const { conversationId, chatHistory } = context;
+        if (conversationId !== undefined && conversationId !== '' && !isConversationId(conversationId)) {
+            return res.status(400).json({ error: 'Invalid conversation id' });
+        }
+        const maxSteps = Math.min(parseInt(context.maxSteps, 10) || AGENT_MAX_STEPS, 10);
+        const llm = resolveModel(context);
+        if (llm.error) {
+            return res.status(400).json({ error: llm.error });
+        }
+        
+        console.log(`[Agent] ${llm.provider.name}/${llm.model}, Query: ${String(query).substring(0, 50)}...`);
+        
+        const session = getOrCreateSession(sessionId || req.headers['x-session-id'] || 'default');
+        const history = resolveChatHistory({ chatHistory, conversationId, session });
+        const { attachments: attached, files } = await resolveAttachments({ attachments: context.attachments, conversationId, sessionId: session.id });
+        if (conversationId) {
+            await conversationStore.appendMessage(conversationId, {
+                role: 'user',
+                content: query,
+                metadata: attached.length ? { attachments: attachmentChips(attached) } : undefined
+            });
+        }
+        const persona = resolvePersona({ conversationId, config: context });
+        const { history: fitted, context: contextReport } = await buildContext(query, history, {
+            conversationId,
+            session,
+            config: { persona: persona.id, provider: llm.provider.name, model: llm.model, attachmentFiles: files }
+        });
+        
+        let result;
+        try {
+            result = await runAgent({
+                provider: llm.provider,
+                model: llm.model,
+                systemInstruction: persona.instruction,
+                tools: agentTools,
+                query: files.length ? buildAttachmentPrompt(query, files, { maxChars: ATTACHMENT_CONTEXT_CHARS }) : query,
+                history: fitted,
+                maxSteps,
+                generationConfig: { maxOutputTokens: 2048, temperature: 0.3 },
+                toolContext: { conversationId }
+            });
+        } catch (error) {
+            const fallback = await knowledgeBaseFallback(query, error, llm);
+            if (!fallback) throw error;
+            result = {
+                answer: fallback.text,
+                trace: [],
+                steps: 0,
+                stoppedEarly: false,
+                model: null,
+                usage: NO_USAGE,
+                degraded: fallback.degraded,
+                citations: buildCitations(fallback.ragResults, fallback.text)
+            };
+        }
+        
+        const sources = result.trace
+            .filter(entry => !entry.error)
+            .map(({ tool, args, output }) => ({ tool, args, output }));
+        const agent = { reasoning: result.trace, sources, steps: result.steps, stoppedEarly: result.stoppedEarly };
+        
+        session.chatHistory.push(
+            { role: 'user', parts: [{ text: query }] },
+            { role: 'model', parts: [{ text: result.answer }] }
+        );
+        const metadata = {
+            provider: llm.provider.name,
+            model: result.model,
+            persona: persona.id,
+            sessionId: session.id,
+            conversationId,
+            usage: result.usage,
+            degraded: result.degraded,
+            citations: result.citations,
+            maxSteps,
+            context: contextReport,
+            agent,
+            attachmentsInContext: files.map(f => f.attachment.filename),
+            timestamp: new Date().toISOString()
+        };
+        const stored = conversationId
+            ? await conversationStore.appendMessage(conversationId, { role: 'model', content: result.answer, metadata })
+            : null;
+        
+        res.json({
+            messageId: stored?.id || Date.now(),
+            answer: result.answer,
+            reasoning: result.trace,
+            sources,
+            steps: result.steps,
+            stoppedEarly: result.stoppedEarly,
+            metadata
+        });
+        
+    } catch (error) {
+        console.error('Agent error:', error);
+        sendError(res, error);
+    }
+});
+
+// RAG endpoint
+app.post('/api/rag', async (req, res) => {
+    try {
+        const { query, topK, minScore, provider, model } = req.body;
+        const llm = resolveModel({ provider, model });
+        if (llm.error) {
+            return res.status(400).json({ error: llm.error });
+        }
+        
+        console.log(`[RAG] Query: ${query}`);
+        
+        // Search knowledge base
+        const results = await searchKnowledgeBase(query, {
+            limit: topK || undefined,
+            minScore: minScore ?? undefined
+        });
+        
+        if (results.length === 0) {
+            res.json({
+                answer: "No relevant information found in the knowledge base.",
+                sources: []
+            });
+            return;
+        }
+        
+        // Generate an answer that cites the numbered results
+        let reply;
+        try {
+            reply = await generateResponse(query, [], {
+                provider: llm.provider.name,
+                model: llm.model,
+                temperature: 0.5,
+                ragResults: results
+            });
+        } catch (error) {
+            reply = await knowledgeBaseFallback(query, error, llm, results);
+            if (!reply) throw error;
+        }
+        
+        res.json({
+            answer: reply.text,
+            sources: buildCitations(results, reply.text),
+            metadata: { provider: reply.provider, model: reply.model, usage: reply.usage, degraded: reply.degraded }
+        });
+        
+    } catch (error) {
+        console.error('RAG error:', error);
+        sendError(res, error);
+    }
+});
+
+// ============================================================================
+// KNOWLEDGE BASE ADMIN
+// ============================================================================
+
+// List indexed documents
+app.get('/api/kb/documents', requireAdmin, (req, res) => {
+    res.json({ ...knowledgeBase.stats(), embedder: vectorIndex.embedder.name });
+});
+
+// A document with its raw content and chunks
+app.get('/api/kb/documents/*', requireAdmin, async (req, res) => {
+    try {
+        const doc = await knowledgeBase.readDocument(req.params[0]);
+        if (!doc) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        res.json(doc);
+    } catch (error) {
+        console.error('KB admin error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add a document from JSON ({ source, content }) or a multipart `file` upload
+app.post('/api/kb/documents', requireAdmin, upload.single('file'), async (req, res) => {
+    try {
+        let { source, content } = req.body;
+        if (req.file) {
+            content = await fs.readFile(req.file.path, 'utf-8');
+            source = source || req.file.originalname;
+            await fs.unlink(req.file.path);
+        }
+        
+        const invalid = knowledgeBase.validateDocument(source, content);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        if (await knowledgeBase.readDocument(source)) {
+            return res.status(409).json({ error: `${source} already exists; use PUT to replace it` });
+        }
+        
+        const doc = await knowledgeBase.writeDocument(source, content);
+        console.log(`[KB] Added ${source} (${doc.chunks.length} chunks)`);
+        res.status(201).json(doc);
+    } catch (error) {
+        console.error('KB admin error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Replace a document's content
+app.put('/api/kb/documents/*', requireAdmin, async (req, res) => {
+    try {
+        const source = req.params[0];
+        const { content } = req.body || {};
+        
+        const invalid = knowledgeBase.validateDocument(source, content);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        if (!await knowledgeBase.readDocument(source)) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        
+        const doc = await knowledgeBase.writeDocument(source, content);
+        console.log(`[KB] Updated ${source} (${doc.chunks.length} chunks)`);
+        res.json(doc);
+    } catch (error) {
+        console.error('KB admin error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Retire a document: it leaves the index but is kept under .retired/
+app.delete('/api/kb/documents/*', requireAdmin, async (req, res) => {
+    try {
+        const retired = await knowledgeBase.retireDocument(req.params[0]);
+        if (!retired) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        console.log(`[KB] Retired ${retired.source} to ${retired.retiredAs}`);
+        res.json(retired);
+    } catch (error) {
+        console.error('KB admin error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Rank chunks for a test query without calling the model
+app.post('/api/kb/search', requireAdmin, async (req, res) => {
+    try {
+        const { query, topK, minScore } = req.body || {};
+        if (!query || !query.trim()) {
+            return res.status(400).json({ error: 'Query is required' });
+        }
+        
+        const results = await searchKnowledgeBase(query, {
+            limit: topK || 10,
+            minScore: minScore ?? undefined
+        });
+        res.json({ query, results });
+    } catch (error) {
+        console.error('KB admin error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// File upload endpoint
+app.post('/api/chat/upload', upload.single('file'), checkConversationId, async (req, res) => {
+    try {
+        const { sessionId, conversationId } = req.body;
+        // analyze=false only stores the file as a chat attachment
+        const analyze = req.body.analyze !== 'false';
+        const file = req.file;
+        
+        if (!file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+        
+        console.log(`[Upload] File: ${file.originalname}, Size: ${file.size} bytes`);
+        
+        // Read file content
+        const buffer = await fs.readFile(file.path);
+        
+        // Clean up uploaded file
+        await fs.unlink(file.path);
+        
+        let ingested;
+        try {
+            ingested = fileIngest.ingestFile({ filename: file.originalname, buffer });
+        } catch (error) {
+            return res.status(400).json({ error: `Could not read ${file.originalname}: ${error.message}` });
+        }
+        // Images are read by the model; the extracted details become their text
+        if (ingested.type === 'image') {
+            const extraction = await extractDeviceInfo(buffer, ingested.structure.mimeType);
+            ingested.text = deviceExtraction.formatDeviceExtraction(extraction);
+            ingested.structure = {
+                ...ingested.structure,
+                extraction,
+                prefill: deviceExtraction.toWipePrefill(extraction.devices[0])
+            };
+        }
+        if (!ingested.text.trim()) {
+            return res.status(400).json({
+                error: ingested.type === 'pdf'
+                    ? 'No text could be extracted from this PDF. Scanned documents need OCR before upload.'
+                    : 'The file is empty'
+            });
+        }
+        
+        const attachment = conversationId || !analyze
+            ? await attachmentStore.add(conversationId, ingested, { sessionId: sessionId || req.headers['x-session-id'] })
+            : null;
+        if (!analyze) {
+            return res.json({ attachment });
+        }
+        
+        const { analysis, chunksAnalyzed } = ingested.type === 'image'
+            ? { analysis: ingested.text, chunksAnalyzed: 0 }
+            : await analyzeFile(ingested);
+        
+        res.json({
+            filename: file.originalname,
+            size: file.size,
+            type: ingested.type,
+            structure: ingested.structure,
+            analysis,
+            chunksAnalyzed,
+            attachment,
+            processed: true
+        });
+        
+    } catch (error) {
+        console.error('Upload error:', error);
+        sendError(res, error);
+    }
+});
+
+// Personas available as the system instruction
+app.get('/api/personas', (req, res) => {
+    res.json({ personas: personaRegistry.list(), default: DEFAULT_PERSONA });
+});
+
+// List conversations, most recently updated first
+app.get('/api/conversations', (req, res) => {
+    res.json(conversationStore.list());
+});
+
+// Create a conversation (the client may supply its own id)
+app.post('/api/conversations', async (req, res) => {
+    try {
+        const { id, title } = req.body || {};
+        if (id !== undefined && !isConversationId(id)) {
+            return res.status(400).json({ error: 'Invalid conversation id' });
+        }
+        const conversation = await conversationStore.create({ id, title });
+        res.status(201).json(conversation);
+    } catch (error) {
+        console.error('Conversations error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get a conversation with all of its messages
+app.get('/api/conversations/:id', requireConversationId, (req, res) => {
+    const conversation = conversationStore.get(req.params.id);
+    if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json(conversation);
+});
+
+// Rename a conversation and/or change its persona
+app.patch('/api/conversations/:id', requireConversationId, async (req, res) => {
+    try {
+        const { title, persona } = req.body || {};
+        if (title === undefined && persona === undefined) {
+            return res.status(400).json({ error: 'A title or persona is required' });
+        }
+        if (title !== undefined && !String(title).trim()) {
+            return res.status(400).json({ error: 'Title is required' });
+        }
+        if (persona !== undefined && !personaRegistry.has(persona)) {
+            return res.status(400).json({ error: `Unknown persona: ${persona}` });
+        }
+        
+        if (!conversationStore.has(req.params.id)) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        
+        let conversation = conversationStore.get(req.params.id);
+        if (persona !== undefined) {
+            conversation = await conversationStore.setPersona(req.params.id, persona);
+        }
+        if (title !== undefined) {
+            conversation = await conversationStore.rename(req.params.id, title);
+        }
+        res.json(conversation);
+    } catch (error) {
+        console.error('Conversations error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete a conversation and its messages
+app.delete('/api/conversations/:id', requireConversationId, async (req, res) => {
+    try {
+        const deleted = await conversationStore.delete(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        await attachmentStore.removeConversation(req.params.id);
+        await inventoryStore.remove(req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Conversations error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Append a message to a conversation
+app.post('/api/conversations/:id/messages', requireConversationId, async (req, res) => {
+    try {
+        const { role, content, metadata } = req.body || {};
+        if (!['user', 'model'].includes(role) || typeof content !== 'string') {
+            return res.status(400).json({ error: "role must be 'user' or 'model' and content a string" });
+        }
         
-        res.json(conversations);
+        const message = await conversationStore.appendMessage(req.params.id, { role, content, metadata });
+        res.status(201).json(message);
     } catch (error) {
         console.error('Conversations error:', error);
         res.status(500).json({ error: error.message });
@@ -494,7 +1815,18 @@ app.use((err, req, res, next) => {
 // SERVER STARTUP
 // ============================================================================
 
-app.listen(PORT, () => {
+Promise.all([
+    conversationStore.load(),
+    personaRegistry.load(),
+    vectorIndex.load().then(() => knowledgeBase.load()),
+    ledger.load(),
+    certificateAuthority.load(),
+    impactCalculator.load(),
+    attachmentStore.load(),
+    inventoryStore.load(),
+    providers.stub.load()
+]).then(() => app.listen(PORT, () => {
+    knowledgeBase.watch();
     console.log('╔═══════════════════════════════════════════════════════╗');
     console.log('║                                                       ║');
     console.log('║        SAYONARA CHATBOT SERVER v1.0                  ║');
@@ -504,6 +1836,11 @@ app.listen(PORT, () => {
     console.log('');
     console.log(`🚀 Server running on http://localhost:${PORT}`);
     console.log(`📊 Health check: http://localhost:${PORT}/health`);
+    console.log(`💾 Conversations stored in ${DATA_DIR}`);
+    console.log(`⛓️  Certificate ledger: ${ledger.name}`);
+    console.log(`📚 Knowledge base: ${knowledgeBase.chunks.length} chunks from ${knowledgeBase.files.length} files in ${KB_DIR}`);
+    console.log(`🤖 Model: ${LLM_PROVIDER} (${providers[LLM_PROVIDER].defaultModel})`);
+    console.log(`🧭 Embeddings: ${vectorIndex.embedder.name}`);
     console.log('');
     
     if (!GEMINI_API_KEY) {
@@ -514,7 +1851,7 @@ app.listen(PORT, () => {
         console.log('2. Create a .env file in your project root');
         console.log('3. Add: GEMINI_API_KEY=your_api_key_here');
         console.log('');
-        console.log('The server will run in demo mode until configured.');
+        console.log(`The server will run in demo mode (${LLM_PROVIDER} provider) until configured.`);
     } else {
         console.log('✅ Gemini API key configured');
         console.log('✅ RAG knowledge base loaded');
@@ -523,4 +1860,8 @@ app.listen(PORT, () => {
     
     console.log('');
     console.log('Press Ctrl+C to stop the server');
+})).catch(error => {
+    // A store that cannot load (corrupt JSON, unreadable data dir) must not leave the process half-started
+    console.error('Startup failed:', error);
+    process.exit(1);
 });
@@ -0,0 +1,39 @@
+// test/attachments.test.js - Which stored attachments a chat turn may read
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AttachmentStore } = require('../lib/attachments');
+
+const dirs = [];
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const ingested = (filename) => ({ filename, type: 'text', size: 5, text: 'hello', structure: {} });
+
+async function storeWithFiles() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+    dirs.push(dir);
+    const store = new AttachmentStore(dir);
+    return {
+        store,
+        own: await store.add('c1', ingested('own.txt')),
+        other: await store.add('c2', ingested('other.txt')),
+        unbound: await store.add(null, ingested('draft.txt'), { sessionId: 'session_a' })
+    };
+}
+
+test('a turn cannot read another conversation\'s attachment by id', async () => {
+    const { store, own, other } = await storeWithFiles();
+    const resolved = store.resolve([own.id, other.id], { conversationId: 'c1', sessionId: 'session_a' });
+    assert.deepStrictEqual(resolved.map(a => a.filename), ['own.txt']);
+    assert.deepStrictEqual(store.resolve([other.id], { sessionId: 'session_a' }), []);
+});
+
+test('unbound uploads are readable only from the session that sent them', async () => {
+    const { store, unbound } = await storeWithFiles();
+    assert.strictEqual(store.resolve([unbound.id], { conversationId: 'c1', sessionId: 'session_a' }).length, 1);
+    assert.strictEqual(store.resolve([unbound.id], { conversationId: 'c1', sessionId: 'session_b' }).length, 0);
+    assert.strictEqual(store.resolve([unbound.id, 'a-missing'], {}).length, 0);
+});
@@ -0,0 +1,52 @@
+// test/certificates.test.js - Which wipe fields a signed certificate may carry
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CertificateAuthority } = require('../lib/certificates');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'certificates-'));
+const authority = new CertificateAuthority(dir);
+test.before(() => authority.load());
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const report = {
+    verdict: 'pass',
+    nistCategory: 'Clear',
+    checks: [{ id: 'coverage', status: 'pass' }],
+    device: { model: 'WD Blue', serial: 'WX123' },
+    checkedAt: '2025-01-10T10:05:00.000Z'
+};
+
+test('category and completion time come from the stored report', async () => {
+    const reportId = await authority.recordVerification(report);
+    const { certificate } = await authority.issue({
+        reportId,
+        nistCategory: 'Purge',
+        timestamp: '2020-01-01T00:00:00Z',
+        phases: [{ phase: 1, action: 'overwrite', passes: 1 }]
+    });
+    assert.strictEqual(certificate.device.id, 'WX123');
+    assert.strictEqual(certificate.wipe.nistCategory, 'Clear');
+    assert.strictEqual(certificate.wipe.completedAt, report.checkedAt);
+});
+
+test('malformed wipe fields are rejected before signing', async () => {
+    const issue = (fields) => authority.issue({ deviceId: 'S1', ...fields });
+    await assert.rejects(issue({ phases: 'overwrite then verify' }), /phases must be an array/);
+    await assert.rejects(issue({ phases: [{ phase: 1, passes: 3 }] }), /phases\[0\]/);
+    await assert.rejects(issue({ nistCategory: 'Obliterate' }), /nistCategory/);
+    await assert.rejects(issue({ timestamp: 'last tuesday' }), /timestamp/);
+    await assert.rejects(issue({ timestamp: '2999-01-01T00:00:00Z' }), /future/);
+    await assert.rejects(issue({ method: { label: 'Purge' } }), /method/);
+});
+
+test('documents signed before the checks still render', async () => {
+    const doc = await authority.issue({ deviceId: 'S1' });
+    doc.certificate.wipe.phases = 'overwrite';
+    doc.certificate.wipe.completedAt = 'yesterday';
+    const html = authority.renderHtml(doc);
+    assert.match(html, /<td>yesterday<\/td>/);
+});
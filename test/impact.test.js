@@ -0,0 +1,33 @@
+// test/impact.test.js - Impact factor overrides
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ImpactCalculator, formatImpactReport } = require('../lib/impact');
+
+const calculator = new ImpactCalculator();
+
+test('valid overrides change the report', () => {
+    const factors = { currency: 'EUR', categories: { laptop: { co2Kg: 30 } }, conditions: { poor: 0.1 } };
+    assert.strictEqual(calculator.factorsError(factors), null);
+    const report = calculator.calculate([{ category: 'laptop', quantity: 2 }], factors);
+    assert.strictEqual(report.totals.co2AvoidedKg, 60);
+    assert.match(formatImpactReport(report), /€/);
+});
+
+test('invalid overrides are rejected', () => {
+    const invalid = [
+        [{ currency: 'euros' }, /currency/],
+        [{ currency: 'XZZ' }, /currency/],
+        [{ depreciationPerYear: -0.5 }, /non-negative/],
+        [{ categories: { laptop: { co2Kg: '24kg' } } }, /laptop\.co2Kg/],
+        [{ categories: { laptop: { constructor: 1 } } }, /Unknown factor categories.laptop.constructor/],
+        [{ categories: { spaceship: { co2Kg: 1 } } }, /Unknown categories entry "spaceship"/],
+        [{ dispositions: { resale: { diverted: 'yes' } } }, /boolean/],
+        [{ conditions: { good: Infinity } }, /conditions\.good/],
+        [JSON.parse('{"__proto__": {"currency": "USD"}}'), /Unknown factor "__proto__"/],
+        [[1, 2], /JSON object/]
+    ];
+    for (const [factors, message] of invalid) {
+        assert.match(calculator.factorsError(factors), message, JSON.stringify(factors));
+    }
+});
@@ -0,0 +1,45 @@
+// test/ledger.test.js - Ledger adapters: persistence and unresponsive EVM nodes
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { LocalLedger, EvmLedger } = require('../lib/ledger');
+
+test('the local chain is written whole and reloads valid', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'ledger.json');
+
+    const ledger = new LocalLedger({ filePath });
+    await Promise.all(['SAY-1', 'SAY-2', 'SAY-3'].map(certId =>
+        ledger.record({ certId, certificateHash: `sha256:${certId}`, deviceId: 'S1' })
+    ));
+    assert.deepStrictEqual(fs.readdirSync(dir), ['ledger.json']);
+
+    const reloaded = await new LocalLedger({ filePath }).load();
+    const result = await reloaded.verify('SAY-3');
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.chain.length, 3);
+});
+
+test('EVM RPC calls give up on a node that never answers', async (t) => {
+    const sockets = new Set();
+    const server = http.createServer(() => {}).on('connection', socket => sockets.add(socket));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        sockets.forEach(socket => socket.destroy());
+        server.close();
+    });
+
+    const ledger = new EvmLedger({ rpcUrl: `http://127.0.0.1:${server.address().port}`, timeoutMs: 100 });
+    await assert.rejects(ledger.status(), /RPC eth_chainId timed out after 100 ms/);
+});
+
+test('EVM index lookups ignore prototype keys', async () => {
+    const ledger = new EvmLedger({ rpcUrl: 'http://127.0.0.1:1' });
+    assert.strictEqual(await ledger.lookup('__proto__'), null);
+    assert.strictEqual(await ledger.lookup('constructor'), null);
+});
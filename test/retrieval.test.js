@@ -0,0 +1,48 @@
+// test/retrieval.test.js - Relevance regression checks for knowledge base retrieval
+// Runs the queries in fixtures/retrieval-queries.json against the fixed corpus in
+// fixtures/retrieval-corpus and checks that each expected section ranks within
+// `within` results (default 1, i.e. first). "lexical" cases use BM25 alone;
+// "semantic" cases are paraphrases for hybrid search with the local embedder.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { KnowledgeBase } = require('../lib/knowledge-base');
+const { VectorIndex } = require('../lib/vector-index');
+const { LocalEmbedder } = require('../lib/embeddings');
+const cases = require('./fixtures/retrieval-queries.json');
+
+const CORPUS_DIR = path.join(__dirname, 'fixtures', 'retrieval-corpus');
+
+function assertRanked(results, { expected, within = 1 }) {
+    const headings = results.map(r => r.heading);
+    assert.ok(
+        headings.slice(0, within).includes(expected),
+        `expected "${expected}" in the top ${within}, got ${JSON.stringify(headings)}`
+    );
+}
+
+test('BM25 ranks the expected section for each query', async (t) => {
+    const kb = await new KnowledgeBase({ dir: CORPUS_DIR }).load();
+    for (const testCase of cases.lexical) {
+        await t.test(testCase.query, () => {
+            assertRanked(kb.search(testCase.query, { limit: 5 }), testCase);
+        });
+    }
+});
+
+test('BM25 matches whole terms, not substrings', async () => {
+    const kb = await new KnowledgeBase({ dir: CORPUS_DIR }).load();
+    // The old keyword search matched "ssd" inside any word that contained it
+    assert.deepStrictEqual(kb.search('xyzssd', { limit: 5 }), []);
+});
+
+test('hybrid search finds paraphrased questions', async (t) => {
+    const vectorIndex = new VectorIndex({ embedder: new LocalEmbedder() });
+    const kb = await new KnowledgeBase({ dir: CORPUS_DIR, vectorIndex }).load();
+    for (const testCase of cases.semantic) {
+        await t.test(testCase.query, async () => {
+            assertRanked(await kb.hybridSearch(testCase.query, { limit: 5 }), testCase);
+        });
+    }
+});
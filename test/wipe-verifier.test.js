@@ -0,0 +1,53 @@
+// test/wipe-verifier.test.js - NIST 800-88 rule checks on small wipe logs
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { verifyWipeLog } = require('../lib/wipe-verifier');
+
+const coverageOf = (report) => report.checks.find(c => c.id === 'coverage');
+
+function nvmeLog(namespaces, operations) {
+    return JSON.stringify({
+        device: { type: 'nvme', model: 'WD SN770', serial: 'S1', namespaces },
+        operations: [...operations, { action: 'verify', status: 'ok' }]
+    });
+}
+
+test('a partial overwrite does not cover an NVMe namespace', () => {
+    const report = verifyWipeLog(nvmeLog('1', [
+        { action: 'overwrite', namespace: '1', sectors: '0-10', status: 'ok' }
+    ]), 'log.json');
+    assert.strictEqual(report.verdict, 'fail');
+    assert.strictEqual(report.nistCategory, null);
+    assert.strictEqual(coverageOf(report).status, 'fail');
+});
+
+test('overwrites spanning the namespace sector count cover it', () => {
+    const report = verifyWipeLog(nvmeLog([{ nsid: 1, sectors: 1000 }, { nsid: 2, sectors: 500 }], [
+        { action: 'overwrite', namespace: 1, sectors: '0-599', status: 'ok' },
+        { action: 'overwrite', namespace: 1, sectors: '600-999', status: 'ok' },
+        { action: 'sanitize-crypto', namespace: 2, status: 'ok' }
+    ]), 'log.json');
+    assert.strictEqual(coverageOf(report).status, 'pass');
+    assert.strictEqual(report.verdict, 'pass');
+});
+
+test('overwrites without a namespace sector count cannot prove coverage', () => {
+    const report = verifyWipeLog(nvmeLog('1,2', [
+        { action: 'crypto-erase', namespace: 1, status: 'ok' },
+        { action: 'overwrite', namespace: 2, sectors: '0-10', status: 'ok' }
+    ]), 'log.json');
+    assert.match(coverageOf(report).detail, /not wiped in full: 2$/);
+});
+
+test('CSV logs keep quoted cells that contain commas', () => {
+    const csv = [
+        'timestamp,action,status,sectors,model,total_sectors',
+        '2025-01-10T10:00:00Z,device detected,,,"Samsung, 870 EVO",100',
+        '2025-01-10T10:01:00Z,overwrite,ok,0-99,,',
+        '2025-01-10T10:02:00Z,verify,passed,0-99,,'
+    ].join('\n');
+    const report = verifyWipeLog(csv, 'log.csv');
+    assert.strictEqual(report.device.model, 'Samsung, 870 EVO');
+    assert.strictEqual(report.verdict, 'pass');
+});